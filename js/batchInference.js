@@ -0,0 +1,118 @@
+import { NeuralNetwork } from "./nn.js";
+
+/**
+ * Activation functions of dense layers, as computed by TensorFlow.js' CPU kernels
+ */
+const ACTIVATION_FUNCTIONS = {
+  sigmoid: (x) => 1 / (1 + Math.exp(-x)),
+  tanh: (x) => Math.tanh(x),
+  relu: (x) => Math.max(0, x),
+};
+
+/**
+ * Number of products TensorFlow.js' CPU matMul sums before rounding to float32
+ */
+const MATMUL_BLOCK_SIZE = 48;
+
+/**
+ * BatchEvaluator class running the brains of a whole population in one pass
+ * Calling predict() on every car runs one tiny TensorFlow.js graph per car
+ * per step. The evaluator instead stacks the inputs of all cars into one
+ * Float32Array and multiplies them with each dense brain's weights as plain
+ * arrays (see NeuralNetwork.compile()). Results are rounded to float32 at the
+ * same points as TensorFlow.js' CPU backend, so a batched step gives the
+ * same outputs as per-car predict() calls and seeded runs stay reproducible.
+ * Brains without plain-array weights (NEAT) fall back to their own predict().
+ */
+export class BatchEvaluator {
+  /**
+   * Constructor for the BatchEvaluator class
+   */
+  constructor() {
+    this.inputs = new Float32Array(0); // Stacked inputs, one row per brain
+    this.outputs = new Float32Array(0); // Stacked outputs, one row per brain
+    this.scratch = [new Float32Array(0), new Float32Array(0)]; // Layer activations of the current brain
+  }
+
+  /**
+   * Make sure a buffer holds at least `length` values
+   * @param {Float32Array} buffer - The current buffer
+   * @param {number} length - Required length
+   * @returns {Float32Array} The buffer, or a larger replacement
+   */
+  static ensure(buffer, length) {
+    return buffer.length >= length ? buffer : new Float32Array(length);
+  }
+
+  /**
+   * Evaluate many brains, each on its own input row
+   * @param {(NeuralNetwork|NeatNetwork)[]} brains - The brains to evaluate
+   * @param {number[][]} inputs - One input array per brain
+   * @param {number} outputSize - Number of outputs of every brain
+   * @returns {Float32Array[]} One output row per brain. The rows are views into a
+   *   buffer that is reused by the next call, so read them before calling again.
+   */
+  predict(brains, inputs, outputSize) {
+    const inputSize = inputs.length > 0 ? inputs[0].length : 0;
+    this.inputs = BatchEvaluator.ensure(this.inputs, brains.length * inputSize);
+    this.outputs = BatchEvaluator.ensure(
+      this.outputs,
+      brains.length * outputSize,
+    );
+    for (let b = 0; b < brains.length; b++) {
+      this.inputs.set(inputs[b], b * inputSize);
+    }
+
+    const rows = [];
+    for (let b = 0; b < brains.length; b++) {
+      const input = this.inputs.subarray(b * inputSize, (b + 1) * inputSize);
+      const output = this.outputs.subarray(
+        b * outputSize,
+        (b + 1) * outputSize,
+      );
+      if (brains[b] instanceof NeuralNetwork) {
+        this.forward(brains[b].compile(), input, output);
+      } else {
+        output.set(brains[b].predict(inputs[b]));
+      }
+      rows.push(output);
+    }
+    return rows;
+  }
+
+  /**
+   * Run one input row through the layers of a dense brain
+   * @param {Object[]} layers - Layers as returned by NeuralNetwork.compile()
+   * @param {Float32Array} input - The input row
+   * @param {Float32Array} output - Receives the output row
+   */
+  forward(layers, input, output) {
+    let current = input;
+    for (let l = 0; l < layers.length; l++) {
+      const { kernel, bias, inputs, units, activation } = layers[l];
+      const last = l === layers.length - 1;
+      let next = output;
+      if (!last) {
+        const slot = l % 2;
+        this.scratch[slot] = BatchEvaluator.ensure(this.scratch[slot], units);
+        next = this.scratch[slot];
+      }
+      const activate = ACTIVATION_FUNCTIONS[activation];
+
+      for (let j = 0; j < units; j++) {
+        let value = 0;
+        for (let k0 = 0; k0 < inputs; k0 += MATMUL_BLOCK_SIZE) {
+          const kEnd = Math.min(k0 + MATMUL_BLOCK_SIZE, inputs);
+          let sum = 0;
+          for (let k = k0; k < kEnd; k++) {
+            sum += current[k] * kernel[k * units + j];
+          }
+          value = Math.fround(value + sum);
+        }
+        value = Math.fround(value + bias[j]);
+        next[j] = activate(value);
+      }
+      current = next;
+    }
+  }
+}
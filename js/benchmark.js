@@ -0,0 +1,106 @@
+import { Particle } from "./particle.js";
+import { World } from "./world.js";
+import { setSeed } from "./random.js";
+import { BRAIN_TYPE, BRAIN_ARCHITECTURE, PHYSICS_MODEL } from "./config.js";
+
+/**
+ * Run one seeded population for a number of steps and time it
+ * Every car senses and steps every time, crashed cars included (they stay
+ * where they crashed), so the work per step stays the same for the whole run.
+ * The first car also renders the 3D view, as the best car does in the browser.
+ * @param {Object} options - See benchmarkRayCasting()
+ * @param {number} count - Number of cars
+ * @param {boolean} useGrid - Whether rays are cast through the spatial grid
+ * @returns {{senseMs: number, stepMs: number, state: string}} Average ray casting and
+ *   whole step times per step, and a fingerprint of the final state
+ */
+function timeRun(options, count, useGrid) {
+  setSeed(options.seed);
+  const world = new World();
+  world.useGrid = useGrid;
+  world.obstacleCount = options.obstacleCount ?? 20;
+  world.dynamicObstacles = options.dynamicObstacles ?? false;
+  world.physics = options.physics ?? PHYSICS_MODEL;
+  world.trackPresetIndex = options.trackPreset ?? 0;
+  world.customTrack = options.customTrack ?? null;
+  world.buildTrack();
+
+  const agents = [];
+  for (let i = 0; i < count; i++) {
+    agents.push(
+      new Particle(
+        null,
+        world.start,
+        options.brainType ?? BRAIN_TYPE,
+        options.architecture ?? BRAIN_ARCHITECTURE,
+      ),
+    );
+  }
+
+  let view = null;
+  let senseTime = 0;
+  const startTime = performance.now();
+  for (let step = 0; step < options.steps; step++) {
+    world.updateObstacles();
+    const senseStart = performance.now();
+    const inputs = world.senseAgents(agents);
+    view = agents[0].renderView(
+      world.walls,
+      world.obstacles,
+      world.activeGrid(),
+    );
+    senseTime += performance.now() - senseStart;
+    world.driveAgents(agents, inputs);
+  }
+  const stepMs = (performance.now() - startTime) / options.steps;
+
+  const state = JSON.stringify([
+    agents.map((agent) => [
+      agent.pos.x,
+      agent.pos.y,
+      agent.fitness,
+      agent.dead,
+    ]),
+    view,
+  ]);
+  agents.forEach((agent) => agent.dispose());
+  return { senseMs: senseTime / options.steps, stepMs, state };
+}
+
+/**
+ * Compare ray casting by scanning every wall and obstacle with casting
+ * through the spatial grid, for growing car counts. Both runs of a car count
+ * start from the same seed, so their final states must be identical.
+ * @param {Object} options - Benchmark settings
+ * @param {number[]} options.carCounts - Population sizes to measure
+ * @param {number} options.steps - Simulation steps per run
+ * @param {number} options.seed - Seed of both runs
+ * @param {string} [options.brainType=BRAIN_TYPE] - Key of BRAIN_TYPES
+ * @param {Architecture} [options.architecture=BRAIN_ARCHITECTURE] - Layers of dense brains
+ * @param {number|null} [options.trackPreset=null] - TRACK_PRESETS index, or null for preset 0
+ * @param {Object|null} [options.customTrack=null] - Track saved by the track editor, used instead of the preset
+ * @param {number} [options.obstacleCount=20] - Number of obstacles on the track
+ * @param {boolean} [options.dynamicObstacles=false] - Whether obstacles move
+ * @param {string} [options.physics=PHYSICS_MODEL] - Key of PHYSICS_MODELS the cars drive with
+ * @param {Function} [onResult] - Called with each result as soon as it is measured
+ * @returns {Object[]} One result per car count: { cars, scan, grid, speedup, identical }
+ *   where scan and grid hold the { senseMs, stepMs } of each run and speedup
+ *   compares their ray casting times
+ */
+export function benchmarkRayCasting(options, onResult = () => {}) {
+  const results = [];
+  for (const count of options.carCounts) {
+    const scan = timeRun(options, count, false);
+    const grid = timeRun(options, count, true);
+    const result = {
+      cars: count,
+      scan: { senseMs: scan.senseMs, stepMs: scan.stepMs },
+      grid: { senseMs: grid.senseMs, stepMs: grid.stepMs },
+      speedup: scan.senseMs / grid.senseMs,
+      identical: scan.state === grid.state,
+    };
+    results.push(result);
+    onResult(result);
+  }
+  return results;
+}
@@ -0,0 +1,133 @@
+import { CAR_LENGTH, CAR_WIDTH } from "./config.js";
+
+/**
+ * Collision tests for the car body
+ * A car is a CAR_LENGTH x CAR_WIDTH rectangle centred on its position and
+ * rotated to its heading, the same rectangle the renderer draws. Walls are
+ * line segments and obstacles are circles. Poses are plain { x, y, heading }
+ * objects so the tests run without a Particle.
+ */
+
+const HALF_LENGTH = CAR_LENGTH / 2;
+const HALF_WIDTH = CAR_WIDTH / 2;
+const HALF_DIAGONAL = Math.hypot(HALF_LENGTH, HALF_WIDTH);
+
+/**
+ * Largest distance a corner of the car may move between two tested poses of
+ * a swept test. Half the car's width, so a wall cannot slip between them.
+ */
+const SWEEP_STEP = HALF_WIDTH;
+
+/**
+ * Express a point in the car's frame: x along the heading, y to its side
+ * @param {number} x - X coordinate of the point
+ * @param {number} y - Y coordinate of the point
+ * @param {Object} pose - The car pose ({ x, y, heading })
+ * @returns {number[]} The point as [x, y] in the car's frame
+ */
+function toCarFrame(x, y, pose) {
+  const dx = x - pose.x;
+  const dy = y - pose.y;
+  const cos = Math.cos(pose.heading);
+  const sin = Math.sin(pose.heading);
+  return [dx * cos + dy * sin, -dx * sin + dy * cos];
+}
+
+/**
+ * Check whether a line segment touches the car body (Liang-Barsky clipping
+ * against the body's box in the car's frame)
+ * @param {Object} pose - The car pose ({ x, y, heading })
+ * @param {Boundary} wall - The segment
+ * @returns {boolean} True if the segment touches the body
+ */
+export function wallHitsCar(pose, wall) {
+  const [ax, ay] = toCarFrame(wall.a.x, wall.a.y, pose);
+  const [bx, by] = toCarFrame(wall.b.x, wall.b.y, pose);
+  const dx = bx - ax;
+  const dy = by - ay;
+
+  let tEnter = 0;
+  let tLeave = 1;
+  const edges = [
+    [-dx, ax + HALF_LENGTH],
+    [dx, HALF_LENGTH - ax],
+    [-dy, ay + HALF_WIDTH],
+    [dy, HALF_WIDTH - ay],
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return false; // Parallel to this edge and outside it
+    } else {
+      const t = q / p;
+      if (p < 0) {
+        tEnter = Math.max(tEnter, t);
+      } else {
+        tLeave = Math.min(tLeave, t);
+      }
+    }
+  }
+  return tEnter <= tLeave;
+}
+
+/**
+ * Check whether a circular obstacle touches the car body
+ * @param {Object} pose - The car pose ({ x, y, heading })
+ * @param {Obstacle} obstacle - The obstacle
+ * @returns {boolean} True if the obstacle touches the body
+ */
+export function obstacleHitsCar(pose, obstacle) {
+  const [x, y] = toCarFrame(obstacle.pos.x, obstacle.pos.y, pose);
+  const nearestX = Math.min(Math.max(x, -HALF_LENGTH), HALF_LENGTH);
+  const nearestY = Math.min(Math.max(y, -HALF_WIDTH), HALF_WIDTH);
+  return Math.hypot(x - nearestX, y - nearestY) <= obstacle.r;
+}
+
+/**
+ * Check whether the car body touches anything on its way between two poses
+ * Poses in between are interpolated closely enough that no corner moves
+ * more than SWEEP_STEP between two tests, so a fast car cannot jump a wall.
+ * The start pose itself is not tested; it was the end pose of the last step.
+ * @param {Object} from - Pose before the move ({ x, y, heading })
+ * @param {Object} to - Pose after the move ({ x, y, heading })
+ * @param {Boundary[]} walls - Walls the car may hit
+ * @param {Obstacle[]} obstacles - Obstacles the car may hit
+ * @returns {boolean} True if the body touches a wall or an obstacle
+ */
+export function sweptCarHits(from, to, walls, obstacles) {
+  // Turn the short way round
+  let turn = to.heading - from.heading;
+  turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+
+  const travel =
+    Math.hypot(to.x - from.x, to.y - from.y) + Math.abs(turn) * HALF_DIAGONAL;
+  const steps = Math.max(1, Math.ceil(travel / SWEEP_STEP));
+
+  for (let s = 1; s <= steps; s++) {
+    const t = s / steps;
+    const pose = {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+      heading: from.heading + turn * t,
+    };
+    if (walls.some((wall) => wallHitsCar(pose, wall))) return true;
+    if (obstacles.some((obstacle) => obstacleHitsCar(pose, obstacle))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Bounding box of everything the car body covers on its way between two poses
+ * @param {Object} from - Pose before the move ({ x, y, heading })
+ * @param {Object} to - Pose after the move ({ x, y, heading })
+ * @returns {number[]} The box as [minX, minY, maxX, maxY]
+ */
+export function sweptCarBounds(from, to) {
+  return [
+    Math.min(from.x, to.x) - HALF_DIAGONAL,
+    Math.min(from.y, to.y) - HALF_DIAGONAL,
+    Math.max(from.x, to.x) + HALF_DIAGONAL,
+    Math.max(from.y, to.y) + HALF_DIAGONAL,
+  ];
+}
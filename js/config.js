@@ -2,17 +2,104 @@
 
 export const TOTAL = 100;          // Number of cars in each generation
 export const MUTATION_RATE = 0.2;  // Probability of mutation for each weight
-export const LIFESPAN = 30;        // Maximum frames a car can live without progress
+export const MUTATION_STRENGTH = 1; // Scale of a weight mutation (standard deviation for Gaussian noise)
+export const MUTATION_SCHEME = "gaussian"; // gaussian, uniform, reset or self-adaptive (see MUTATION_SCHEMES in ga.js)
+export const CROSSOVER_RATE = 0;   // Probability a child is bred from two parents (0 = clone one parent)
+export const CROSSOVER_OPERATOR = "uniform"; // uniform, single-point, neuron or layer (see CROSSOVER_OPERATORS in ga.js)
+export const TIME_STEP = 1 / 60;   // Simulated seconds per simulation step; every step advances the same time
+export const LIFESPAN = 0.5;       // Maximum simulated seconds a car can live without progress
 export const SIGHT = 80;           // Sensor range in pixels
+export const CAR_LENGTH = 20;      // Length in pixels of a car body, used for drawing and collisions
+export const CAR_WIDTH = 10;       // Width in pixels of a car body
+export const OBSTACLE_RADIUS = 5;  // Radius in pixels of an obstacle, which is a circle
+export const GRID_CELL_SIZE = 40;  // Cell size in pixels of the ray casting grid (see SpatialGrid in spatialIndex.js)
 export const ELITISM_COUNT = 1;    // Number of top agents to carry over to the next generation
-export const maxFitness = 500;     // Fitness threshold to trigger new generation
+export const maxFitness = 500;     // Checkpoints a car must pass to end the generation early and trigger a new track
 
-// Track generation presets for varied layouts
+// Vehicle physics (see PHYSICS_MODELS in vehicle.js)
+export const PHYSICS_MODEL = "point"; // point (steering force) or bicycle (kinematic bicycle with steer and throttle)
+export const WHEELBASE = 12;          // Distance in pixels between the axles of the bicycle model
+export const MAX_STEER = 0.6;         // Largest front wheel angle in radians (about 35 degrees)
+export const ACCELERATION = 0.1;      // Speed gained per step at full throttle
+export const BRAKING = 0.3;           // Speed lost per step at full brake
+export const GRIP = 0.5;              // Largest lateral acceleration (speed x yaw rate) before the car understeers
+
+// Brain type of new cars (see BRAIN_TYPES in particle.js)
+export const BRAIN_TYPE = "dense";      // dense (TensorFlow.js) or neat (evolving topology)
+export const NEAT_ADD_CONNECTION_RATE = 0.05; // Chance per mutation that a NEAT brain grows a connection
+export const NEAT_ADD_NODE_RATE = 0.03;       // Chance per mutation that a NEAT brain splits a connection with a node
+export const NEAT_COMPATIBILITY_THRESHOLD = 3; // Largest compatibility distance within one NEAT species
+
+// Dense brain architecture (see NeuralNetwork in nn.js); the car fixes 13 inputs and 2 outputs
+export const BRAIN_ARCHITECTURE = {
+  hidden: [{ units: 26, activation: "sigmoid" }], // Hidden layers, input side first (sigmoid, tanh or relu)
+  outputActivation: "sigmoid",                     // Steering and speed are read from the [0, 1] range
+};
+
+// Parent selection (see SELECTION_STRATEGIES in ga.js)
+export const SELECTION_STRATEGY = "roulette"; // roulette, tournament, rank, sus or truncation
+export const TOURNAMENT_SIZE = 3;             // Agents drawn per tournament
+export const TRUNCATION_RATIO = 0.2;          // Fraction of agents allowed to breed under truncation
+
+// Adaptive mutation schedule (see MutationSchedule in ga.js)
+export const MUTATION_SCHEDULE = "off"; // off, raise or lower mutation when best fitness stalls
+export const SCHEDULE_WINDOW = 5;       // Generations compared by the improvement rate
+export const STALL_THRESHOLD = 1;       // Improvement rate (%) below which fitness counts as stalled
+export const SCHEDULE_FACTOR = 1.5;     // Scale change per stalled or improving generation
+
+// Fitness: weight of every term of the weighted sum (see FITNESS_TERMS in fitness.js)
+export const FITNESS_WEIGHTS = {
+  progress: 1,    // 2^checkpoints passed, the classic fitness
+  lapTime: 0,     // Laps per simulated minute of the fastest lap
+  speed: 0,       // Average speed in pixels per simulated second
+  clearance: 0,   // Closest approach to an obstacle, as a share of the sensor range
+  jerk: 0,        // Penalty: average change of the turn rate per step, in radians
+  collisions: 0,  // Penalty: 1 for a car that crashed into a wall or an obstacle
+};
+
+// Objectives (see OBJECTIVE_MODES in ga.js)
+export const OBJECTIVE_MODE = "weighted";                 // weighted (select on FITNESS_WEIGHTS) or pareto (NSGA-II ranking)
+export const PARETO_OBJECTIVES = ["progress", "clearance"]; // Fitness terms the pareto mode maximises at once
+
+// Diversity (see Speciation and populationDiversity() in ga.js)
+export const SPECIATION_MODE = "neat";              // neat (NEAT brains only), all (dense brains too, by weight distance) or off
+export const WEIGHT_COMPATIBILITY_THRESHOLD = 0.7;  // Largest RMS weight distance within one dense species
+export const DIVERSITY_THRESHOLD = 0;               // Mean pairwise brain distance below which random brains are injected (0 = never)
+export const DIVERSITY_INJECTION = 0.1;             // Share of the next generation replaced by random brains when diversity is low
+
+// Track templates for varied layouts: a generator from TRACK_GENERATORS in
+// trackGenerator.js and its parameters. pathWidth is half the road width.
 export const TRACK_PRESETS = [
-  { noiseMax: 2, pathWidth: 70 },  // Default: moderately curvy, standard width
-  { noiseMax: 3, pathWidth: 60 },  // More curvy, slightly narrower
-  { noiseMax: 1.5, pathWidth: 80 },// Less curvy, wider
-  { noiseMax: 2.5, pathWidth: 50 } // Moderately curvy, narrow
+  { name: "Default", generator: "noise", noiseMax: 2, pathWidth: 70 },   // Moderately curvy, standard width
+  { name: "Curvy", generator: "noise", noiseMax: 3, pathWidth: 60 },     // More curvy, slightly narrower
+  { name: "Wide", generator: "noise", noiseMax: 1.5, pathWidth: 80 },    // Less curvy, wider
+  { name: "Narrow", generator: "noise", noiseMax: 2.5, pathWidth: 50 },  // Moderately curvy, narrow
+  { name: "Figure-8", generator: "figure-8", pathWidth: 45 },            // Two lobes joined by a crossing
+  { name: "Hairpins", generator: "hairpins", pathWidth: 40, hairpins: 3 }, // Switchbacks along the top
+  { name: "Spiral", generator: "spiral", pathWidth: 30, turns: 1.25 },   // Winds in, then back out
+  { name: "Pinch points", generator: "variable-width", pathWidth: 45, widthVariation: 0.6, sections: 3 } // Narrows three times
+];
+
+// Multi-track evaluation (see TrackEvaluation in evaluation.js)
+export const EVALUATION_TRACKS = 1;        // Tracks every brain drives per generation (1 = a single new track)
+export const HELD_OUT_TRACKS = 0;          // Of those, tracks that stay the same for the whole run; the rest are new every generation
+export const FITNESS_AGGREGATE = "mean";   // mean, min or percentile: how the scores on the tracks make one fitness
+export const FITNESS_PERCENTILE = 25;      // Percentile of the track scores used by the percentile aggregate
+export const VALIDATION_EVERY = 0;         // Generations between drives of the best brain on the validation track (0 = never); a drive delays breeding
+
+// Curriculum learning (see Curriculum in curriculum.js): levels of growing
+// difficulty, each cycling some TRACK_PRESETS with its own obstacles
+export const CURRICULUM_MODE = "off";      // off (cycle all presets), auto (promote and demote) or manual (hold a level)
+export const PROMOTE_SUCCESS_RATE = 0.1;   // Share of cars completing a lap that counts toward promotion
+export const PROMOTE_LAPS = 2;             // Best laps that count toward promotion, whatever the success rate
+export const PROMOTE_GENERATIONS = 3;      // Generations in a row that must count toward promotion
+export const COLLAPSE_PROGRESS = 0.25;     // Share of a lap the best car must drive, or the generation collapsed
+export const DEMOTE_GENERATIONS = 10;      // Collapsed generations in a row before demotion
+export const CURRICULUM_LEVELS = [
+  { name: "Wide loop", presets: [2], obstacles: 0, dynamic: false },                  // Wide, gentle, nothing in the way
+  { name: "Narrower tracks", presets: [0, 1, 3], obstacles: 0, dynamic: false },      // Standard and narrow widths
+  { name: "Static obstacles", presets: [0, 1, 3], obstacles: 10, dynamic: false },    // Obstacles that stay put
+  { name: "Dynamic obstacles", presets: [0, 1, 2, 3, 4, 5, 6, 7], obstacles: 20, dynamic: true } // Every template, moving obstacles
 ];
 
 export const simulationAreaWidth = 1000; // Width of the main simulation track area
@@ -0,0 +1,145 @@
+import {
+  CURRICULUM_MODE,
+  CURRICULUM_LEVELS,
+  PROMOTE_SUCCESS_RATE,
+  PROMOTE_LAPS,
+  PROMOTE_GENERATIONS,
+  COLLAPSE_PROGRESS,
+  DEMOTE_GENERATIONS,
+} from "./config.js";
+
+/**
+ * Curriculum learning
+ * Instead of cycling every track preset from the first generation on, the
+ * cars start on the easiest level of CURRICULUM_LEVELS and move up once they
+ * master it: a level picks the presets its tracks are built from, the number
+ * of obstacles and whether they move. The World asks the curriculum for the
+ * level of every new track, and the host records each finished generation.
+ */
+
+/**
+ * Ways the curriculum can pick the level
+ */
+export const CURRICULUM_MODES = {
+  off: { label: "Off (cycle all presets)" },
+  auto: { label: "Automatic (promote and demote)" },
+  manual: { label: "Manual (hold the level)" },
+};
+
+/**
+ * Summarise a finished generation for the curriculum
+ * Call before fitness is normalised, while it still counts checkpoints.
+ * @param {Particle[]} agents - The evaluated cars
+ * @param {number} checkpointCount - Checkpoints in one lap of the track
+ * @returns {{successRate: number, bestLaps: number, bestProgress: number}}
+ *   Share of cars that completed a lap, most laps of a car and the most laps
+ *   of a car including the part of a lap it drove
+ */
+export function generationResults(agents, checkpointCount) {
+  let successful = 0;
+  let bestLaps = 0;
+  let bestCheckpoints = 0;
+  for (const agent of agents) {
+    if (agent.lapsCompleted > 0) {
+      successful++;
+    }
+    bestLaps = Math.max(bestLaps, agent.lapsCompleted);
+    bestCheckpoints = Math.max(bestCheckpoints, agent.fitness);
+  }
+  return {
+    successRate: agents.length > 0 ? successful / agents.length : 0,
+    bestLaps: bestLaps,
+    bestProgress: checkpointCount > 0 ? bestCheckpoints / checkpointCount : 0,
+  };
+}
+
+/**
+ * Curriculum class tracking the level the cars train on
+ * In "auto" mode a level is passed after PROMOTE_GENERATIONS generations in
+ * a row in which enough cars complete a lap (or the best car drives
+ * PROMOTE_LAPS laps), and left for the level below after DEMOTE_GENERATIONS
+ * generations in a row in which the best car does not get COLLAPSE_PROGRESS
+ * of the way round. In "manual" mode the level only changes when set.
+ */
+export class Curriculum {
+  /**
+   * Constructor for the Curriculum class
+   * @param {string} [mode=CURRICULUM_MODE] - Key of CURRICULUM_MODES
+   * @param {number} [level=0] - Index of the level in CURRICULUM_LEVELS
+   */
+  constructor(mode = CURRICULUM_MODE, level = 0) {
+    this.mode = mode;
+    this.level = level;
+    this.passed = 0; // Generations in a row that counted toward promotion
+    this.collapsed = 0; // Generations in a row that collapsed
+  }
+
+  /**
+   * The level new tracks are built for
+   * @returns {Object|null} The entry of CURRICULUM_LEVELS, or null when the curriculum is off
+   */
+  currentLevel() {
+    return this.mode === "off" ? null : CURRICULUM_LEVELS[this.level];
+  }
+
+  /**
+   * Change the mode and jump to a level, such as from the manual override
+   * @param {string} mode - Key of CURRICULUM_MODES
+   * @param {number} [level=this.level] - Index of the level in CURRICULUM_LEVELS
+   */
+  set(mode, level = this.level) {
+    this.mode = mode;
+    this.level = Math.max(0, Math.min(CURRICULUM_LEVELS.length - 1, level));
+    this.passed = 0;
+    this.collapsed = 0;
+  }
+
+  /**
+   * Record a finished generation and move up or down a level if it is due
+   * @param {Object} results - The generation, see generationResults()
+   * @returns {string|null} "promoted", "demoted", or null if the level stays
+   */
+  record(results) {
+    if (this.mode !== "auto") return null;
+
+    const passed =
+      results.successRate >= PROMOTE_SUCCESS_RATE ||
+      results.bestLaps >= PROMOTE_LAPS;
+    this.passed = passed ? this.passed + 1 : 0;
+    this.collapsed =
+      results.bestProgress < COLLAPSE_PROGRESS ? this.collapsed + 1 : 0;
+
+    if (
+      this.passed >= PROMOTE_GENERATIONS &&
+      this.level < CURRICULUM_LEVELS.length - 1
+    ) {
+      this.set(this.mode, this.level + 1);
+      return "promoted";
+    }
+    if (this.collapsed >= DEMOTE_GENERATIONS && this.level > 0) {
+      this.set(this.mode, this.level - 1);
+      return "demoted";
+    }
+    return null;
+  }
+
+  /**
+   * Describe the level for the info bar, the dashboard and logs
+   * @returns {string} e.g. "2/4 Narrower tracks (auto)", or "off"
+   */
+  describe() {
+    if (this.mode === "off") return "off";
+    return (
+      `${this.level + 1}/${CURRICULUM_LEVELS.length} ` +
+      `${CURRICULUM_LEVELS[this.level].name} (${this.mode})`
+    );
+  }
+
+  /**
+   * Mode and level, to persist between sessions
+   * @returns {{mode: string, level: number}} The state
+   */
+  state() {
+    return { mode: this.mode, level: this.level };
+  }
+}
@@ -1,4 +1,15 @@
 import { TOTAL } from "./config.js";
+import { improvementRate } from "./ga.js";
+import { FITNESS_TERMS } from "./fitness.js";
+
+/**
+ * Format a fitness value for display, in exponent notation once it gets long
+ * @param {number} value - The value
+ * @returns {string} The formatted value
+ */
+function formatFitnessValue(value) {
+  return Math.abs(value) >= 1000 ? value.toExponential(2) : value.toFixed(2);
+}
 
 /**
  * Training Dashboard for visualizing simulation progress and analytics
@@ -12,12 +23,18 @@ export class TrainingDashboard {
     this.lapHistory = [];
     this.survivalHistory = [];
     this.speedHistory = [];
+    this.validationHistory = []; // Best brain's checkpoints on the training tracks and on the validation track
+    this.diversityHistory = []; // Mean pairwise brain distance of every generation and the random brains injected after it
+    this.paretoFront = null; // Objective values on the Pareto front of the last generation, in pareto mode
 
     // Chart instances
     this.fitnessChart = null;
     this.lapsChart = null;
     this.survivalChart = null;
     this.speedChart = null;
+    this.validationChart = null;
+    this.diversityChart = null;
+    this.paretoChart = null;
 
     // Dashboard state
     this.isVisible = false;
@@ -27,6 +44,7 @@ export class TrainingDashboard {
     // Performance tracking
     this.startTime = Date.now();
     this.totalGenerations = 0;
+    this.runConfig = {}; // Seed and GA settings of the training run, recorded in exports
 
     this.initializeDashboard();
   }
@@ -110,6 +128,25 @@ export class TrainingDashboard {
               <h3>Speed Performance</h3>
               <canvas id="speed-chart" width="400" height="200"></canvas>
             </div>
+
+            <div class="chart-section">
+              <h3>Generalisation</h3>
+              <canvas id="validation-chart" width="400" height="200"></canvas>
+            </div>
+
+            <div class="chart-section">
+              <h3>Genetic Diversity</h3>
+              <canvas id="diversity-chart" width="400" height="200"></canvas>
+            </div>
+
+            <div class="chart-section">
+              <h3>Pareto Front</h3>
+              <div class="chart-controls">
+                <select id="pareto-member" title="Car of the front to save; click a point to pick it"></select>
+                <button id="save-pareto-btn" onclick="window.save_pareto_member()">Save Selected</button>
+              </div>
+              <canvas id="pareto-chart" width="400" height="200"></canvas>
+            </div>
           </div>
 
           <!-- Detailed Analytics -->
@@ -126,13 +163,39 @@ export class TrainingDashboard {
                   <span id="convergence-score">0</span>
                 </div>
                 <div class="analysis-item">
-                  <label>Diversity Index:</label>
+                  <label>Genetic Diversity:</label>
                   <span id="diversity-index">0</span>
                 </div>
                 <div class="analysis-item">
                   <label>Success Rate:</label>
                   <span id="success-rate">0%</span>
                 </div>
+                <div class="analysis-item">
+                  <label>Mutation:</label>
+                  <span id="mutation-level">-</span>
+                </div>
+                <div class="analysis-item">
+                  <label>Best Brain:</label>
+                  <span id="brain-info">-</span>
+                </div>
+                <div class="analysis-item">
+                  <label>Curriculum Level:</label>
+                  <span id="curriculum-level-info">off</span>
+                </div>
+              </div>
+            </div>
+            <div class="analytics-section">
+              <h3>Fitness Breakdown (best car)</h3>
+              <div class="analysis-grid" id="fitness-breakdown">
+                ${Object.entries(FITNESS_TERMS)
+                  .map(
+                    ([key, term]) => `
+                <div class="analysis-item">
+                  <label>${term.label}:</label>
+                  <span id="fitness-term-${key}">-</span>
+                </div>`,
+                  )
+                  .join("")}
               </div>
             </div>
           </div>
@@ -330,6 +393,164 @@ export class TrainingDashboard {
         },
       });
     }
+
+    // Generalisation Chart: a validation score falling behind the training
+    // score is a sign of overfitting to the training tracks
+    const validationCtx = document
+      .getElementById("validation-chart")
+      ?.getContext("2d");
+    if (validationCtx) {
+      this.validationChart = new Chart(validationCtx, {
+        type: "line",
+        data: {
+          labels: [],
+          datasets: [
+            {
+              label: "Training Tracks",
+              data: [],
+              borderColor: "#007bff",
+              backgroundColor: "rgba(0, 123, 255, 0.1)",
+              tension: 0.1,
+              fill: false,
+            },
+            {
+              label: "Validation Track",
+              data: [],
+              borderColor: "#fd7e14",
+              backgroundColor: "rgba(253, 126, 20, 0.1)",
+              tension: 0.1,
+              fill: false,
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          scales: {
+            y: {
+              beginAtZero: true,
+              title: {
+                display: true,
+                text: "Checkpoints",
+              },
+            },
+            x: {
+              title: {
+                display: true,
+                text: "Generation",
+              },
+            },
+          },
+        },
+      });
+    }
+
+    // Genetic Diversity Chart: mean distance between the brains of a
+    // generation, with the random brains injected when it ran low
+    const diversityCtx = document
+      .getElementById("diversity-chart")
+      ?.getContext("2d");
+    if (diversityCtx) {
+      this.diversityChart = new Chart(diversityCtx, {
+        type: "line",
+        data: {
+          labels: [],
+          datasets: [
+            {
+              label: "Mean Pairwise Distance",
+              data: [],
+              borderColor: "#6f42c1",
+              backgroundColor: "rgba(111, 66, 193, 0.1)",
+              tension: 0.1,
+              fill: true,
+            },
+            {
+              type: "bar",
+              label: "Random Brains Injected",
+              data: [],
+              backgroundColor: "rgba(253, 126, 20, 0.6)",
+              yAxisID: "injected",
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          scales: {
+            y: {
+              beginAtZero: true,
+              title: {
+                display: true,
+                text: "RMS Weight Distance",
+              },
+            },
+            injected: {
+              position: "right",
+              beginAtZero: true,
+              grid: {
+                drawOnChartArea: false,
+              },
+              title: {
+                display: true,
+                text: "Cars",
+              },
+            },
+            x: {
+              title: {
+                display: true,
+                text: "Generation",
+              },
+            },
+          },
+        },
+      });
+    }
+
+    // Pareto Front Chart: the first two objectives of the pareto mode, the
+    // front against the rest of the population; a point can be picked to save
+    const paretoCtx = document.getElementById("pareto-chart")?.getContext("2d");
+    if (paretoCtx) {
+      this.paretoChart = new Chart(paretoCtx, {
+        type: "scatter",
+        data: {
+          datasets: [
+            {
+              label: "Pareto Front",
+              data: [],
+              backgroundColor: "#dc3545",
+              pointRadius: 5,
+            },
+            {
+              label: "Rest of the Population",
+              data: [],
+              backgroundColor: "rgba(108, 117, 125, 0.4)",
+              pointRadius: 3,
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          onClick: (event, elements) => {
+            const hit = elements.find((element) => element.datasetIndex === 0);
+            if (hit) {
+              this.selectParetoMember(hit.index);
+            }
+          },
+          scales: {
+            x: {
+              title: {
+                display: true,
+                text: "Pareto mode off",
+              },
+            },
+            y: {
+              title: {
+                display: true,
+                text: "",
+              },
+            },
+          },
+        },
+      });
+    }
   }
 
   /**
@@ -357,6 +578,13 @@ export class TrainingDashboard {
         }
       });
     }
+
+    const paretoMember = document.getElementById("pareto-member");
+    if (paretoMember) {
+      paretoMember.addEventListener("change", (e) => {
+        this.selectParetoMember(parseInt(e.target.value, 10));
+      });
+    }
   }
 
   /**
@@ -475,27 +703,18 @@ export class TrainingDashboard {
   updateDetailedAnalytics(agents) {
     if (this.fitnessHistory.length < 2) return;
 
-    // Calculate improvement rate
+    // Calculate improvement rate (shared with the adaptive mutation schedule)
     const recent = this.fitnessHistory.slice(-5);
-    const older = this.fitnessHistory.slice(-10, -5);
-    const recentAvg =
-      recent.reduce((sum, f) => sum + f.best, 0) / recent.length;
-    const olderAvg =
-      older.length > 0
-        ? older.reduce((sum, f) => sum + f.best, 0) / older.length
-        : recentAvg;
-    const improvementRate =
-      olderAvg > 0 ? ((recentAvg - olderAvg) / olderAvg) * 100 : 0;
+    const improvement = improvementRate(
+      this.fitnessHistory.map((f) => f.best),
+      5,
+    );
 
     // Calculate convergence score (inverse of fitness variance)
     const recentFitnesses = recent.map((f) => f.best);
     const variance = this.calculateVariance(recentFitnesses);
     const convergenceScore = variance > 0 ? (1 / (1 + variance)).toFixed(3) : 1;
 
-    // Calculate diversity index (fitness spread)
-    const fitnesses = agents.map((agent) => agent.fitness);
-    const diversityIndex = this.calculateVariance(fitnesses).toFixed(2);
-
     // Calculate success rate (agents completing at least 1 lap)
     const successfulAgents = agents.filter(
       (agent) => agent.lapsCompleted > 0,
@@ -503,9 +722,8 @@ export class TrainingDashboard {
     const successRate = ((successfulAgents / agents.length) * 100).toFixed(1);
 
     // Update analytics display
-    this.updateElement("improvement-rate", `${improvementRate.toFixed(1)}%`);
+    this.updateElement("improvement-rate", `${improvement.toFixed(1)}%`);
     this.updateElement("convergence-score", convergenceScore);
-    this.updateElement("diversity-index", diversityIndex);
     this.updateElement("success-rate", `${successRate}%`);
   }
 
@@ -521,6 +739,187 @@ export class TrainingDashboard {
     return squaredDiffs.reduce((sum, diff) => sum + diff, 0) / values.length;
   }
 
+  /**
+   * Show the mutation rate and strength used for the latest generation
+   * @param {number} rate - Probability of mutation for each weight
+   * @param {number} strength - Scale of a weight mutation
+   * @param {number} [scale=1] - Factor applied by the adaptive mutation schedule
+   */
+  updateMutation(rate, strength, scale = 1) {
+    const scheduled = scale !== 1 ? ` (x${scale.toFixed(2)})` : "";
+    this.updateElement(
+      "mutation-level",
+      `${(rate * 100).toFixed(0)}% / ${strength.toFixed(2)}${scheduled}`,
+    );
+  }
+
+  /**
+   * Show the size of the current best brain
+   * @param {string} description - Brain description, e.g. from NeuralNetwork.describe()
+   */
+  updateBrain(description) {
+    this.updateElement("brain-info", description);
+  }
+
+  /**
+   * Show the curriculum level the current generation trains on
+   * @param {string} description - Level description, e.g. from Curriculum.describe()
+   */
+  updateCurriculum(description) {
+    this.updateElement("curriculum-level-info", description);
+  }
+
+  /**
+   * Show what each fitness term added to the fitness of the best car of the last generation
+   * @param {Object} breakdown - Weighted term values by key of FITNESS_TERMS, see weighFitness()
+   */
+  updateFitnessBreakdown(breakdown) {
+    for (const key of Object.keys(FITNESS_TERMS)) {
+      const value = breakdown[key] ?? 0;
+      this.updateElement(`fitness-term-${key}`, formatFitnessValue(value));
+    }
+  }
+
+  /**
+   * Plot the best brain's score on the validation track next to its score on the training tracks
+   * @param {{generation: number, training: number, validation: number}} result - See Simulation.lastValidation
+   */
+  updateValidation(result) {
+    const last = this.validationHistory[this.validationHistory.length - 1];
+    if (last && last.generation === result.generation) return;
+
+    this.validationHistory.push(result);
+    if (this.validationHistory.length > this.maxHistoryLength) {
+      this.validationHistory.shift();
+    }
+
+    if (this.validationChart) {
+      this.validationChart.data.labels = this.validationHistory.map(
+        (v) => v.generation,
+      );
+      this.validationChart.data.datasets[0].data = this.validationHistory.map(
+        (v) => v.training,
+      );
+      this.validationChart.data.datasets[1].data = this.validationHistory.map(
+        (v) => v.validation,
+      );
+      this.validationChart.update("none");
+    }
+  }
+
+  /**
+   * Plot the genetic diversity of the last generation
+   * @param {{generation: number, value: number, injected: number}} diversity -
+   *   Mean pairwise brain distance and random brains injected (see Simulation.generationInfo())
+   */
+  updateDiversity(diversity) {
+    const last = this.diversityHistory[this.diversityHistory.length - 1];
+    if (last && last.generation === diversity.generation) return;
+
+    this.diversityHistory.push(diversity);
+    if (this.diversityHistory.length > this.maxHistoryLength) {
+      this.diversityHistory.shift();
+    }
+    const injected =
+      diversity.injected > 0 ? ` (${diversity.injected} injected)` : "";
+    this.updateElement(
+      "diversity-index",
+      `${diversity.value.toFixed(3)}${injected}`,
+    );
+
+    if (this.diversityChart) {
+      this.diversityChart.data.labels = this.diversityHistory.map(
+        (d) => d.generation,
+      );
+      this.diversityChart.data.datasets[0].data = this.diversityHistory.map(
+        (d) => d.value,
+      );
+      this.diversityChart.data.datasets[1].data = this.diversityHistory.map(
+        (d) => d.injected,
+      );
+      this.diversityChart.update("none");
+    }
+  }
+
+  /**
+   * Plot the Pareto front of the last generation and list its cars for saving
+   * The chart shows the first two objectives; progress, which grows
+   * exponentially, on a logarithmic axis.
+   * @param {Object|null} pareto - Objectives, front members ({ values, laps }),
+   *   objective values of the other cars and number of fronts (see
+   *   Simulation.generationInfo()), or null outside the pareto mode
+   */
+  updateParetoFront(pareto) {
+    this.paretoFront = pareto;
+    const members = pareto ? pareto.members : [];
+
+    const select = document.getElementById("pareto-member");
+    if (select) {
+      select.innerHTML = "";
+      members.forEach((member, i) => {
+        const option = document.createElement("option");
+        option.value = i;
+        option.textContent =
+          `${i + 1}. ` +
+          pareto.objectives
+            .map((key, j) => `${key} ${formatFitnessValue(member.values[j])}`)
+            .join(", ") +
+          `, ${member.laps} laps`;
+        select.appendChild(option);
+      });
+    }
+    const saveButton = document.getElementById("save-pareto-btn");
+    if (saveButton) {
+      saveButton.disabled = members.length === 0;
+    }
+
+    if (!this.paretoChart) return;
+    const point = (values) => ({ x: values[0], y: values[1] });
+    this.paretoChart.data.datasets[0].data = members.map((member) =>
+      point(member.values),
+    );
+    this.paretoChart.data.datasets[1].data = pareto
+      ? pareto.others.map(point)
+      : [];
+    ["x", "y"].forEach((axis, i) => {
+      const key = pareto ? pareto.objectives[i] : null;
+      const scale = this.paretoChart.options.scales[axis];
+      scale.type = key === "progress" ? "logarithmic" : "linear";
+      scale.title.text = key
+        ? FITNESS_TERMS[key].label
+        : i === 0
+          ? "Pareto mode off"
+          : "";
+    });
+    this.selectParetoMember(0);
+  }
+
+  /**
+   * Pick a car of the Pareto front to save, and highlight it in the chart
+   * @param {number} index - Index of the car in the front
+   */
+  selectParetoMember(index) {
+    const select = document.getElementById("pareto-member");
+    if (select && this.paretoFront) {
+      select.value = index;
+    }
+    if (this.paretoChart) {
+      this.paretoChart.data.datasets[0].pointRadius =
+        this.paretoChart.data.datasets[0].data.map((_, i) =>
+          i === index ? 8 : 5,
+        );
+      this.paretoChart.update("none");
+    }
+  }
+
+  /**
+   * Record settings of the current training run (seed, selection strategy, ...)
+   * @param {Object} config - Settings to merge into the recorded run configuration
+   */
+  setRunConfig(config) {
+    Object.assign(this.runConfig, config);
+  }
+
   /**
    * Toggle dashboard visibility
    */
@@ -545,6 +944,7 @@ export class TrainingDashboard {
   exportData() {
     const exportData = {
       timestamp: new Date().toISOString(),
+      runConfig: this.runConfig,
       totalGenerations: this.totalGenerations,
       trainingDuration: Date.now() - this.startTime,
       generationHistory: this.generationHistory,
@@ -552,6 +952,9 @@ export class TrainingDashboard {
       lapHistory: this.lapHistory,
       survivalHistory: this.survivalHistory,
       speedHistory: this.speedHistory,
+      validationHistory: this.validationHistory,
+      diversityHistory: this.diversityHistory,
+      paretoFront: this.paretoFront,
     };
 
     const dataStr = JSON.stringify(exportData, null, 2);
@@ -575,6 +978,8 @@ export class TrainingDashboard {
       this.lapHistory = [];
       this.survivalHistory = [];
       this.speedHistory = [];
+      this.validationHistory = [];
+      this.diversityHistory = [];
       this.startTime = Date.now();
       this.totalGenerations = 0;
 
@@ -605,6 +1010,22 @@ export class TrainingDashboard {
         this.speedChart.update();
       }
 
+      if (this.validationChart) {
+        this.validationChart.data.labels = [];
+        this.validationChart.data.datasets.forEach((dataset) => {
+          dataset.data = [];
+        });
+        this.validationChart.update();
+      }
+
+      if (this.diversityChart) {
+        this.diversityChart.data.labels = [];
+        this.diversityChart.data.datasets.forEach((dataset) => {
+          dataset.data = [];
+        });
+        this.diversityChart.update();
+      }
+
       // Reset summary stats
       this.updateElement("current-gen-stat", "0");
       this.updateElement("best-fitness-stat", "0");
@@ -0,0 +1,287 @@
+import { Particle } from "./particle.js";
+import { withSeed, seededScope } from "./random.js";
+import { termValues } from "./fitness.js";
+import {
+  EVALUATION_TRACKS,
+  HELD_OUT_TRACKS,
+  FITNESS_AGGREGATE,
+  FITNESS_PERCENTILE,
+  VALIDATION_EVERY,
+  maxFitness,
+} from "./config.js";
+
+/**
+ * Multi-track evaluation
+ * A score on one freshly built track says as much about the layout as about
+ * the driver. With more than one track, every brain of a generation drives
+ * each of them in turn, one round per track, and its fitness is an
+ * aggregate of its scores. The first rounds are held-out tracks, laid out
+ * from seeds of their own so they stay the same for the whole run; the rest
+ * are new tracks, built as a single-track generation builds them. Apart from
+ * these, the best brain of a generation drives the validation track, which
+ * no generation is scored on, to show how well it does on a track it never
+ * trained for.
+ */
+
+/**
+ * Mean of a list of numbers
+ * @param {number[]} values - The numbers
+ * @returns {number} The mean
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Percentile of a list of numbers, interpolating between the closest ranks
+ * @param {number[]} values - The numbers
+ * @param {number} p - The percentile, from 0 (the lowest) to 100 (the highest)
+ * @returns {number} The percentile
+ */
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (Math.max(0, Math.min(100, p)) / 100) * (sorted.length - 1);
+  const below = Math.floor(rank);
+  const above = Math.ceil(rank);
+  return sorted[below] + (sorted[above] - sorted[below]) * (rank - below);
+}
+
+/**
+ * Ways to turn the scores of a brain on every track into one fitness
+ * Each function takes the scores and the percentile setting.
+ */
+export const FITNESS_AGGREGATES = {
+  mean: { label: "Mean over the tracks", fn: (values) => mean(values) },
+  min: { label: "Worst track", fn: (values) => Math.min(...values) },
+  percentile: { label: "Percentile of the tracks", fn: percentile },
+};
+
+/**
+ * Seed of a fixed track, derived from the run seed
+ * @param {number} seed - Run seed
+ * @param {number} n - Which fixed track, from 1: 1 is the validation track, 2 and up the held-out tracks
+ * @returns {number} The track's seed
+ */
+function fixedSeed(seed, n) {
+  return (seed + Math.imul(n, 0x9e3779b9)) >>> 0;
+}
+
+/**
+ * TrackEvaluation class running the rounds of a generation and scoring them
+ * The host builds the first track with startGeneration(), hands the finished
+ * cars of each round to nextRound() until it returns null, and then calls
+ * finish() before breeding the next generation.
+ */
+export class TrackEvaluation {
+  /**
+   * Constructor for the TrackEvaluation class
+   * @param {Object} [options] - Evaluation settings, see configure()
+   * @param {number} [seed=0] - Run seed the fixed tracks are laid out from
+   */
+  constructor(options = {}, seed = 0) {
+    this.tracks = EVALUATION_TRACKS; // Tracks every brain drives per generation
+    this.heldOut = HELD_OUT_TRACKS; // Of those, tracks that stay the same for the whole run
+    this.aggregate = FITNESS_AGGREGATE; // Key of FITNESS_AGGREGATES
+    this.percentile = FITNESS_PERCENTILE; // Percentile used by the percentile aggregate
+    this.validationEvery = VALIDATION_EVERY; // Generations between validation drives, 0 for none
+    this.configure(options);
+
+    this.seed = seed;
+    this.round = 0; // Index of the track the cars drive now
+    this.rounds = this.tracks; // Tracks of the current generation, fixed when it starts
+    this.lapLengths = []; // Checkpoints in a lap of each track driven this generation
+  }
+
+  /**
+   * Change the evaluation settings; the number of tracks applies from the next generation on
+   * @param {Object} options - Any of tracks, heldOut, aggregate (a key of
+   *   FITNESS_AGGREGATES), percentile and validationEvery
+   */
+  configure(options) {
+    for (const key of [
+      "tracks",
+      "heldOut",
+      "aggregate",
+      "percentile",
+      "validationEvery",
+    ]) {
+      if (options[key] !== undefined) {
+        this[key] = options[key];
+      }
+    }
+  }
+
+  /**
+   * Start a new run: its fixed tracks are laid out from the run seed
+   * @param {number} seed - Run seed
+   */
+  reset(seed) {
+    this.seed = seed;
+    this.round = 0;
+    this.lapLengths = [];
+  }
+
+  /**
+   * Number of held-out tracks in a generation
+   * @returns {number} The held-out tracks, never more than the tracks
+   */
+  heldOutTracks() {
+    return Math.min(this.heldOut, this.tracks);
+  }
+
+  /**
+   * Describe the evaluation for logs and the run header
+   * @returns {string} e.g. "4 tracks (2 held out), mean", or "1 track"
+   */
+  describe() {
+    if (this.tracks <= 1) {
+      return this.heldOutTracks() > 0 ? "1 held-out track" : "1 track";
+    }
+    const aggregate =
+      this.aggregate === "percentile"
+        ? `percentile ${this.percentile}`
+        : this.aggregate;
+    return `${this.tracks} tracks (${this.heldOutTracks()} held out), ${aggregate}`;
+  }
+
+  /**
+   * Build the first track of a generation
+   * @param {World} world - The world to build it in
+   */
+  startGeneration(world) {
+    this.round = 0;
+    this.rounds = this.tracks;
+    this.lapLengths = [];
+    this.buildRound(world);
+  }
+
+  /**
+   * Build the track of the current round: a held-out track under its own
+   * seed, or a new track from the world's preset cycle
+   * @param {World} world - The world to build it in
+   */
+  buildRound(world) {
+    if (this.round < this.heldOutTracks()) {
+      withSeed(fixedSeed(this.seed, this.round + 2), () =>
+        world.buildFixedTrack(this.round),
+      );
+    } else {
+      world.buildTrack();
+    }
+  }
+
+  /**
+   * Record the scores of a finished round and build the next track, if any
+   * @param {World} world - The world the round was driven in
+   * @param {Particle[]} agents - Every car of the round, finished
+   * @returns {Particle[]|null} Cars with the same brains at the start of the
+   *   next track, or null after the last track
+   */
+  nextRound(world, agents) {
+    this.lapLengths.push(world.checkpoints.length);
+    for (const agent of agents) {
+      agent.trackScores.push({
+        checkpoints: agent.fitness,
+        laps: agent.lapsCompleted,
+        terms: termValues(agent),
+      });
+    }
+    if (this.round + 1 >= this.rounds) return null;
+
+    this.round++;
+    this.buildRound(world);
+    return agents.map((agent) => {
+      const car = new Particle(agent.brain, world.start);
+      car.trackScores = agent.trackScores;
+      return car;
+    });
+  }
+
+  /**
+   * Turn the scores of every car into the fitness the genetic algorithm
+   * selects on: fitness (checkpoints), lapsCompleted and every fitness term
+   * become the aggregate over the tracks, before fitness is calculated
+   * @param {Particle[]} agents - Every car of the last round, finished
+   */
+  finish(agents) {
+    const aggregate = FITNESS_AGGREGATES[this.aggregate].fn;
+    const over = (agent, value) =>
+      aggregate(agent.trackScores.map(value), this.percentile);
+    for (const agent of agents) {
+      if (agent.trackScores.length === 0) continue;
+      agent.fitness = over(agent, (score) => score.checkpoints);
+      agent.lapsCompleted = Math.floor(over(agent, (score) => score.laps));
+      agent.termValues = {};
+      for (const key of Object.keys(agent.trackScores[0].terms)) {
+        agent.termValues[key] = over(agent, (score) => score.terms[key]);
+      }
+    }
+    this.round = 0;
+  }
+
+  /**
+   * Mean lap length of the tracks driven this generation
+   * @returns {number} Checkpoints in a lap
+   */
+  lapLength() {
+    return this.lapLengths.length > 0 ? mean(this.lapLengths) : 0;
+  }
+
+  /**
+   * Whether the best brain of a generation should drive the validation track
+   * @param {number} generation - The finished generation
+   * @returns {boolean} True every validationEvery generations
+   */
+  shouldValidate(generation) {
+    return this.validationEvery > 0 && generation % this.validationEvery === 0;
+  }
+
+  /**
+   * Put a brain alone on the validation track, a track laid out from a seed
+   * of its own that no generation is scored on
+   * The drive runs under that seed, so it leaves the run's random numbers as
+   * they were even when its steps are interleaved with other work. It
+   * replaces the world's track: build the next one after the drive.
+   * @param {World} world - The world to drive in
+   * @param {NeuralNetwork|NeatNetwork} brain - The brain; it is not consumed, and must not be disposed before the drive is over
+   * @param {number} [maxSteps=10000] - Safety limit on simulation steps
+   * @returns {{car: Particle, steps: number, maxSteps: number, run: Function}} The drive, advanced by stepValidation()
+   */
+  startValidation(world, brain, maxSteps = 10000) {
+    const run = seededScope(fixedSeed(this.seed, 1));
+    const car = run(() => {
+      world.buildFixedTrack(this.heldOutTracks());
+      return new Particle(brain, world.start);
+    });
+    return { car: car, steps: 0, maxSteps: maxSteps, run: run };
+  }
+
+  /**
+   * Advance a validation drive by one simulation step
+   * @param {World} world - The world the drive started in
+   * @param {Object} drive - The drive from startValidation()
+   * @returns {{checkpoints: number, laps: number, trackName: string}|null} The
+   *   score on the track once the drive is over, otherwise null
+   */
+  stepValidation(world, drive) {
+    const { car } = drive;
+    drive.run(() => {
+      world.updateObstacles();
+      world.updateAgents([car]);
+    });
+    drive.steps++;
+    if (
+      drive.steps < drive.maxSteps &&
+      !car.dead &&
+      !car.finished &&
+      car.fitness <= maxFitness
+    ) {
+      return null;
+    }
+    return {
+      checkpoints: car.fitness,
+      laps: car.lapsCompleted,
+      trackName: world.trackName,
+    };
+  }
+}
@@ -0,0 +1,347 @@
+import { Particle } from "./particle.js";
+import { World } from "./world.js";
+import { nextGeneration, MutationSchedule, createSpeciation } from "./ga.js";
+import { TrackEvaluation } from "./evaluation.js";
+import {
+  TOTAL,
+  maxFitness,
+  MUTATION_RATE,
+  MUTATION_STRENGTH,
+  MUTATION_SCHEME,
+  MUTATION_SCHEDULE,
+  SELECTION_STRATEGY,
+  CROSSOVER_RATE,
+  CROSSOVER_OPERATOR,
+  BRAIN_TYPE,
+  BRAIN_ARCHITECTURE,
+  PHYSICS_MODEL,
+  FITNESS_WEIGHTS,
+  OBJECTIVE_MODE,
+  PARETO_OBJECTIVES,
+  SPECIATION_MODE,
+  DIVERSITY_THRESHOLD,
+  DIVERSITY_INJECTION,
+} from "./config.js";
+
+/**
+ * Evolution class running the generation loop without rendering
+ * Owns the world, the population and the genetic algorithm settings. A
+ * generation is driven one cycle at a time with stepCars(); once every car of
+ * a round has finished, nextRound() starts the next track of the evaluation
+ * until it returns false, then finishGeneration() scores the generation,
+ * stepValidation() drives the validation track if it is due and breed()
+ * creates the next generation. The command-line Trainer runs the loop at full
+ * speed, the browser Simulation a few cycles per frame.
+ */
+export class Evolution {
+  /**
+   * Constructor for the Evolution class
+   * @param {Object} [settings] - Genetic algorithm settings, see configure()
+   * @param {number} [seed=0] - Run seed the held-out and validation tracks are laid out from
+   */
+  constructor(settings = {}, seed = 0) {
+    this.world = new World();
+    this.agents = []; // Cars driving the current round
+    this.savedagents = []; // Finished cars of the current round
+    this.generationCount = 0;
+
+    // Genetic algorithm settings, passed to nextGeneration() and seedGeneration()
+    this.settings = {
+      populationSize: TOTAL,
+      mutationRate: MUTATION_RATE,
+      mutationStrength: MUTATION_STRENGTH,
+      mutation: MUTATION_SCHEME,
+      selection: SELECTION_STRATEGY,
+      crossoverRate: CROSSOVER_RATE,
+      crossover: CROSSOVER_OPERATOR,
+      brainType: BRAIN_TYPE,
+      architecture: BRAIN_ARCHITECTURE,
+      physics: PHYSICS_MODEL,
+      fitnessWeights: FITNESS_WEIGHTS,
+      objectives: OBJECTIVE_MODE,
+      paretoObjectives: PARETO_OBJECTIVES,
+      speciationMode: SPECIATION_MODE,
+      diversityThreshold: DIVERSITY_THRESHOLD,
+      diversityInjection: DIVERSITY_INJECTION,
+    };
+    this.schedule = new MutationSchedule(MUTATION_SCHEDULE);
+    this.speciation = null; // Speciation of the population, null if its brains are not speciated
+    this.evaluation = new TrackEvaluation({}, seed); // Tracks every brain drives per generation
+    this.paretoFront = null; // Pareto front of the last generation in pareto mode, with brain copies to save
+    this.validationDrive = null; // Drive of the best brain on the validation track at the end of a generation
+    this.configure(settings);
+    this.resetSpeciation();
+    this.world.physics = this.settings.physics;
+
+    this.maxSteps = 10000; // Safety limit on the cycles of a round and of a validation drive
+    this.roundSteps = 0; // Cycles the current round has run for
+    this.trackVersion = 0; // Incremented on every new track so hosts know when to resend it
+  }
+
+  /**
+   * Change genetic algorithm settings; they apply from the next generation on.
+   * A new brain type, architecture or physics model only takes effect when
+   * the population is started over; a new speciation mode starts over without species.
+   * @param {Object} settings - Any of the keys of this.settings, plus `schedule` (a key of MUTATION_SCHEDULES)
+   *   and `evaluation` (see TrackEvaluation.configure()); undefined values are ignored
+   */
+  configure(settings) {
+    const { schedule, evaluation, ...rest } = settings;
+    const respeciate =
+      rest.speciationMode !== undefined &&
+      rest.speciationMode !== this.settings.speciationMode;
+    for (const [key, value] of Object.entries(rest)) {
+      if (value !== undefined) {
+        this.settings[key] = value;
+      }
+    }
+    if (respeciate) {
+      this.resetSpeciation();
+    }
+    if (schedule !== undefined) {
+      // The schedule keeps its fitness history, so switching modes takes effect immediately
+      this.schedule.mode = schedule;
+    }
+    if (evaluation !== undefined) {
+      this.evaluation.configure(evaluation);
+    }
+  }
+
+  /**
+   * Start the speciation of the population over for the brain type and
+   * speciation mode of the settings
+   */
+  resetSpeciation() {
+    if (this.speciation) {
+      this.speciation.dispose();
+    }
+    this.speciation = createSpeciation(
+      this.settings.speciationMode,
+      this.settings.brainType,
+    );
+  }
+
+  /**
+   * Options for nextGeneration() and seedGeneration()
+   * @returns {Object} The genetic algorithm options
+   */
+  geneticOptions() {
+    return {
+      ...this.settings,
+      schedule: this.schedule,
+      speciation: this.speciation,
+    };
+  }
+
+  /**
+   * Create a car with a new random brain of the current type and architecture
+   * @returns {Particle} The car
+   */
+  randomAgent() {
+    return new Particle(
+      null,
+      this.world.start,
+      this.settings.brainType,
+      this.settings.architecture,
+    );
+  }
+
+  /**
+   * Build the first track of a new generation
+   */
+  buildTrack() {
+    this.evaluation.startGeneration(this.world);
+    this.roundSteps = 0;
+    this.trackVersion++;
+  }
+
+  /**
+   * Advance the world and every car by one cycle
+   * Cars that crashed or finished join savedagents. Once a car passes
+   * maxFitness, or the round reaches maxSteps, the cars still driving join
+   * them as they are and the round is over.
+   * @returns {boolean} True if the round is over
+   */
+  stepCars() {
+    this.world.updateObstacles();
+
+    // Update all agents with one batched brain evaluation
+    try {
+      this.world.updateAgents(this.agents);
+    } catch (error) {
+      console.error(
+        "Error in batched update, updating agents one by one:",
+        error,
+      );
+      // No car has moved yet if sensing or inference failed, so step them individually
+      for (let i = this.agents.length - 1; i >= 0; i--) {
+        try {
+          this.world.updateAgent(this.agents[i]);
+        } catch (error) {
+          console.error("Error updating agent:", error);
+          // Remove problematic agent
+          const problematicAgent = this.agents.splice(i, 1)[0];
+          if (problematicAgent) {
+            problematicAgent.dispose();
+          }
+        }
+      }
+    }
+
+    // Remove dead or finished agents
+    let changeMap = false;
+    for (let i = this.agents.length - 1; i >= 0; i--) {
+      const agent = this.agents[i];
+      if (agent.dead || agent.finished) {
+        this.savedagents.push(this.agents.splice(i, 1)[0]);
+      }
+
+      // End the round if fitness threshold is reached
+      if (agent.fitness > maxFitness) {
+        changeMap = true;
+      }
+    }
+
+    this.roundSteps++;
+    if (changeMap || this.roundSteps >= this.maxSteps) {
+      this.retireAgents();
+    }
+    return this.agents.length === 0;
+  }
+
+  /**
+   * End the round for the cars still driving: they join the finished ones
+   * and are scored as they are
+   */
+  retireAgents() {
+    for (let i = this.agents.length - 1; i >= 0; i--) {
+      this.savedagents.push(this.agents.splice(i, 1)[0]);
+    }
+  }
+
+  /**
+   * Once every car of the round has finished, send them onto the next track
+   * of the evaluation
+   * @returns {boolean} False if that was the last track of the generation
+   */
+  nextRound() {
+    const cars = this.evaluation.nextRound(this.world, this.savedagents);
+    if (!cars) return false;
+    this.agents = cars;
+    this.savedagents = [];
+    this.roundSteps = 0;
+    this.trackVersion++;
+    return true;
+  }
+
+  /**
+   * Score the generation after its last round: aggregate the track scores,
+   * let the curriculum judge it and, if a validation is due, put the best
+   * brain on the validation track. Advance that drive with stepValidation()
+   * until validationDrive is null, then breed the next generation with breed().
+   * @param {Function} [evaluated] - Called once fitness is aggregated, before the curriculum or the validation drive change the world
+   * @returns {string|null} The curriculum's promotion or demotion, if any
+   */
+  finishGeneration(evaluated = () => {}) {
+    this.evaluation.finish(this.savedagents);
+    evaluated();
+    const curriculumChange = this.world.recordGeneration(
+      this.savedagents,
+      this.evaluation.lapLength(),
+    );
+
+    // Fitness is not normalised yet, so the best car is the one that drove best
+    if (
+      this.savedagents.length > 0 &&
+      this.evaluation.shouldValidate(this.generationCount)
+    ) {
+      const best = this.savedagents.reduce((a, b) =>
+        b.fitness > a.fitness ? b : a,
+      );
+      this.validationDrive = {
+        ...this.evaluation.startValidation(
+          this.world,
+          best.brain,
+          this.maxSteps,
+        ),
+        training: best.fitness,
+      };
+      this.trackVersion++;
+    }
+    return curriculumChange;
+  }
+
+  /**
+   * Advance the validation drive by one cycle
+   * @returns {{checkpoints: number, laps: number, trackName: string, training: number}|null}
+   *   Once the drive is over, the best brain's score on the validation track
+   *   and its fitness in training; otherwise null
+   */
+  stepValidation() {
+    const score = this.evaluation.stepValidation(
+      this.world,
+      this.validationDrive,
+    );
+    if (!score) return null;
+    const { training } = this.validationDrive;
+    this.validationDrive = null;
+    return { ...score, training: training };
+  }
+
+  /**
+   * Build the first track of the next generation and breed it from the scored cars
+   * @param {Function} saveStateCallback - Receives (bestBrain, generationCount), see nextGeneration()
+   * @returns {Promise<Object>} The result of nextGeneration()
+   */
+  async breed(saveStateCallback) {
+    this.buildTrack();
+    const result = await nextGeneration(
+      this.agents,
+      this.savedagents,
+      this.generationCount,
+      this.world.start,
+      saveStateCallback,
+      this.geneticOptions(),
+    );
+    this.agents = result.newAgents;
+    this.savedagents = result.newSavedAgents;
+    this.generationCount = result.newGenerationCount;
+    this.setParetoFront(result.paretoFront);
+    return result;
+  }
+
+  /**
+   * Keep the Pareto front of the last generation, disposing the brains of the previous one
+   * @param {Object|null} front - The front from nextGeneration(), or null
+   */
+  setParetoFront(front) {
+    if (this.paretoFront) {
+      for (const member of this.paretoFront.members) {
+        member.brain.dispose();
+      }
+    }
+    this.paretoFront = front;
+  }
+
+  /**
+   * Dispose every car of the current population
+   */
+  clearPopulation() {
+    for (const agent of this.agents.concat(this.savedagents)) {
+      agent.dispose();
+    }
+    this.agents = [];
+    this.savedagents = [];
+  }
+
+  /**
+   * Dispose of every brain in the population, on the Pareto front and representing a species
+   */
+  dispose() {
+    this.clearPopulation();
+    this.setParetoFront(null);
+    if (this.speciation) {
+      this.speciation.dispose();
+    }
+  }
+}
@@ -0,0 +1,139 @@
+import { SIGHT, TIME_STEP, FITNESS_WEIGHTS } from "./config.js";
+
+/**
+ * Fitness terms
+ * A car's fitness is a weighted sum of terms, each measuring one thing about
+ * how it drove. Higher is better for every term, so the penalties (jerk and
+ * collisions) are zero or negative. With the default FITNESS_WEIGHTS only
+ * progress counts, the classic 2^checkpoints. The terms read what a Particle
+ * records while it drives; call termValues() when its run is over.
+ */
+
+const MIN_FITNESS = 1e-6; // Fitness of a car whose penalties outweigh its rewards, so selection can still pick it
+
+/**
+ * Terms a fitness can be built from
+ * Each function takes a finished car and returns the unweighted value of the term.
+ */
+export const FITNESS_TERMS = {
+  progress: {
+    label: "Progress (2^checkpoints)",
+    fn: (agent) => Math.pow(2, agent.fitness),
+  },
+  lapTime: {
+    label: "Lap time (laps per minute of the fastest lap)",
+    fn: (agent) =>
+      agent.fastestLap < Infinity ? 60 / (agent.fastestLap * TIME_STEP) : 0,
+  },
+  speed: {
+    label: "Average speed (pixels per second)",
+    fn: (agent) =>
+      agent.steps > 0 ? agent.distance / (agent.steps * TIME_STEP) : 0,
+  },
+  clearance: {
+    label: "Obstacle clearance (share of the sensor range)",
+    fn: (agent) => Math.min(agent.minClearance, SIGHT) / SIGHT,
+  },
+  jerk: {
+    label: "Steering jerk (penalty)",
+    fn: (agent) => (agent.steps > 0 ? -agent.jerk / agent.steps : 0),
+  },
+  collisions: {
+    label: "Collisions (penalty)",
+    fn: (agent) => (agent.crashed ? -1 : 0),
+  },
+};
+
+/**
+ * Unweighted value of every term for a car
+ * @param {Particle} agent - The car, with fitness still counting checkpoints
+ * @returns {Object} Term values by key of FITNESS_TERMS
+ */
+export function termValues(agent) {
+  const values = {};
+  for (const [key, term] of Object.entries(FITNESS_TERMS)) {
+    values[key] = term.fn(agent);
+  }
+  return values;
+}
+
+/**
+ * Weigh the terms of a car
+ * @param {Object} values - Term values, see termValues()
+ * @param {Object} [weights=FITNESS_WEIGHTS] - Weight by key of FITNESS_TERMS; missing terms weigh 0
+ * @returns {{breakdown: Object, fitness: number}} What every term adds to the
+ *   fitness, and the fitness: their sum, but never below a small positive value
+ */
+export function weighFitness(values, weights = FITNESS_WEIGHTS) {
+  const breakdown = {};
+  let sum = 0;
+  for (const key of Object.keys(FITNESS_TERMS)) {
+    const weight = weights[key] ?? 0;
+    breakdown[key] = weight !== 0 ? weight * values[key] : 0;
+    sum += breakdown[key];
+  }
+  return { breakdown: breakdown, fitness: Math.max(sum, MIN_FITNESS) };
+}
+
+/**
+ * Format fitness weights as a spec such as "progress=1,speed=0.5", leaving out terms that weigh 0
+ * @param {Object} weights - Weight by key of FITNESS_TERMS
+ * @returns {string} The spec
+ */
+export function formatFitnessWeights(weights) {
+  return Object.keys(FITNESS_TERMS)
+    .filter((key) => (weights[key] ?? 0) !== 0)
+    .map((key) => `${key}=${weights[key]}`)
+    .join(",");
+}
+
+/**
+ * Parse a fitness weight spec such as "progress=1,speed=0.5". Terms left out weigh 0.
+ * @param {string} spec - Comma-separated term=weight pairs
+ * @returns {Object} Weight by key of FITNESS_TERMS
+ * @throws {Error} If a term is unknown or a weight is not a number
+ */
+export function parseFitnessWeights(spec) {
+  const weights = Object.fromEntries(
+    Object.keys(FITNESS_TERMS).map((key) => [key, 0]),
+  );
+  if (spec.trim() === "") return weights;
+  for (const part of spec.split(",")) {
+    const [key, weightText = ""] = part.trim().split("=");
+    if (!Object.hasOwn(FITNESS_TERMS, key)) {
+      throw new Error(
+        `Unknown fitness term "${key}" (use ${Object.keys(FITNESS_TERMS).join(", ")})`,
+      );
+    }
+    const weight = Number(weightText);
+    if (weightText.trim() === "" || !Number.isFinite(weight)) {
+      throw new Error(`Fitness weight must be a number (got "${part.trim()}")`);
+    }
+    weights[key] = weight;
+  }
+  return weights;
+}
+
+/**
+ * Parse the fitness terms of a Pareto ranking, such as "progress,clearance"
+ * @param {string} spec - Comma-separated keys of FITNESS_TERMS
+ * @returns {string[]} The keys, in the order given
+ * @throws {Error} If a term is unknown or repeated, or fewer than two terms are given
+ */
+export function parseObjectives(spec) {
+  const objectives = spec.split(",").map((key) => key.trim());
+  for (const key of objectives) {
+    if (!Object.hasOwn(FITNESS_TERMS, key)) {
+      throw new Error(
+        `Unknown fitness term "${key}" (use ${Object.keys(FITNESS_TERMS).join(", ")})`,
+      );
+    }
+  }
+  if (new Set(objectives).size !== objectives.length) {
+    throw new Error(`A fitness term is listed twice in "${spec}"`);
+  }
+  if (objectives.length < 2) {
+    throw new Error("A Pareto front needs at least two fitness terms");
+  }
+  return objectives;
+}
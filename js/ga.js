@@ -1,5 +1,32 @@
 import { Particle } from "./particle.js";
-import { TOTAL, ELITISM_COUNT } from "./config.js"; // MUTATION_RATE is now used in Particle
+import { NeatNetwork } from "./neat.js";
+import { random, randomGaussian } from "./random.js";
+import {
+  TOTAL,
+  ELITISM_COUNT,
+  MUTATION_RATE,
+  MUTATION_STRENGTH,
+  MUTATION_SCHEME,
+  MUTATION_SCHEDULE,
+  SCHEDULE_WINDOW,
+  STALL_THRESHOLD,
+  SCHEDULE_FACTOR,
+  SELECTION_STRATEGY,
+  TOURNAMENT_SIZE,
+  TRUNCATION_RATIO,
+  CROSSOVER_RATE,
+  CROSSOVER_OPERATOR,
+  BRAIN_TYPE,
+  BRAIN_ARCHITECTURE,
+  NEAT_COMPATIBILITY_THRESHOLD,
+  FITNESS_WEIGHTS,
+  OBJECTIVE_MODE,
+  PARETO_OBJECTIVES,
+  SPECIATION_MODE,
+  WEIGHT_COMPATIBILITY_THRESHOLD,
+  DIVERSITY_THRESHOLD,
+  DIVERSITY_INJECTION,
+} from "./config.js";
 
 /**
  * Calculate the next generation of cars using genetic algorithm
@@ -8,9 +35,32 @@ import { TOTAL, ELITISM_COUNT } from "./config.js"; // MUTATION_RATE is now used
  * @param {Particle[]} currentAgents - The current array of agents.
  * @param {Particle[]} currentSavedAgents - The array of agents from the previous generation.
  * @param {number} currentGenerationCount - The current generation number.
- * @param {p5.Vector} startPos - The starting position for new particles.
+ * @param {Vec2} startPos - The starting position for new particles.
  * @param {Function} saveStateCallback - A callback function to save the simulation state.
- * @returns {Object} An object containing the new agents, cleared saved agents, and incremented generation count.
+ * @param {Object} [options] - Genetic algorithm settings.
+ * @param {number} [options.populationSize=TOTAL] - Number of agents in the new generation.
+ * @param {number} [options.mutationRate=MUTATION_RATE] - Probability of mutation for each weight.
+ * @param {number} [options.mutationStrength=MUTATION_STRENGTH] - Scale of a weight mutation.
+ * @param {string} [options.mutation=MUTATION_SCHEME] - Key of MUTATION_SCHEMES.
+ * @param {MutationSchedule} [options.schedule] - Adaptive schedule that scales mutation rate and strength when fitness stalls.
+ * @param {string} [options.selection=SELECTION_STRATEGY] - Key of SELECTION_STRATEGIES used to pick parents.
+ * @param {number} [options.tournamentSize=TOURNAMENT_SIZE] - Agents drawn per tournament.
+ * @param {number} [options.truncationRatio=TRUNCATION_RATIO] - Fraction of agents allowed to breed under truncation.
+ * @param {number} [options.crossoverRate=CROSSOVER_RATE] - Probability that a child is bred from two parents instead of cloned from one.
+ * @param {string} [options.crossover=CROSSOVER_OPERATOR] - Key of CROSSOVER_OPERATORS used to recombine two parents.
+ * @param {string} [options.brainType=BRAIN_TYPE] - Key of BRAIN_TYPES for random agents when nobody survived to breed.
+ * @param {Architecture} [options.architecture=BRAIN_ARCHITECTURE] - Layers of random dense agents when nobody survived to breed.
+ * @param {Speciation} [options.speciation] - Groups agents into species and shares fitness within each species before selection.
+ * @param {Object} [options.fitnessWeights=FITNESS_WEIGHTS] - Weight of each fitness term, by key of FITNESS_TERMS.
+ * @param {string} [options.objectives=OBJECTIVE_MODE] - Key of OBJECTIVE_MODES: select on the weighted sum or on the Pareto front.
+ * @param {string[]} [options.paretoObjectives=PARETO_OBJECTIVES] - Keys of FITNESS_TERMS the pareto mode maximises.
+ * @param {number} [options.diversityThreshold=DIVERSITY_THRESHOLD] - Diversity below which random agents are injected, 0 for never.
+ * @param {number} [options.diversityInjection=DIVERSITY_INJECTION] - Share of the new generation that is injected then.
+ * @returns {Object} An object containing the new agents, cleared saved agents, incremented generation count,
+ *   the fitness breakdown of the best agent (null if no agent was evaluated), in pareto mode the
+ *   Pareto front (see paretoFront(); its brains are copies owned by the caller), otherwise null,
+ *   the diversity of the evaluated agents (see populationDiversity(), null if none was evaluated)
+ *   and the number of random agents injected.
  */
 export async function nextGeneration(
   currentAgents,
@@ -18,44 +68,128 @@ export async function nextGeneration(
   currentGenerationCount,
   startPos,
   saveStateCallback,
+  options = {},
 ) {
   console.log("Generating next generation");
 
+  const {
+    populationSize = TOTAL,
+    mutationRate = MUTATION_RATE,
+    mutationStrength = MUTATION_STRENGTH,
+    schedule = null,
+    selection = SELECTION_STRATEGY,
+    crossoverRate = CROSSOVER_RATE,
+    brainType = BRAIN_TYPE,
+    architecture = BRAIN_ARCHITECTURE,
+    speciation = null,
+    fitnessWeights = FITNESS_WEIGHTS,
+    objectives = OBJECTIVE_MODE,
+    paretoObjectives = PARETO_OBJECTIVES,
+    diversityThreshold = DIVERSITY_THRESHOLD,
+    diversityInjection = DIVERSITY_INJECTION,
+  } = options;
+  if (!Object.hasOwn(OBJECTIVE_MODES, objectives)) {
+    throw new Error(`Unknown objective mode "${objectives}"`);
+  }
+
   let brainToPersist = null;
+  let fitnessBreakdown = null;
+  let pareto = null;
+  let diversity = null;
   let eliteBrains = [];
+  let offspringOptions = options;
 
   // Only calculate fitness if there are saved agents to evaluate
   if (currentSavedAgents.length > 0) {
-    calculateFitness(currentSavedAgents);
-    // Sort savedagents by fitness in descending order
-    currentSavedAgents.sort((a, b) => b.fitness - a.fitness);
+    diversity = populationDiversity(
+      currentSavedAgents.map((agent) => agent.brain),
+    );
+
+    // Let the schedule see the raw best fitness (checkpoints) before it is normalized
+    if (schedule) {
+      schedule.record(
+        Math.max(...currentSavedAgents.map((agent) => agent.fitness)),
+      );
+      offspringOptions = {
+        ...options,
+        ...schedule.apply(mutationRate, mutationStrength),
+      };
+    }
+
+    calculateFitness(currentSavedAgents, fitnessWeights);
+    if (objectives === "pareto") {
+      // Replaces the weighted fitness with the NSGA-II rank and sorts by it
+      const ranking = rankPareto(currentSavedAgents, paretoObjectives);
+      pareto = paretoFront(currentSavedAgents, ranking);
+    } else {
+      // Sort savedagents by fitness in descending order
+      currentSavedAgents.sort((a, b) => b.fitness - a.fitness);
+    }
     // Get a copy of the best brain *before* disposing the original agents
     brainToPersist = currentSavedAgents[0].brain.copy();
+    fitnessBreakdown = currentSavedAgents[0].fitnessBreakdown;
 
     // Create copies of elite brains before disposing agents
     const actualElites = Math.min(ELITISM_COUNT, currentSavedAgents.length);
     for (let i = 0; i < actualElites; i++) {
       eliteBrains.push(currentSavedAgents[i].brain.copy());
     }
+
+    // Elites and the persisted brain are the raw best; parents are selected on shared fitness
+    if (speciation) {
+      speciation.shareFitness(currentSavedAgents);
+      currentSavedAgents.sort((a, b) => b.fitness - a.fitness);
+    }
   }
 
   let newAgents = []; // This will be the new generation
   const actualElites = Math.min(ELITISM_COUNT, currentSavedAgents.length);
 
-  // Implement elitism: use the copied elite brains
+  // Implement elitism: the new particles take ownership of the copied elite brains
   for (let i = 0; i < actualElites && i < eliteBrains.length; i++) {
     newAgents.push(new Particle(eliteBrains[i], startPos));
   }
 
   // Create the rest of the new generation
+  let injected = 0;
   if (currentSavedAgents.length > 0) {
-    for (let i = actualElites; i < TOTAL; i++) {
-      newAgents.push(pickOne(currentSavedAgents, startPos));
+    // A converged population gets random agents in place of some offspring
+    if (diversity < diversityThreshold) {
+      injected = Math.min(
+        populationSize - actualElites,
+        Math.round(populationSize * diversityInjection),
+      );
+    }
+    const offspringCount = populationSize - actualElites - injected;
+    const parents = selectParents(
+      currentSavedAgents,
+      offspringCount,
+      selection,
+      options,
+    );
+    // Second parents are only drawn when crossover is on, so runs without
+    // crossover consume the same random numbers as before
+    const partners =
+      crossoverRate > 0
+        ? selectParents(currentSavedAgents, offspringCount, selection, options)
+        : [];
+    for (let i = 0; i < parents.length; i++) {
+      newAgents.push(
+        createOffspring(
+          parents[i],
+          partners[i] ?? null,
+          startPos,
+          offspringOptions,
+        ),
+      );
+    }
+    for (let i = 0; i < injected; i++) {
+      newAgents.push(new Particle(null, startPos, brainType, architecture));
     }
   } else {
     // If no saved agents (e.g., first generation where all died), create all new random particles
-    for (let i = actualElites; i < TOTAL; i++) {
-      newAgents.push(new Particle(null, startPos));
+    for (let i = actualElites; i < populationSize; i++) {
+      newAgents.push(new Particle(null, startPos, brainType, architecture));
     }
   }
 
@@ -64,11 +198,6 @@ export async function nextGeneration(
     currentSavedAgents[i].dispose();
   }
 
-  // Dispose of elite brain copies after creating new particles
-  for (let i = 0; i < eliteBrains.length; i++) {
-    eliteBrains[i].dispose();
-  }
-
   let newSavedAgents = []; // Clear the savedagents array for the next cycle
 
   let newGenerationCount = currentGenerationCount + 1; // Increment generation count here
@@ -85,48 +214,877 @@ export async function nextGeneration(
     newAgents: newAgents,
     newSavedAgents: newSavedAgents,
     newGenerationCount: newGenerationCount,
+    fitnessBreakdown: fitnessBreakdown,
+    paretoFront: pareto,
+    diversity: diversity,
+    injected: injected,
   };
 }
 
 /**
- * Select one parent and create a mutated offspring
- * Uses roulette wheel selection based on fitness
- * @param {Particle[]} savedAgents - The array of agents from the previous generation.
- * @param {p5.Vector} startPos - The starting position for the new particle.
- * @returns {Particle} A new Particle instance (offspring)
+ * Create a generation descended from a single brain (e.g. a loaded model)
+ * The first agent drives the brain unchanged; the rest are mutated copies.
+ * @param {NeuralNetwork} brain - The brain to seed from. It is copied, not consumed.
+ * @param {Vec2} startPos - The starting position for the new particles.
+ * @param {Object} [options] - Genetic algorithm settings.
+ * @param {number} [options.populationSize=TOTAL] - Number of agents in the generation.
+ * @param {number} [options.mutationRate=MUTATION_RATE] - Probability of mutation for each weight.
+ * @param {number} [options.mutationStrength=MUTATION_STRENGTH] - Scale of a weight mutation.
+ * @param {string} [options.mutation=MUTATION_SCHEME] - Key of MUTATION_SCHEMES.
+ * @returns {Particle[]} The new agents
+ */
+export function seedGeneration(brain, startPos, options = {}) {
+  const { populationSize = TOTAL } = options;
+
+  const newAgents = [new Particle(brain.copy(), startPos)];
+  for (let i = 1; i < populationSize; i++) {
+    const child = new Particle(brain.copy(), startPos);
+    mutateBrain(child.brain, options);
+    newAgents.push(child);
+  }
+  return newAgents;
+}
+
+/**
+ * Selection strategies
+ * Every strategy shares the signature select(savedAgents, count, options) and
+ * returns `count` parents (with repetition) from savedAgents, which must hold
+ * normalized fitness values (summing to 1) sorted in descending order.
+ * All randomness comes from random.js so a run stays reproducible per seed.
+ */
+export const SELECTION_STRATEGIES = {
+  roulette: { label: "Roulette wheel", select: rouletteSelection },
+  tournament: { label: "Tournament", select: tournamentSelection },
+  rank: { label: "Rank-based", select: rankSelection },
+  sus: { label: "Stochastic universal sampling", select: susSelection },
+  truncation: { label: "Truncation", select: truncationSelection },
+};
+
+/**
+ * Select parents with the named strategy
+ * @param {Particle[]} savedAgents - Evaluated agents, sorted by normalized fitness in descending order.
+ * @param {number} count - Number of parents to select.
+ * @param {string} [strategy=SELECTION_STRATEGY] - Key of SELECTION_STRATEGIES.
+ * @param {Object} [options] - Strategy settings (tournamentSize, truncationRatio).
+ * @returns {Particle[]} The selected parents
+ */
+export function selectParents(
+  savedAgents,
+  count,
+  strategy = SELECTION_STRATEGY,
+  options = {},
+) {
+  if (!Object.hasOwn(SELECTION_STRATEGIES, strategy)) {
+    throw new Error(`Unknown selection strategy "${strategy}"`);
+  }
+  return SELECTION_STRATEGIES[strategy].select(savedAgents, count, options);
+}
+
+/**
+ * Roulette wheel selection: pick each parent with probability proportional to fitness
+ * @param {Particle[]} savedAgents - Evaluated agents with normalized fitness.
+ * @param {number} count - Number of parents to select.
+ * @returns {Particle[]} The selected parents
+ */
+function rouletteSelection(savedAgents, count) {
+  const parents = [];
+  for (let i = 0; i < count; i++) {
+    let index = 0;
+    let r = random(1);
+    while (r > 0 && index < savedAgents.length) {
+      r = r - savedAgents[index].fitness;
+      index++;
+    }
+    parents.push(savedAgents[Math.max(index - 1, 0)]);
+  }
+  return parents;
+}
+
+/**
+ * Tournament selection: the fittest of a few uniformly drawn agents wins
+ * @param {Particle[]} savedAgents - Evaluated agents with normalized fitness.
+ * @param {number} count - Number of parents to select.
+ * @param {Object} [options] - Strategy settings.
+ * @param {number} [options.tournamentSize=TOURNAMENT_SIZE] - Agents drawn per tournament.
+ * @returns {Particle[]} The selected parents
+ */
+function tournamentSelection(savedAgents, count, options = {}) {
+  const { tournamentSize = TOURNAMENT_SIZE } = options;
+  const parents = [];
+  for (let i = 0; i < count; i++) {
+    let winner = null;
+    for (let j = 0; j < tournamentSize; j++) {
+      const contender = savedAgents[Math.floor(random(savedAgents.length))];
+      if (!winner || contender.fitness > winner.fitness) {
+        winner = contender;
+      }
+    }
+    parents.push(winner);
+  }
+  return parents;
+}
+
+/**
+ * Rank-based selection: roulette over linear ranks instead of raw fitness,
+ * so a single outlier cannot take over the whole next generation
+ * @param {Particle[]} savedAgents - Evaluated agents sorted by fitness in descending order.
+ * @param {number} count - Number of parents to select.
+ * @returns {Particle[]} The selected parents
+ */
+function rankSelection(savedAgents, count) {
+  const n = savedAgents.length;
+  const totalRank = (n * (n + 1)) / 2;
+  const parents = [];
+  for (let i = 0; i < count; i++) {
+    // The best agent has weight n, the worst has weight 1
+    let r = random(totalRank);
+    let index = 0;
+    while (index < n - 1 && r >= n - index) {
+      r -= n - index;
+      index++;
+    }
+    parents.push(savedAgents[index]);
+  }
+  return parents;
+}
+
+/**
+ * Stochastic universal sampling: one spin with `count` evenly spaced pointers,
+ * giving fitness-proportional selection with minimal spread
+ * @param {Particle[]} savedAgents - Evaluated agents with normalized fitness.
+ * @param {number} count - Number of parents to select.
+ * @returns {Particle[]} The selected parents
  */
-export function pickOne(savedAgents, startPos) {
-  // Roulette wheel selection
+function susSelection(savedAgents, count) {
+  const step = 1 / count;
+  let pointer = random(step);
+  let cumulative = savedAgents[0].fitness;
   let index = 0;
-  let r = random(1);
-  while (r > 0) {
-    r = r - savedAgents[index].fitness;
-    index++;
+  const parents = [];
+  for (let i = 0; i < count; i++) {
+    while (pointer > cumulative && index < savedAgents.length - 1) {
+      index++;
+      cumulative += savedAgents[index].fitness;
+    }
+    parents.push(savedAgents[index]);
+    pointer += step;
+  }
+  return parents;
+}
+
+/**
+ * Truncation selection: pick uniformly among the top fraction of agents
+ * @param {Particle[]} savedAgents - Evaluated agents sorted by fitness in descending order.
+ * @param {number} count - Number of parents to select.
+ * @param {Object} [options] - Strategy settings.
+ * @param {number} [options.truncationRatio=TRUNCATION_RATIO] - Fraction of agents allowed to breed.
+ * @returns {Particle[]} The selected parents
+ */
+function truncationSelection(savedAgents, count, options = {}) {
+  const { truncationRatio = TRUNCATION_RATIO } = options;
+  const poolSize = Math.max(
+    1,
+    Math.min(
+      savedAgents.length,
+      Math.ceil(savedAgents.length * truncationRatio),
+    ),
+  );
+  const parents = [];
+  for (let i = 0; i < count; i++) {
+    parents.push(savedAgents[Math.floor(random(poolSize))]);
+  }
+  return parents;
+}
+
+/**
+ * Crossover operators
+ * Every operator shares the signature cross(weightsA, weightsB) over the
+ * arrays returned by NeuralNetwork.getWeightArrays() of two parents with the
+ * same architecture, and returns the child's weight arrays.
+ */
+export const CROSSOVER_OPERATORS = {
+  uniform: { label: "Uniform (per weight)", cross: uniformCrossover },
+  "single-point": {
+    label: "Single-point (flattened weights)",
+    cross: singlePointCrossover,
+  },
+  neuron: { label: "Per neuron", cross: neuronCrossover },
+  layer: { label: "Per layer", cross: layerCrossover },
+};
+
+/**
+ * Breed a child brain from two parent brains
+ * NEAT brains always use NEAT crossover, which aligns genes by innovation
+ * number; the operator only applies to dense brains.
+ * @param {NeuralNetwork|NeatNetwork} brainA - Fitter parent brain. It is read, not consumed.
+ * @param {NeuralNetwork|NeatNetwork} brainB - Other parent brain. It is read, not consumed.
+ * @param {string} [operator=CROSSOVER_OPERATOR] - Key of CROSSOVER_OPERATORS.
+ * @returns {NeuralNetwork|NeatNetwork} A new brain owned by the caller
+ */
+export function crossover(brainA, brainB, operator = CROSSOVER_OPERATOR) {
+  if (!Object.hasOwn(CROSSOVER_OPERATORS, operator)) {
+    throw new Error(`Unknown crossover operator "${operator}"`);
+  }
+
+  let child;
+  if (brainA instanceof NeatNetwork && brainB instanceof NeatNetwork) {
+    child = brainA.crossover(brainB);
+  } else {
+    const weightsA = brainA.getWeightArrays();
+    const weightsB = brainB.getWeightArrays();
+    child = brainA.copy();
+    if (
+      brainA.constructor !== brainB.constructor ||
+      !sameArchitecture(weightsA, weightsB)
+    ) {
+      console.warn("Cannot cross brains of different shapes, cloning parent A");
+      return child;
+    }
+    child.setWeightArrays(
+      CROSSOVER_OPERATORS[operator].cross(weightsA, weightsB),
+    );
+  }
+
+  if (brainA.sigma !== null && brainB.sigma !== null) {
+    child.sigma = Math.sqrt(brainA.sigma * brainB.sigma); // Geometric mean of the parents' sigma
+  }
+  return child;
+}
+
+/**
+ * Check that two sets of weight arrays have identical shapes
+ * @param {Object[]} weightsA - Weight arrays of the first parent.
+ * @param {Object[]} weightsB - Weight arrays of the second parent.
+ * @returns {boolean} True if every tensor has the same shape
+ */
+function sameArchitecture(weightsA, weightsB) {
+  return (
+    weightsA.length === weightsB.length &&
+    weightsA.every((w, i) => w.shape.join("x") === weightsB[i].shape.join("x"))
+  );
+}
+
+/**
+ * Uniform crossover: every weight comes from either parent with equal probability
+ * @param {Object[]} weightsA - Weight arrays of the first parent.
+ * @param {Object[]} weightsB - Weight arrays of the second parent.
+ * @returns {Object[]} The child's weight arrays
+ */
+function uniformCrossover(weightsA, weightsB) {
+  return weightsA.map((w, i) => ({
+    values: w.values.map((value, j) =>
+      random(1) < 0.5 ? value : weightsB[i].values[j],
+    ),
+    shape: w.shape,
+  }));
+}
+
+/**
+ * Single-point crossover: the flattened weight vector is cut at one random
+ * point, taking everything before it from parent A and the rest from parent B
+ * @param {Object[]} weightsA - Weight arrays of the first parent.
+ * @param {Object[]} weightsB - Weight arrays of the second parent.
+ * @returns {Object[]} The child's weight arrays
+ */
+function singlePointCrossover(weightsA, weightsB) {
+  const total = weightsA.reduce((sum, w) => sum + w.values.length, 0);
+  const cut = Math.floor(random(1, total));
+  let offset = 0;
+  return weightsA.map((w, i) => {
+    const values = w.values.slice();
+    for (let j = 0; j < values.length; j++) {
+      if (offset + j >= cut) {
+        values[j] = weightsB[i].values[j];
+      }
+    }
+    offset += values.length;
+    return { values: values, shape: w.shape };
+  });
+}
+
+/**
+ * Per-neuron crossover: each neuron inherits its incoming weights and bias
+ * together from one parent, keeping the features it learned intact.
+ * Expects dense layers stored as a [inputs, units] kernel followed by a bias.
+ * @param {Object[]} weightsA - Weight arrays of the first parent.
+ * @param {Object[]} weightsB - Weight arrays of the second parent.
+ * @returns {Object[]} The child's weight arrays
+ */
+function neuronCrossover(weightsA, weightsB) {
+  const child = weightsA.map((w) => ({
+    values: w.values.slice(),
+    shape: w.shape,
+  }));
+  for (let i = 0; i + 1 < child.length; i += 2) {
+    const [inputs, units] = child[i].shape;
+    for (let unit = 0; unit < units; unit++) {
+      if (random(1) < 0.5) continue; // Keep parent A's neuron
+      for (let row = 0; row < inputs; row++) {
+        child[i].values[row * units + unit] =
+          weightsB[i].values[row * units + unit];
+      }
+      child[i + 1].values[unit] = weightsB[i + 1].values[unit];
+    }
+  }
+  return child;
+}
+
+/**
+ * Layer-wise crossover: each dense layer (kernel and bias) comes whole from one parent
+ * @param {Object[]} weightsA - Weight arrays of the first parent.
+ * @param {Object[]} weightsB - Weight arrays of the second parent.
+ * @returns {Object[]} The child's weight arrays
+ */
+function layerCrossover(weightsA, weightsB) {
+  const child = [];
+  for (let i = 0; i < weightsA.length; i += 2) {
+    const source = random(1) < 0.5 ? weightsA : weightsB;
+    for (const w of source.slice(i, i + 2)) {
+      child.push({ values: w.values.slice(), shape: w.shape });
+    }
   }
-  index--;
+  return child;
+}
 
-  // Create offspring with mutation
-  let particle = savedAgents[index];
-  // Create a copy of the brain before creating the child to avoid disposal issues
-  let brainCopy = particle.brain.copy();
-  let child = new Particle(brainCopy, startPos);
-  child.mutate();
+/**
+ * Create a mutated offspring of one or two selected parents
+ * @param {Particle} parent - The selected parent.
+ * @param {Particle|null} partner - Second parent for crossover, or null to clone the parent.
+ * @param {Vec2} startPos - The starting position for the new particle.
+ * @param {Object} [options] - Genetic algorithm settings.
+ * @param {number} [options.mutationRate=MUTATION_RATE] - Probability of mutation for each weight.
+ * @param {number} [options.mutationStrength=MUTATION_STRENGTH] - Scale of a weight mutation.
+ * @param {string} [options.mutation=MUTATION_SCHEME] - Key of MUTATION_SCHEMES.
+ * @param {number} [options.crossoverRate=CROSSOVER_RATE] - Probability of crossing with the partner.
+ * @param {string} [options.crossover=CROSSOVER_OPERATOR] - Key of CROSSOVER_OPERATORS.
+ * @returns {Particle} A new Particle instance (offspring)
+ */
+export function createOffspring(parent, partner, startPos, options = {}) {
+  const {
+    crossoverRate = CROSSOVER_RATE,
+    crossover: operator = CROSSOVER_OPERATOR,
+  } = options;
 
-  // Dispose of the temporary brain copy since the child has its own copy
-  brainCopy.dispose();
+  // The child always gets its own brain, independent of the parents, which are disposed later
+  let brain;
+  if (partner && random(1) < crossoverRate) {
+    const [fitter, other] =
+      partner.fitness > parent.fitness ? [partner, parent] : [parent, partner];
+    brain = crossover(fitter.brain, other.brain, operator);
+  } else {
+    brain = parent.brain.copy();
+  }
+  let child = new Particle(brain, startPos);
+  mutateBrain(child.brain, options);
 
   return child;
 }
 
+/**
+ * Speciation class grouping agents by brain similarity
+ * Each agent joins the first species whose representative (a member of the
+ * previous generation) is within the compatibility threshold, or founds a new
+ * species. Fitness is then shared: divided by the size of the agent's species,
+ * so one large species cannot take over the population and new structures
+ * get time to be tuned before they compete with established ones.
+ * Brains must implement distance(other), as NeatNetwork (compatibility
+ * distance) and NeuralNetwork (RMS weight difference) do.
+ */
+export class Speciation {
+  /**
+   * Constructor for the Speciation class
+   * @param {number} [threshold=NEAT_COMPATIBILITY_THRESHOLD] - Largest distance to a representative within one species
+   */
+  constructor(threshold = NEAT_COMPATIBILITY_THRESHOLD) {
+    this.threshold = threshold;
+    this.representatives = []; // Brain copies, one per species of the last generation
+    this.speciesCount = 0;
+  }
+
+  /**
+   * Assign species and share fitness within each species
+   * @param {Particle[]} savedAgents - Evaluated agents with normalized fitness; renormalized afterwards.
+   */
+  shareFitness(savedAgents) {
+    const species = this.representatives.map((representative) => ({
+      representative: representative,
+      members: [],
+    }));
+
+    for (const agent of savedAgents) {
+      let home = species.find(
+        (s) => agent.brain.distance(s.representative) < this.threshold,
+      );
+      if (!home) {
+        home = { representative: agent.brain, members: [] };
+        species.push(home);
+      }
+      home.members.push(agent);
+    }
+
+    let sum = 0;
+    for (const s of species) {
+      for (const agent of s.members) {
+        agent.fitness /= s.members.length;
+        sum += agent.fitness;
+      }
+    }
+    for (const agent of savedAgents) {
+      agent.fitness = sum > 0 ? agent.fitness / sum : 1 / savedAgents.length;
+    }
+
+    // The fittest member of every surviving species represents it next generation
+    const living = species.filter((s) => s.members.length > 0);
+    const previous = this.representatives;
+    this.representatives = living.map((s) =>
+      s.members.reduce((a, b) => (b.fitness > a.fitness ? b : a)).brain.copy(),
+    );
+    for (const representative of previous) {
+      representative.dispose();
+    }
+    this.speciesCount = living.length;
+  }
+
+  /**
+   * Free the representatives; dense brains hold tensors
+   */
+  dispose() {
+    for (const representative of this.representatives) {
+      representative.dispose();
+    }
+    this.representatives = [];
+  }
+}
+
+/**
+ * Speciation modes
+ * NEAT brains are compared by compatibility distance, dense brains by the
+ * RMS difference of their weights; the threshold depends on the brain type.
+ */
+export const SPECIATION_MODES = {
+  neat: { label: "NEAT brains only" },
+  all: { label: "All brains" },
+  off: { label: "Off" },
+};
+
+/**
+ * Create the speciation of a run
+ * @param {string} [mode=SPECIATION_MODE] - Key of SPECIATION_MODES.
+ * @param {string} [brainType=BRAIN_TYPE] - Key of BRAIN_TYPES the run evolves.
+ * @param {number} [weightThreshold=WEIGHT_COMPATIBILITY_THRESHOLD] - Largest distance within one species of dense brains.
+ * @returns {Speciation|null} The speciation, or null if the run's brains are not speciated
+ */
+export function createSpeciation(
+  mode = SPECIATION_MODE,
+  brainType = BRAIN_TYPE,
+  weightThreshold = WEIGHT_COMPATIBILITY_THRESHOLD,
+) {
+  if (!Object.hasOwn(SPECIATION_MODES, mode)) {
+    throw new Error(`Unknown speciation mode "${mode}"`);
+  }
+  if (mode === "off" || (mode === "neat" && brainType !== "neat")) {
+    return null;
+  }
+  return new Speciation(
+    brainType === "neat" ? NEAT_COMPATIBILITY_THRESHOLD : weightThreshold,
+  );
+}
+
+/**
+ * Genetic diversity of a population: the mean distance between every two
+ * brains, by the distances Speciation uses. Fitness spread says little about
+ * it, as clones of one brain can score very differently on a track.
+ * Pairs that cannot be compared (dense brains of different architectures)
+ * are left out.
+ * @param {(NeuralNetwork|NeatNetwork)[]} brains - The brains.
+ * @returns {number} The mean pairwise distance, 0 for fewer than two brains
+ */
+export function populationDiversity(brains) {
+  let sum = 0;
+  let pairs = 0;
+  for (let i = 0; i < brains.length; i++) {
+    for (let j = i + 1; j < brains.length; j++) {
+      const distance = brains[i].distance(brains[j]);
+      if (Number.isFinite(distance)) {
+        sum += distance;
+        pairs++;
+      }
+    }
+  }
+  return pairs > 0 ? sum / pairs : 0;
+}
+
+/**
+ * Objective modes
+ * "weighted" selects on the weighted sum of the fitness terms. "pareto"
+ * maximises several terms at once, NSGA-II style (see rankPareto()), so a
+ * fast car and a careful one can both breed without a weight deciding
+ * between them.
+ */
+export const OBJECTIVE_MODES = {
+  weighted: { label: "Weighted sum" },
+  pareto: { label: "Pareto front (NSGA-II)" },
+};
+
+/**
+ * Check whether one point dominates another: it is at least as good in
+ * every objective and better in at least one
+ * @param {number[]} a - Objective values of the first point, all maximised.
+ * @param {number[]} b - Objective values of the second point.
+ * @returns {boolean} True if a dominates b
+ */
+function dominates(a, b) {
+  let better = false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return false;
+    if (a[i] > b[i]) better = true;
+  }
+  return better;
+}
+
+/**
+ * Fast non-dominated sorting of NSGA-II: the first front holds the points no
+ * other point dominates, the next front those only the first front
+ * dominates, and so on
+ * @param {number[][]} points - Objective values of every point, all maximised.
+ * @returns {number[][]} Indices of the points on each front, the Pareto front first
+ */
+export function nonDominatedSort(points) {
+  const dominated = points.map(() => []); // Points each point dominates
+  const dominators = points.map(() => 0); // Number of points dominating each point
+  for (let p = 0; p < points.length; p++) {
+    for (let q = p + 1; q < points.length; q++) {
+      if (dominates(points[p], points[q])) {
+        dominated[p].push(q);
+        dominators[q]++;
+      } else if (dominates(points[q], points[p])) {
+        dominated[q].push(p);
+        dominators[p]++;
+      }
+    }
+  }
+
+  const fronts = [];
+  let current = points.map((_, p) => p).filter((p) => dominators[p] === 0);
+  while (current.length > 0) {
+    fronts.push(current);
+    const next = [];
+    for (const p of current) {
+      for (const q of dominated[p]) {
+        dominators[q]--;
+        if (dominators[q] === 0) next.push(q);
+      }
+    }
+    current = next;
+  }
+  return fronts;
+}
+
+/**
+ * Crowding distance of NSGA-II: how far the neighbours of every point of a
+ * front are apart, summed over the objectives. The extremes of each
+ * objective get Infinity, so the ends of the front are always kept.
+ * @param {number[][]} points - Objective values of every point.
+ * @param {number[]} front - Indices of the points on one front.
+ * @returns {Map<number, number>} Crowding distance by point index
+ */
+function crowdingDistances(points, front) {
+  const distances = new Map(front.map((p) => [p, 0]));
+  if (front.length === 0) return distances;
+  for (let m = 0; m < points[front[0]].length; m++) {
+    const sorted = [...front].sort((a, b) => points[a][m] - points[b][m]);
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    distances.set(first, Infinity);
+    distances.set(last, Infinity);
+    const range = points[last][m] - points[first][m];
+    if (range === 0) continue;
+    for (let k = 1; k < sorted.length - 1; k++) {
+      const gap = points[sorted[k + 1]][m] - points[sorted[k - 1]][m];
+      distances.set(sorted[k], distances.get(sorted[k]) + gap / range);
+    }
+  }
+  return distances;
+}
+
+/**
+ * Rank agents on several fitness terms at once, NSGA-II style
+ * Agents are sorted by front and, within a front, by crowding distance
+ * (lonely agents first, as they keep the front spread out), ties going to
+ * the better first objective. Fitness then becomes a linear rank in that
+ * order, normalized to sum to 1, so every selection strategy prefers lower
+ * fronts and less crowded agents; a tournament of two is the crowded
+ * tournament of NSGA-II.
+ * @param {Particle[]} savedAgents - Agents after calculateFitness(), which sets their termValues; sorted in place.
+ * @param {string[]} [objectives=PARETO_OBJECTIVES] - Keys of FITNESS_TERMS to maximise.
+ * @returns {{objectives: string[], points: number[][], frontSize: number, fronts: number}} The
+ *   objectives, the objective values of every agent in the new order, the
+ *   number of agents on the Pareto front, which come first, and the number of fronts
+ */
+export function rankPareto(savedAgents, objectives = PARETO_OBJECTIVES) {
+  const points = savedAgents.map((agent) =>
+    objectives.map((key) => agent.termValues[key]),
+  );
+  const fronts = nonDominatedSort(points);
+
+  const order = [];
+  for (const front of fronts) {
+    const distances = crowdingDistances(points, front);
+    front.sort(
+      (a, b) =>
+        distances.get(b) - distances.get(a) || points[b][0] - points[a][0],
+    );
+    order.push(...front);
+  }
+  const n = order.length;
+  const totalRank = (n * (n + 1)) / 2;
+  const sorted = order.map((p, i) => {
+    savedAgents[p].fitness = (n - i) / totalRank;
+    return savedAgents[p];
+  });
+  savedAgents.splice(0, n, ...sorted);
+  return {
+    objectives: objectives,
+    points: order.map((p) => points[p]),
+    frontSize: fronts.length > 0 ? fronts[0].length : 0,
+    fronts: fronts.length,
+  };
+}
+
+/**
+ * Copy the Pareto front out of ranked agents, to plot it and to save any of its brains
+ * @param {Particle[]} rankedAgents - Agents sorted by rankPareto().
+ * @param {Object} ranking - The result of rankPareto().
+ * @returns {{objectives: string[], members: Object[], others: number[][], fronts: number}} The
+ *   objectives; every agent on the front as { values, laps, brain } with a
+ *   copy of its brain, owned by the caller; the objective values of the
+ *   agents behind the front; and the number of fronts
+ */
+function paretoFront(rankedAgents, ranking) {
+  return {
+    objectives: ranking.objectives,
+    members: rankedAgents.slice(0, ranking.frontSize).map((agent, i) => ({
+      values: ranking.points[i],
+      laps: agent.lapsCompleted,
+      brain: agent.brain.copy(),
+    })),
+    others: ranking.points.slice(ranking.frontSize),
+    fronts: ranking.fronts,
+  };
+}
+
+/**
+ * Mutation schemes
+ * Every scheme shares the signature mutate(brain, rate, strength): each
+ * weight is changed with probability `rate`, and `strength` scales the change.
+ */
+export const MUTATION_SCHEMES = {
+  gaussian: { label: "Gaussian perturbation", mutate: gaussianMutation },
+  uniform: { label: "Uniform perturbation", mutate: uniformMutation },
+  reset: { label: "Weight reset", mutate: resetMutation },
+  "self-adaptive": {
+    label: "Self-adaptive sigma",
+    mutate: selfAdaptiveMutation,
+  },
+};
+
+/**
+ * Mutate a brain in place with the configured scheme
+ * @param {NeuralNetwork} brain - The brain to mutate.
+ * @param {Object} [options] - Genetic algorithm settings.
+ * @param {number} [options.mutationRate=MUTATION_RATE] - Probability of mutation for each weight.
+ * @param {number} [options.mutationStrength=MUTATION_STRENGTH] - Scale of a weight mutation.
+ * @param {string} [options.mutation=MUTATION_SCHEME] - Key of MUTATION_SCHEMES.
+ */
+export function mutateBrain(brain, options = {}) {
+  const {
+    mutationRate = MUTATION_RATE,
+    mutationStrength = MUTATION_STRENGTH,
+    mutation = MUTATION_SCHEME,
+  } = options;
+  if (!Object.hasOwn(MUTATION_SCHEMES, mutation)) {
+    throw new Error(`Unknown mutation scheme "${mutation}"`);
+  }
+  MUTATION_SCHEMES[mutation].mutate(brain, mutationRate, mutationStrength);
+}
+
+/**
+ * Gaussian perturbation: add N(0, strength) noise to each selected weight
+ * @param {NeuralNetwork} brain - The brain to mutate.
+ * @param {number} rate - Probability of mutation for each weight.
+ * @param {number} strength - Standard deviation of the noise.
+ */
+function gaussianMutation(brain, rate, strength) {
+  brain.mutate(rate, strength);
+}
+
+/**
+ * Uniform perturbation: add noise drawn from [-strength, strength) to each selected weight
+ * @param {NeuralNetwork} brain - The brain to mutate.
+ * @param {number} rate - Probability of mutation for each weight.
+ * @param {number} strength - Half-width of the noise interval.
+ */
+function uniformMutation(brain, rate, strength) {
+  mutateWeights(brain, rate, (w) => w + random(-strength, strength));
+}
+
+/**
+ * Weight reset: replace each selected weight with a fresh N(0, strength) value
+ * @param {NeuralNetwork} brain - The brain to mutate.
+ * @param {number} rate - Probability of mutation for each weight.
+ * @param {number} strength - Standard deviation of the new values.
+ */
+function resetMutation(brain, rate, strength) {
+  mutateWeights(brain, rate, () => randomGaussian(0, strength));
+}
+
+/**
+ * Self-adaptive mutation: every brain carries its own sigma, which is
+ * log-normally perturbed before it is used as the Gaussian noise level, so
+ * step sizes that produce fit children are inherited along with the weights
+ * @param {NeuralNetwork} brain - The brain to mutate.
+ * @param {number} rate - Probability of mutation for each weight.
+ * @param {number} strength - Initial sigma for brains that do not have one yet.
+ */
+function selfAdaptiveMutation(brain, rate, strength) {
+  const weightCount = brain
+    .getWeightArrays()
+    .reduce((sum, w) => sum + w.values.length, 0);
+  const tau = 1 / Math.sqrt(weightCount);
+  const sigma = (brain.sigma ?? strength) * Math.exp(tau * randomGaussian());
+  brain.sigma = Math.max(sigma, 0.001); // Never let the step size collapse to zero
+  brain.mutate(rate, brain.sigma);
+}
+
+/**
+ * Apply a function to randomly selected weights of a brain, then let a NEAT
+ * brain mutate its structure as its own mutate() does
+ * @param {NeuralNetwork|NeatNetwork} brain - The brain to mutate.
+ * @param {number} rate - Probability of mutation for each weight.
+ * @param {Function} mutateWeight - Maps an old weight value to its new value.
+ */
+function mutateWeights(brain, rate, mutateWeight) {
+  const weights = brain.getWeightArrays();
+  for (const w of weights) {
+    for (let j = 0; j < w.values.length; j++) {
+      if (random(1) < rate) {
+        w.values[j] = mutateWeight(w.values[j]);
+      }
+    }
+  }
+  brain.setWeightArrays(weights);
+  brain.mutateStructure?.();
+}
+
+/**
+ * Percentage change of the mean of the last `window` values over the mean of
+ * the `window` values before them. Used for the dashboard's "Improvement Rate"
+ * and by MutationSchedule to detect stalled fitness.
+ * @param {number[]} values - Best fitness values, oldest first.
+ * @param {number} [window=SCHEDULE_WINDOW] - Number of values in each half.
+ * @returns {number} The improvement rate in percent
+ */
+export function improvementRate(values, window = SCHEDULE_WINDOW) {
+  const recent = values.slice(-window);
+  const older = values.slice(-2 * window, -window);
+  if (recent.length === 0) return 0;
+
+  const recentAvg = recent.reduce((sum, v) => sum + v, 0) / recent.length;
+  const olderAvg =
+    older.length > 0
+      ? older.reduce((sum, v) => sum + v, 0) / older.length
+      : recentAvg;
+  return olderAvg > 0 ? ((recentAvg - olderAvg) / olderAvg) * 100 : 0;
+}
+
+/**
+ * Adaptive mutation schedule modes
+ */
+export const MUTATION_SCHEDULES = {
+  off: { label: "Off" },
+  raise: { label: "Raise when stalled" },
+  lower: { label: "Lower when stalled" },
+};
+
+/**
+ * MutationSchedule class scaling mutation rate and strength with progress
+ * Records the best raw fitness of every generation. While the improvement
+ * rate stays below STALL_THRESHOLD the scale is multiplied ("raise", to
+ * escape a plateau) or divided ("lower", to fine-tune around it) by
+ * SCHEDULE_FACTOR; once fitness improves again it relaxes back towards 1.
+ */
+export class MutationSchedule {
+  /**
+   * Constructor for the MutationSchedule class
+   * @param {string} [mode=MUTATION_SCHEDULE] - Key of MUTATION_SCHEDULES
+   * @param {Object} [options] - Schedule settings
+   * @param {number} [options.window=SCHEDULE_WINDOW] - Generations compared by the improvement rate
+   * @param {number} [options.stallThreshold=STALL_THRESHOLD] - Improvement rate (%) below which fitness counts as stalled
+   * @param {number} [options.factor=SCHEDULE_FACTOR] - Scale change per generation
+   * @param {number} [options.minScale=0.25] - Lower limit of the scale
+   * @param {number} [options.maxScale=4] - Upper limit of the scale
+   */
+  constructor(mode = MUTATION_SCHEDULE, options = {}) {
+    this.mode = mode;
+    this.window = options.window ?? SCHEDULE_WINDOW;
+    this.stallThreshold = options.stallThreshold ?? STALL_THRESHOLD;
+    this.factor = options.factor ?? SCHEDULE_FACTOR;
+    this.minScale = options.minScale ?? 0.25;
+    this.maxScale = options.maxScale ?? 4;
+
+    this.scale = 1;
+    this.bestHistory = [];
+  }
+
+  /**
+   * Record the best raw fitness of a finished generation and update the scale
+   * @param {number} bestFitness - Best raw fitness (checkpoints) of the generation
+   * @returns {number} The new scale
+   */
+  record(bestFitness) {
+    this.bestHistory.push(bestFitness);
+    if (this.bestHistory.length > 2 * this.window) {
+      this.bestHistory.shift();
+    }
+    if (this.mode === "off" || this.bestHistory.length < 2 * this.window) {
+      return this.scale;
+    }
+
+    if (improvementRate(this.bestHistory, this.window) < this.stallThreshold) {
+      this.scale *= this.mode === "raise" ? this.factor : 1 / this.factor;
+    } else if (this.scale > 1) {
+      this.scale = Math.max(1, this.scale / this.factor);
+    } else {
+      this.scale = Math.min(1, this.scale * this.factor);
+    }
+    this.scale = Math.min(this.maxScale, Math.max(this.minScale, this.scale));
+    return this.scale;
+  }
+
+  /**
+   * Scale a mutation rate and strength by the current schedule
+   * @param {number} mutationRate - Base probability of mutation for each weight
+   * @param {number} mutationStrength - Base scale of a weight mutation
+   * @returns {{mutationRate: number, mutationStrength: number}} The scheduled values
+   */
+  apply(mutationRate, mutationStrength) {
+    return {
+      mutationRate: Math.min(1, mutationRate * this.scale),
+      mutationStrength: mutationStrength * this.scale,
+    };
+  }
+}
+
 /**
  * Calculate and normalize fitness values for all particles
- * Fitness is based on how far the car progressed and how long it survived
+ * Fitness is the weighted sum of the fitness terms (see FITNESS_TERMS in fitness.js)
  * @param {Particle[]} savedAgents - The array of agents from the previous generation.
+ * @param {Object} [weights=FITNESS_WEIGHTS] - Weight of each fitness term, by key of FITNESS_TERMS.
  */
-export function calculateFitness(savedAgents) {
+export function calculateFitness(savedAgents, weights = FITNESS_WEIGHTS) {
   // Calculate raw fitness for each particle
   for (let particle of savedAgents) {
-    particle.calculateFitness();
+    particle.calculateFitness(weights);
   }
 
   // Sum all fitness values for normalization
@@ -1,5 +1,5 @@
 p5.prototype.registerPreloadMethod('loadBytes');
-p5.prototype.loadBytes = function(file, callback) {
+p5.prototype.loadBytes = function(file, callback, errorCallback) {
   var self = this;
   var data = {};
   var oReq = new XMLHttpRequest();
@@ -7,13 +7,22 @@ p5.prototype.loadBytes = function(file, callback) {
   oReq.responseType = "arraybuffer";
   oReq.onload = function(oEvent) {
     var arrayBuffer = oReq.response;
-    if (arrayBuffer) {
+    // Status 0 is what file:// requests report on success
+    if ((oReq.status === 0 || (oReq.status >= 200 && oReq.status < 300)) && arrayBuffer) {
       data.bytes = new Uint8Array(arrayBuffer);
       if (callback) {
         callback(data);
       }
-      self._decrementPreload();
+    } else if (errorCallback) {
+      errorCallback(new Error("Failed to load " + file + " (HTTP " + oReq.status + ")"));
     }
+    self._decrementPreload();
+  }
+  oReq.onerror = function() {
+    if (errorCallback) {
+      errorCallback(new Error("Failed to load " + file));
+    }
+    self._decrementPreload();
   }
   oReq.send(null);
   return data;
@@ -0,0 +1,27 @@
+/**
+ * Math helpers for the headless simulation core
+ * Pure equivalents of the p5.js globals (map, radians)
+ * so the simulation can run under Node without a canvas
+ */
+
+/**
+ * Re-map a number from one range to another (same as p5's map(), unclamped)
+ * @param {number} value - The value to convert
+ * @param {number} start1 - Lower bound of the current range
+ * @param {number} stop1 - Upper bound of the current range
+ * @param {number} start2 - Lower bound of the target range
+ * @param {number} stop2 - Upper bound of the target range
+ * @returns {number} The re-mapped value
+ */
+export function mapRange(value, start1, stop1, start2, stop2) {
+  return ((value - start1) / (stop1 - start1)) * (stop2 - start2) + start2;
+}
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - The angle in degrees
+ * @returns {number} The angle in radians
+ */
+export function radians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
@@ -0,0 +1,224 @@
+import { TRACK_PRESETS } from "./config.js";
+
+/**
+ * Pretrained models bundled in ml-data/
+ * Training metadata was not recorded for these models. Laps and track preset
+ * were measured by driving each model headlessly on every preset (seed 1,
+ * 20 static obstacles) and keeping its best preset; null means unknown.
+ * Models saved with "Save Best Model" or train.js carry their own metadata
+ * in model.json, which takes precedence over the values listed here.
+ */
+export const BUNDLED_MODELS = [
+  {
+    name: "Model 1",
+    json: "ml-data/my-model1.json",
+    weights: "ml-data/my-model.weights1.bin",
+    generation: null,
+    laps: 5,
+    trackPreset: 0,
+  },
+  {
+    name: "Model 2",
+    json: "ml-data/my-model2.json",
+    weights: "ml-data/my-model.weights2.bin",
+    generation: null,
+    laps: 3,
+    trackPreset: 1,
+  },
+  {
+    name: "Model 3",
+    json: "ml-data/my-model3.json",
+    weights: "ml-data/my-model.weights3.bin",
+    generation: null,
+    laps: 0,
+    trackPreset: 2,
+  },
+  {
+    name: "Model 4",
+    json: "ml-data/my-model4.json",
+    weights: "ml-data/my-model.weights4.bin",
+    generation: null,
+    laps: 6,
+    trackPreset: 0,
+  },
+  {
+    name: "Model 5",
+    json: "ml-data/my-model5.json",
+    weights: "ml-data/my-model.weights5.bin",
+    generation: null,
+    laps: 0,
+    trackPreset: 1,
+  },
+  {
+    name: "Model 6",
+    json: "ml-data/my-model6.json",
+    weights: "ml-data/my-model.weights6.bin",
+    generation: null,
+    laps: 0,
+    trackPreset: 0,
+  },
+  {
+    name: "Model 7",
+    json: "ml-data/my-model7.json",
+    weights: "ml-data/my-model.weights7.bin",
+    generation: null,
+    laps: 0,
+    trackPreset: 2,
+  },
+];
+
+/**
+ * Model gallery for the settings panel
+ * Preloads the bundled models with p5's loadJSON() and the loadBytes() helper
+ * from loadbinary.js, lists them with their metadata and hands a selected
+ * model to a callback for seeding the population or running a demo car
+ */
+export class ModelGallery {
+  /**
+   * Constructor for the ModelGallery class
+   * @param {string} containerId - ID of the element the gallery is rendered into
+   * @param {Function} onSelect - Called with (tf.io.ModelArtifacts, mode, entry) where mode is "seed" or "evaluate"
+   * @param {Function} onError - Called with a message when a model cannot be built
+   */
+  constructor(containerId, onSelect, onError) {
+    this.containerId = containerId;
+    this.onSelect = onSelect;
+    this.onError = onError;
+    this.entries = [];
+  }
+
+  /**
+   * Start loading every bundled model. Must be called from p5's preload()
+   * so that setup() only runs once all files have arrived.
+   */
+  preload() {
+    this.entries = BUNDLED_MODELS.map((model) => {
+      const entry = { ...model, topology: null, bytes: null, error: null };
+      const onError = (error) => {
+        console.warn(`Failed to load bundled model ${model.name}:`, error);
+        entry.error = error;
+      };
+      entry.topology = loadJSON(model.json, () => {}, onError);
+      entry.bytes = loadBytes(model.weights, () => {}, onError);
+      return entry;
+    });
+  }
+
+  /**
+   * Metadata of an entry, preferring what the model file itself records
+   * @param {Object} entry - A gallery entry
+   * @returns {{generation: ?number, laps: ?number, trackPreset: ?number}} The metadata
+   */
+  getMetadata(entry) {
+    const stored = (entry.topology && entry.topology.userDefinedMetadata) || {};
+    return {
+      generation: stored.generation ?? entry.generation,
+      laps: stored.laps ?? entry.laps,
+      trackPreset: stored.trackPreset ?? entry.trackPreset,
+    };
+  }
+
+  /**
+   * Layer sizes of an entry as read from its model.json, e.g. "13-26-2"
+   * @param {Object} entry - A gallery entry
+   * @returns {string} The layer sizes, or "unknown" if the topology is unavailable
+   */
+  getArchitecture(entry) {
+    const topology = entry.topology && entry.topology.modelTopology;
+    if (!topology || !topology.config) return "unknown";
+    // Older tfjs versions store the layer list directly as the config
+    const layers = Array.isArray(topology.config)
+      ? topology.config
+      : topology.config.layers;
+    const input = layers[0].config.batch_input_shape[1];
+    const sizes = [input, ...layers.map((layer) => layer.config.units)];
+    const activations = layers.map((layer) => layer.config.activation);
+    return `${sizes.join("-")} (${activations.join("/")})`;
+  }
+
+  /**
+   * Build the model files of a preloaded entry
+   * The simulation worker turns them into a model (see loadBrainModel() in simulation.js).
+   * @param {Object} entry - A gallery entry
+   * @returns {tf.io.ModelArtifacts} The model topology, weight specs and weight data
+   */
+  createArtifacts(entry) {
+    if (entry.error || !entry.bytes.bytes) {
+      throw new Error(`${entry.name} could not be loaded from ${entry.json}`);
+    }
+    const bytes = entry.bytes.bytes;
+    return {
+      modelTopology: entry.topology.modelTopology,
+      weightSpecs: entry.topology.weightsManifest[0].weights,
+      weightData: bytes.buffer.slice(
+        bytes.byteOffset,
+        bytes.byteOffset + bytes.byteLength,
+      ),
+    };
+  }
+
+  /**
+   * Render the gallery into its container
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    container.innerHTML = "";
+    for (const entry of this.entries) {
+      const meta = this.getMetadata(entry);
+      const preset =
+        meta.trackPreset !== null && TRACK_PRESETS[meta.trackPreset]
+          ? `${meta.trackPreset} (${TRACK_PRESETS[meta.trackPreset].name})`
+          : "unknown";
+
+      const card = document.createElement("div");
+      card.className = "model-card";
+      card.innerHTML = `
+        <h4>${entry.name}</h4>
+        <ul class="model-meta">
+          <li>Generation: ${meta.generation ?? "not recorded"}</li>
+          <li>Laps: ${meta.laps ?? "unknown"}</li>
+          <li>Track preset: ${preset}</li>
+          <li>Architecture: ${this.getArchitecture(entry)}</li>
+        </ul>
+      `;
+
+      const actions = document.createElement("div");
+      actions.className = "model-card-actions";
+      actions.appendChild(this.createButton("Seed Population", entry, "seed"));
+      actions.appendChild(this.createButton("Demo", entry, "evaluate"));
+      card.appendChild(actions);
+
+      if (entry.error) {
+        card.classList.add("unavailable");
+        actions.querySelectorAll("button").forEach((b) => (b.disabled = true));
+      }
+      container.appendChild(card);
+    }
+  }
+
+  /**
+   * Create an action button for a gallery entry
+   * @param {string} label - Button text
+   * @param {Object} entry - The gallery entry
+   * @param {string} mode - "seed" or "evaluate"
+   * @returns {HTMLButtonElement} The button
+   */
+  createButton(label, entry, mode) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.onclick = async () => {
+      let artifacts;
+      try {
+        artifacts = this.createArtifacts(entry);
+      } catch (error) {
+        console.error(`Failed to build ${entry.name}:`, error);
+        this.onError(`Could not load ${entry.name}: ${error.message}`);
+        return;
+      }
+      await this.onSelect(artifacts, mode, entry);
+    };
+    return button;
+  }
+}
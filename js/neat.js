@@ -0,0 +1,534 @@
+import { random, randomGaussian } from "./random.js";
+import { NEAT_ADD_CONNECTION_RATE, NEAT_ADD_NODE_RATE } from "./config.js";
+
+/**
+ * Format tag stored in model.json for saved NEAT genomes
+ */
+export const NEAT_FORMAT = "neat-genome";
+
+// Compatibility distance coefficients (Stanley & Miikkulainen, 2002)
+const EXCESS_COEFFICIENT = 1;
+const DISJOINT_COEFFICIENT = 1;
+const WEIGHT_COEFFICIENT = 0.4;
+
+/**
+ * InnovationTracker class handing out historical markings
+ * The same structural change (a connection between two nodes, or a node
+ * splitting a connection) gets the same innovation number or node id in every
+ * genome of a run, which is what lets crossover and speciation line genes up.
+ */
+export class InnovationTracker {
+  /**
+   * Constructor for the InnovationTracker class
+   */
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget all innovations, e.g. when a new training run starts
+   */
+  reset() {
+    this.connections = new Map(); // "from->to" -> innovation number
+    this.splits = new Map(); // split connection innovation -> node id
+    this.nextInnovation = 0;
+    this.nextNodeId = 0;
+  }
+
+  /**
+   * Make sure new hidden nodes do not reuse the ids of input and output nodes
+   * @param {number} count - Number of input and output nodes
+   */
+  reserveNodes(count) {
+    this.nextNodeId = Math.max(this.nextNodeId, count);
+  }
+
+  /**
+   * Innovation number of a connection between two nodes
+   * @param {number} from - Source node id
+   * @param {number} to - Target node id
+   * @returns {number} The innovation number
+   */
+  connection(from, to) {
+    const key = `${from}->${to}`;
+    if (!this.connections.has(key)) {
+      this.connections.set(key, this.nextInnovation++);
+    }
+    return this.connections.get(key);
+  }
+
+  /**
+   * Id of the hidden node created by splitting a connection
+   * @param {number} innovation - Innovation number of the split connection
+   * @returns {number} The node id
+   */
+  splitNode(innovation) {
+    if (!this.splits.has(innovation)) {
+      this.splits.set(innovation, this.nextNodeId++);
+    }
+    return this.splits.get(innovation);
+  }
+
+  /**
+   * Register the genes of a genome created elsewhere (e.g. a loaded model)
+   * so that new innovations do not collide with its numbers
+   * @param {Object} genome - Genome as returned by NeatNetwork.toJSON()
+   */
+  observe(genome) {
+    for (const node of genome.nodes) {
+      this.nextNodeId = Math.max(this.nextNodeId, node.id + 1);
+    }
+    for (const c of genome.connections) {
+      const key = `${c.from}->${c.to}`;
+      if (!this.connections.has(key)) {
+        this.connections.set(key, c.innovation);
+      }
+      this.nextInnovation = Math.max(this.nextInnovation, c.innovation + 1);
+    }
+  }
+}
+
+/**
+ * Innovation tracker shared by every NEAT brain of the current run
+ */
+export const innovations = new InnovationTracker();
+
+/**
+ * NeatNetwork class: a brain whose topology evolves (NEAT)
+ * Starts as inputs fully connected to outputs and grows hidden nodes and
+ * connections through mutation. It implements the same predict/copy/mutate/
+ * dispose/save interface as NeuralNetwork, so Particle and ga.js can use
+ * either brain type. Networks are feed-forward: connections that would
+ * create a cycle are never added. Pure JavaScript, no tensors.
+ */
+export class NeatNetwork {
+  /**
+   * Constructor for the NeatNetwork class
+   * @param {number} input_nodes - Number of inputs
+   * @param {number} output_nodes - Number of outputs
+   * @param {Object} [genome] - Genome to copy (as returned by toJSON()); a minimal random genome is created if omitted
+   */
+  constructor(input_nodes, output_nodes, genome = null) {
+    this.input_nodes = input_nodes;
+    this.output_nodes = output_nodes;
+    this.sigma = null; // Per-individual mutation strength, see the self-adaptive scheme in ga.js
+    this.compiled = null; // Evaluation plan, rebuilt after every change
+
+    innovations.reserveNodes(input_nodes + output_nodes);
+
+    if (genome) {
+      this.nodes = genome.nodes.map((node) => ({ ...node }));
+      this.connections = genome.connections.map((c) => ({ ...c }));
+      return;
+    }
+
+    // Input node ids are 0..inputs-1, output node ids follow them
+    this.nodes = [];
+    for (let i = 0; i < input_nodes; i++) {
+      this.nodes.push({ id: i, type: "input", bias: 0 });
+    }
+    for (let o = 0; o < output_nodes; o++) {
+      this.nodes.push({ id: input_nodes + o, type: "output", bias: 0 });
+    }
+
+    this.connections = [];
+    for (let i = 0; i < input_nodes; i++) {
+      for (let o = 0; o < output_nodes; o++) {
+        const to = input_nodes + o;
+        this.connections.push({
+          innovation: innovations.connection(i, to),
+          from: i,
+          to: to,
+          weight: random(-1, 1),
+          enabled: true,
+        });
+      }
+    }
+  }
+
+  /**
+   * Create a network from a saved genome
+   * @param {Object} genome - Genome as returned by toJSON()
+   * @returns {NeatNetwork} The network
+   */
+  static fromJSON(genome) {
+    innovations.observe(genome);
+    return new NeatNetwork(genome.inputs, genome.outputs, genome);
+  }
+
+  /**
+   * Serialise the genome
+   * @returns {Object} The genome: input and output counts, nodes and connections
+   */
+  toJSON() {
+    return {
+      inputs: this.input_nodes,
+      outputs: this.output_nodes,
+      nodes: this.nodes.map((node) => ({ ...node })),
+      connections: this.connections.map((c) => ({ ...c })),
+    };
+  }
+
+  /**
+   * Save the genome in the model.json layout used for tfjs models, so the
+   * same download, IndexedDB and train.js handlers can store it
+   * @param {string|tf.io.IOHandler} [destination="downloads://my-model"] - URL scheme or IO handler to save through
+   * @param {Object} [metadata] - Training metadata stored in model.json
+   * @returns {Promise<void>} A promise that resolves when the genome is saved
+   */
+  async save(destination = "downloads://my-model", metadata = null) {
+    const handler =
+      typeof destination === "string"
+        ? tf.io.getSaveHandlers(destination)[0]
+        : destination;
+    await handler.save({
+      modelTopology: this.toJSON(),
+      format: NEAT_FORMAT,
+      generatedBy: "neat.js",
+      weightSpecs: [],
+      weightData: new ArrayBuffer(0),
+      userDefinedMetadata: metadata ?? undefined,
+    });
+    console.log("Model saved successfully");
+  }
+
+  /**
+   * Create a copy of the network
+   * @returns {NeatNetwork} A new NeatNetwork with the same genome
+   */
+  copy() {
+    const copy = new NeatNetwork(
+      this.input_nodes,
+      this.output_nodes,
+      this.toJSON(),
+    );
+    copy.sigma = this.sigma;
+    return copy;
+  }
+
+  /**
+   * Nothing to free: the genome holds no tensors
+   */
+  dispose() {}
+
+  /**
+   * Make a prediction based on input data
+   * @param {number[]} inputs - Array of input values
+   * @returns {Float32Array} The prediction outputs, each in (0, 1)
+   */
+  predict(inputs) {
+    if (!this.compiled) {
+      this.compiled = this.compile();
+    }
+    const { values, steps, outputSlots } = this.compiled;
+
+    for (let i = 0; i < this.input_nodes; i++) {
+      values[i] = inputs[i];
+    }
+    for (const step of steps) {
+      let sum = step.bias;
+      for (let k = 0; k < step.sources.length; k++) {
+        sum += values[step.sources[k]] * step.weights[k];
+      }
+      values[step.slot] = 1 / (1 + Math.exp(-sum)); // Sigmoid, like the dense brain
+    }
+    return Float32Array.from(outputSlots, (slot) => values[slot]);
+  }
+
+  /**
+   * Build the evaluation plan: nodes in topological order with their enabled inputs
+   * @returns {Object} Value buffer, evaluation steps and output slots
+   */
+  compile() {
+    const slots = new Map(this.nodes.map((node, i) => [node.id, i]));
+    const incoming = new Map(this.nodes.map((node) => [node.id, []]));
+    for (const c of this.connections) {
+      if (c.enabled) {
+        incoming.get(c.to).push(c);
+      }
+    }
+
+    const steps = [];
+    for (const node of this.topologicalOrder()) {
+      if (node.type === "input") continue;
+      const inputs = incoming.get(node.id);
+      steps.push({
+        slot: slots.get(node.id),
+        bias: node.bias,
+        sources: inputs.map((c) => slots.get(c.from)),
+        weights: inputs.map((c) => c.weight),
+      });
+    }
+
+    return {
+      values: new Float64Array(this.nodes.length),
+      steps: steps,
+      outputSlots: this.nodes
+        .filter((node) => node.type === "output")
+        .map((node) => slots.get(node.id)),
+    };
+  }
+
+  /**
+   * Order the nodes so that every node comes after the nodes feeding it
+   * @returns {Object[]} The nodes in topological order
+   */
+  topologicalOrder() {
+    const pending = new Map(this.nodes.map((node) => [node.id, 0]));
+    const outgoing = new Map(this.nodes.map((node) => [node.id, []]));
+    for (const c of this.connections) {
+      pending.set(c.to, pending.get(c.to) + 1);
+      outgoing.get(c.from).push(c.to);
+    }
+
+    const byId = new Map(this.nodes.map((node) => [node.id, node]));
+    const queue = this.nodes
+      .filter((node) => pending.get(node.id) === 0)
+      .map((node) => node.id);
+    const order = [];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      order.push(byId.get(id));
+      for (const to of outgoing.get(id)) {
+        pending.set(to, pending.get(to) - 1);
+        if (pending.get(to) === 0) queue.push(to);
+      }
+    }
+    return order;
+  }
+
+  /**
+   * Mutate the network: perturb weights and biases, then mutate its structure
+   * @param {number} rate - Probability of mutation for each weight and bias
+   * @param {number} [strength=1] - Standard deviation of the noise added to a mutated value
+   */
+  mutate(rate, strength = 1) {
+    for (const c of this.connections) {
+      if (random(1) < rate) {
+        c.weight += randomGaussian(0, strength);
+      }
+    }
+    for (const node of this.nodes) {
+      if (node.type !== "input" && random(1) < rate) {
+        node.bias += randomGaussian(0, strength);
+      }
+    }
+    this.mutateStructure();
+  }
+
+  /**
+   * Sometimes grow a connection (NEAT_ADD_CONNECTION_RATE) or a node
+   * (NEAT_ADD_NODE_RATE). Mutation schemes that only change the weights call
+   * this after them, so every scheme evolves the topology.
+   */
+  mutateStructure() {
+    if (random(1) < NEAT_ADD_CONNECTION_RATE) {
+      this.addConnection();
+    }
+    if (random(1) < NEAT_ADD_NODE_RATE) {
+      this.addNode();
+    }
+    this.compiled = null;
+  }
+
+  /**
+   * Connect two unconnected nodes, as long as the network stays feed-forward
+   * @param {number} [attempts=20] - Random node pairs to try before giving up
+   * @returns {boolean} True if a connection was added
+   */
+  addConnection(attempts = 20) {
+    const sources = this.nodes.filter((node) => node.type !== "output");
+    const targets = this.nodes.filter((node) => node.type !== "input");
+
+    for (let i = 0; i < attempts; i++) {
+      const from = sources[Math.floor(random(sources.length))].id;
+      const to = targets[Math.floor(random(targets.length))].id;
+      if (from === to) continue;
+      if (this.connections.some((c) => c.from === from && c.to === to)) {
+        continue;
+      }
+      if (this.reaches(to, from)) continue; // Would create a cycle
+
+      this.connections.push({
+        innovation: innovations.connection(from, to),
+        from: from,
+        to: to,
+        weight: random(-1, 1),
+        enabled: true,
+      });
+      this.compiled = null;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Split a random enabled connection with a new hidden node. The incoming
+   * connection gets weight 1 and the outgoing one keeps the old weight, so
+   * the network behaves almost the same until the new node is tuned.
+   * @returns {boolean} True if a node was added
+   */
+  addNode() {
+    const enabled = this.connections.filter((c) => c.enabled);
+    if (enabled.length === 0) return false;
+
+    const split = enabled[Math.floor(random(enabled.length))];
+    const id = innovations.splitNode(split.innovation);
+    if (this.nodes.some((node) => node.id === id)) return false; // Already split in this genome
+
+    split.enabled = false;
+    this.nodes.push({ id: id, type: "hidden", bias: 0 });
+    this.connections.push(
+      {
+        innovation: innovations.connection(split.from, id),
+        from: split.from,
+        to: id,
+        weight: 1,
+        enabled: true,
+      },
+      {
+        innovation: innovations.connection(id, split.to),
+        from: id,
+        to: split.to,
+        weight: split.weight,
+        enabled: true,
+      },
+    );
+    this.compiled = null;
+    return true;
+  }
+
+  /**
+   * Check whether a path of connections leads from one node to another
+   * @param {number} from - Start node id
+   * @param {number} to - Target node id
+   * @returns {boolean} True if `to` can be reached from `from`
+   */
+  reaches(from, to) {
+    const stack = [from];
+    const seen = new Set();
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (id === to) return true;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      for (const c of this.connections) {
+        if (c.from === id) stack.push(c.to);
+      }
+    }
+    return false;
+  }
+
+  /**
+   * NEAT crossover with another genome, this one being the fitter parent:
+   * matching genes are inherited from either parent at random, disjoint and
+   * excess genes only from this parent
+   * @param {NeatNetwork} partner - The less fit parent
+   * @returns {NeatNetwork} The child network
+   */
+  crossover(partner) {
+    const partnerGenes = new Map(
+      partner.connections.map((c) => [c.innovation, c]),
+    );
+    const partnerNodes = new Map(partner.nodes.map((node) => [node.id, node]));
+    const child = this.copy();
+
+    for (const c of child.connections) {
+      const other = partnerGenes.get(c.innovation);
+      if (!other) continue;
+      if (random(1) < 0.5) {
+        c.weight = other.weight;
+      }
+      // A gene disabled in either parent stays disabled with 75% probability
+      if (!c.enabled || !other.enabled) {
+        c.enabled = random(1) >= 0.75;
+      }
+    }
+    for (const node of child.nodes) {
+      const other = partnerNodes.get(node.id);
+      if (other && node.type !== "input" && random(1) < 0.5) {
+        node.bias = other.bias;
+      }
+    }
+    child.compiled = null;
+    return child;
+  }
+
+  /**
+   * NEAT compatibility distance, used to group genomes into species
+   * @param {NeatNetwork} other - The genome to compare with
+   * @returns {number} Weighted sum of excess genes, disjoint genes and mean weight difference
+   */
+  distance(other) {
+    const genesA = new Map(this.connections.map((c) => [c.innovation, c]));
+    const genesB = new Map(other.connections.map((c) => [c.innovation, c]));
+    const maxA = Math.max(-1, ...genesA.keys());
+    const maxB = Math.max(-1, ...genesB.keys());
+    const excessFrom = Math.min(maxA, maxB);
+
+    let matching = 0;
+    let weightDifference = 0;
+    let disjoint = 0;
+    let excess = 0;
+    for (const innovation of new Set([...genesA.keys(), ...genesB.keys()])) {
+      const a = genesA.get(innovation);
+      const b = genesB.get(innovation);
+      if (a && b) {
+        matching++;
+        weightDifference += Math.abs(a.weight - b.weight);
+      } else if (innovation > excessFrom) {
+        excess++;
+      } else {
+        disjoint++;
+      }
+    }
+
+    const size = Math.max(genesA.size, genesB.size);
+    const n = size < 20 ? 1 : size; // Small genomes are not normalised
+    return (
+      (EXCESS_COEFFICIENT * excess + DISJOINT_COEFFICIENT * disjoint) / n +
+      WEIGHT_COEFFICIENT * (matching > 0 ? weightDifference / matching : 0)
+    );
+  }
+
+  /**
+   * Read connection weights and node biases as plain arrays, so the generic
+   * mutation schemes in ga.js can work on this brain too
+   * @returns {{values: Float32Array, shape: number[]}[]} Connection weights, then biases of non-input nodes
+   */
+  getWeightArrays() {
+    const biased = this.nodes.filter((node) => node.type !== "input");
+    return [
+      {
+        values: Float32Array.from(this.connections, (c) => c.weight),
+        shape: [this.connections.length],
+      },
+      {
+        values: Float32Array.from(biased, (node) => node.bias),
+        shape: [biased.length],
+      },
+    ];
+  }
+
+  /**
+   * Replace connection weights and node biases with arrays as returned by getWeightArrays()
+   * @param {{values: Float32Array, shape: number[]}[]} arrays - Connection weights, then biases
+   */
+  setWeightArrays(arrays) {
+    this.connections.forEach((c, i) => (c.weight = arrays[0].values[i]));
+    this.nodes
+      .filter((node) => node.type !== "input")
+      .forEach((node, i) => (node.bias = arrays[1].values[i]));
+    this.compiled = null;
+  }
+
+  /**
+   * Short description of the network size
+   * @returns {string} Hidden node and enabled connection counts
+   */
+  describe() {
+    const hidden = this.nodes.filter((node) => node.type === "hidden").length;
+    const enabled = this.connections.filter((c) => c.enabled).length;
+    return `NEAT ${hidden} hidden nodes, ${enabled} connections`;
+  }
+}
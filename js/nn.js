@@ -1,3 +1,6 @@
+import { random, randomGaussian, nextSeed } from "./random.js";
+import { BRAIN_ARCHITECTURE } from "./config.js";
+
 /**
  * NeuralNetwork class for the autonomous car simulation
  * Uses TensorFlow.js to create and manage a neural network
@@ -6,36 +9,39 @@
 export class NeuralNetwork {
   /**
    * Constructor for the NeuralNetwork class
-   * @param {tf.Sequential|number} input_nodes_or_model - Either a pre-trained tf.Sequential model or the number of input nodes
-   * @param {number} hidden_nodes - If input_nodes_or_model is a model, this is the input_nodes count. Otherwise, it's the hidden_nodes count.
-   * @param {number} output_nodes - If input_nodes_or_model is a model, this is the hidden_nodes count. Otherwise, it's the output_nodes count.
-   * @param {number} [actual_output_nodes] - If input_nodes_or_model is a model, this is the actual output_nodes count.
+   * @param {number} input_nodes - Number of input nodes
+   * @param {number} output_nodes - Number of output nodes
+   * @param {Architecture} [architecture=BRAIN_ARCHITECTURE] - Hidden layers and output activation
+   * @param {tf.Sequential} [model=null] - Optional model of the same architecture whose weights are copied
    */
   constructor(
-    input_nodes_or_model,
-    hidden_nodes,
+    input_nodes,
     output_nodes,
-    actual_output_nodes,
+    architecture = BRAIN_ARCHITECTURE,
+    model = null,
   ) {
-    // Determine network dimensions
-    if (input_nodes_or_model instanceof tf.Sequential) {
-      this.input_nodes = hidden_nodes;
-      this.hidden_nodes = output_nodes;
-      this.output_nodes = actual_output_nodes;
-    } else {
-      this.input_nodes = input_nodes_or_model;
-      this.hidden_nodes = hidden_nodes;
-      this.output_nodes = output_nodes;
-    }
+    this.input_nodes = input_nodes;
+    this.output_nodes = output_nodes;
+    this.architecture = {
+      hidden: architecture.hidden.map((layer) => ({ ...layer })),
+      outputActivation: architecture.outputActivation,
+    };
+
+    // Always create a new model for this instance; one that gets copied
+    // weights is not randomly initialised, so copying leaves the run's random
+    // numbers untouched
+    this.model = this.createModel(model === null);
 
-    // Always create a new model for this instance
-    this.model = this.createModel();
+    // Per-individual mutation strength, set by the self-adaptive mutation scheme in ga.js
+    this.sigma = null;
+
+    // Plain-array copy of the weights for batched inference, rebuilt after every change
+    this.compiled = null;
 
     // If a tf.Sequential model was provided, copy its weights
-    if (input_nodes_or_model instanceof tf.Sequential) {
+    if (model) {
       tf.tidy(() => {
-        const sourceModel = input_nodes_or_model;
-        const sourceWeights = sourceModel.getWeights();
+        const sourceWeights = model.getWeights();
         const newWeights = sourceWeights.map((w) => w.clone()); // Clone each weight tensor
         this.model.setWeights(newWeights);
         newWeights.forEach((w) => w.dispose()); // Explicitly dispose cloned weights after setting
@@ -43,12 +49,28 @@ export class NeuralNetwork {
     }
   }
 
+  /**
+   * Create a NeuralNetwork with the architecture and weights of a loaded model
+   * The model should have passed checkModelShape().
+   * @param {tf.Sequential} model - A dense model, e.g. from tf.loadLayersModel()
+   * @returns {NeuralNetwork} The network
+   */
+  static fromModel(model) {
+    const shape = getModelArchitecture(model);
+    return new NeuralNetwork(shape.input, shape.output, shape, model);
+  }
+
   /**
    * Save the neural network model to disk
+   * @param {string|tf.io.IOHandler} [destination="downloads://my-model"] - URL scheme or IO handler to save through
+   * @param {Object} [metadata] - Training metadata (e.g. generation, laps, trackPreset, seed) stored in model.json
    * @returns {Promise<void>} A promise that resolves when the model is saved
    */
-  async save() {
-    await this.model.save("downloads://my-model", { includeOptimizer: false });
+  async save(destination = "downloads://my-model", metadata = null) {
+    if (metadata) {
+      this.model.setUserDefinedMetadata(metadata);
+    }
+    await this.model.save(destination, { includeOptimizer: false });
     console.log("Model saved successfully");
   }
 
@@ -63,65 +85,40 @@ export class NeuralNetwork {
       // Return a new random neural network as fallback
       return new NeuralNetwork(
         this.input_nodes,
-        this.hidden_nodes,
         this.output_nodes,
+        this.architecture,
       );
     }
 
     return tf.tidy(() => {
       try {
-        // Create a new NeuralNetwork instance. Its constructor will create its own empty model.
+        // The constructor clones the weights of this network's model
         const newNN = new NeuralNetwork(
           this.input_nodes,
-          this.hidden_nodes,
           this.output_nodes,
+          this.architecture,
+          this.model,
         );
-
-        // Get weights from *this* NeuralNetwork's model.
-        const weights = this.model.getWeights();
-
-        // Check if weights are valid
-        if (!weights || weights.length === 0) {
-          console.warn(
-            "No weights found in source model, returning new random network",
-          );
-          return newNN;
-        }
-
-        // Clone the weights. These are new tensors.
-        const weightCopies = weights.map((w) => {
-          if (w.isDisposedInternal) {
-            throw new Error("Source weight tensor is disposed");
-          }
-          return w.clone();
-        });
-
-        // Set the cloned weights to the *new* NeuralNetwork's internal model.
-        // newNN.model now takes ownership of these weightCopies.
-        newNN.model.setWeights(weightCopies);
-
-        // The original 'weights' (references) and the 'weightCopies' (cloned tensors)
-        // are now either owned by newNN.model or are temporary and will be disposed by tf.tidy.
-        // No explicit dispose of weightCopies here, as newNN.model owns them.
-
+        newNN.sigma = this.sigma; // The self-adaptive mutation strength is inherited
         return newNN;
       } catch (error) {
         console.error("Error copying neural network:", error);
         // Return a new random neural network as fallback
         return new NeuralNetwork(
           this.input_nodes,
-          this.hidden_nodes,
           this.output_nodes,
+          this.architecture,
         );
       }
     });
   }
 
   /**
-   * Mutate the neural network weights
+   * Mutate the neural network weights by adding Gaussian noise
    * @param {number} rate - The mutation rate (probability of mutation for each weight)
+   * @param {number} [strength=1] - Standard deviation of the noise added to a mutated weight
    */
-  mutate(rate) {
+  mutate(rate, strength = 1) {
     tf.tidy(() => {
       const weights = this.model.getWeights();
       const mutatedWeights = [];
@@ -132,7 +129,7 @@ export class NeuralNetwork {
         for (let j = 0; j < values.length; j++) {
           if (random(1) < rate) {
             let w = values[j];
-            values[j] = w + randomGaussian();
+            values[j] = w + randomGaussian(0, strength);
           }
         }
         let newTensor = tf.tensor(values, shape);
@@ -140,6 +137,100 @@ export class NeuralNetwork {
       }
       this.model.setWeights(mutatedWeights);
     });
+    this.compiled = null;
+  }
+
+  /**
+   * Read the weights as plain arrays, in the order of model.getWeights()
+   * (kernel then bias for each dense layer)
+   * @returns {{values: Float32Array, shape: number[]}[]} One entry per weight tensor
+   */
+  getWeightArrays() {
+    return this.model.getWeights().map((w) => ({
+      values: w.dataSync().slice(),
+      shape: w.shape,
+    }));
+  }
+
+  /**
+   * Replace the weights with plain arrays as returned by getWeightArrays()
+   * @param {{values: Float32Array, shape: number[]}[]} arrays - One entry per weight tensor
+   */
+  setWeightArrays(arrays) {
+    tf.tidy(() => {
+      this.model.setWeights(
+        arrays.map(({ values, shape }) => tf.tensor(values, shape)),
+      );
+    });
+    this.compiled = null;
+  }
+
+  /**
+   * Read the dense layers as plain arrays for batched inference
+   * (see BatchEvaluator in batchInference.js). The result is cached until
+   * the weights change.
+   * @returns {{kernel: Float32Array, bias: Float32Array, inputs: number, units: number, activation: string}[]} One entry per layer, input side first; kernels are [inputs, units] row-major
+   */
+  compile() {
+    if (!this.compiled) {
+      const weights = this.getWeightArrays();
+      const { hidden, outputActivation } = this.architecture;
+      const activations = [
+        ...hidden.map((l) => l.activation),
+        outputActivation,
+      ];
+      this.compiled = activations.map((activation, i) => ({
+        kernel: weights[2 * i].values,
+        bias: weights[2 * i + 1].values,
+        inputs: weights[2 * i].shape[0],
+        units: weights[2 * i].shape[1],
+        activation: activation,
+      }));
+    }
+    return this.compiled;
+  }
+
+  /**
+   * Root mean square difference of the weights of two networks, the genotype
+   * distance used to speciate dense brains and to measure diversity
+   * @param {NeuralNetwork} other - The network to compare with
+   * @returns {number} The distance, or Infinity if the architectures differ
+   */
+  distance(other) {
+    const layersA = this.compile();
+    const layersB = other.compile();
+    if (layersA.length !== layersB.length) return Infinity;
+
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < layersA.length; i++) {
+      const a = layersA[i];
+      const b = layersB[i];
+      if (a.inputs !== b.inputs || a.units !== b.units) return Infinity;
+      for (const [valuesA, valuesB] of [
+        [a.kernel, b.kernel],
+        [a.bias, b.bias],
+      ]) {
+        for (let j = 0; j < valuesA.length; j++) {
+          const difference = valuesA[j] - valuesB[j];
+          sum += difference * difference;
+        }
+        count += valuesA.length;
+      }
+    }
+    return count > 0 ? Math.sqrt(sum / count) : 0;
+  }
+
+  /**
+   * Short description of the network size
+   * @returns {string} Layer sizes and number of trainable values
+   */
+  describe() {
+    const values = this.model.countParams();
+    const { hidden, outputActivation } = this.architecture;
+    const sizes = [this.input_nodes, ...hidden.map((l) => l.units)];
+    const activations = [...hidden.map((l) => l.activation), outputActivation];
+    return `Dense ${sizes.join("-")}-${this.output_nodes} (${activations.join("/")}), ${values} weights`;
   }
 
   /**
@@ -165,26 +256,152 @@ export class NeuralNetwork {
 
   /**
    * Create the TensorFlow model architecture
+   * @param {boolean} [randomize=true] - Draw random initial weights; false leaves them zero, for a model whose weights are set right after
    * @returns {tf.Sequential} The created model
    */
-  createModel() {
+  createModel(randomize = true) {
     const model = tf.sequential();
+    const layers = [
+      ...this.architecture.hidden,
+      {
+        units: this.output_nodes,
+        activation: this.architecture.outputActivation,
+      },
+    ];
 
-    // Hidden layer with sigmoid activation
-    const hidden = tf.layers.dense({
-      units: this.hidden_nodes,
-      inputShape: [this.input_nodes],
-      activation: "sigmoid",
-    });
-    model.add(hidden);
-
-    // Output layer with sigmoid activation
-    const output = tf.layers.dense({
-      units: this.output_nodes,
-      activation: "sigmoid",
+    // Initializers are seeded from the run seed so initial weights are reproducible
+    layers.forEach((layer, i) => {
+      model.add(
+        tf.layers.dense({
+          units: layer.units,
+          activation: layer.activation,
+          kernelInitializer: randomize
+            ? tf.initializers.glorotUniform({ seed: nextSeed() })
+            : "zeros",
+          ...(i === 0 ? { inputShape: [this.input_nodes] } : {}),
+        }),
+      );
     });
-    model.add(output);
 
     return model;
   }
 }
+
+/**
+ * Activation functions available for dense layers
+ */
+export const ACTIVATIONS = {
+  sigmoid: { label: "Sigmoid" },
+  tanh: { label: "Tanh" },
+  relu: { label: "ReLU" },
+};
+
+/**
+ * Hidden layers and output activation of a dense brain. Input and output
+ * sizes are not part of it because the car's sensors and controls fix them.
+ * @typedef {Object} Architecture
+ * @property {{units: number, activation: string}[]} hidden - Hidden layers, input side first
+ * @property {string} outputActivation - Key of ACTIVATIONS for the output layer
+ */
+
+/**
+ * Format hidden layers as a spec string such as "26:sigmoid,12:relu"
+ * @param {{units: number, activation: string}[]} hidden - Hidden layers
+ * @returns {string} The spec, empty when there are no hidden layers
+ */
+export function formatHiddenLayers(hidden) {
+  return hidden.map((l) => `${l.units}:${l.activation}`).join(",");
+}
+
+/**
+ * Parse a hidden layer spec such as "26:sigmoid,12:relu". The activation of a
+ * layer may be left out ("26,12") and defaults to sigmoid; an empty spec
+ * connects the inputs straight to the outputs.
+ * @param {string} spec - Comma-separated layers
+ * @returns {{units: number, activation: string}[]} The hidden layers
+ * @throws {Error} If a layer has an invalid width or unknown activation
+ */
+export function parseHiddenLayers(spec) {
+  if (spec.trim() === "") return [];
+  return spec.split(",").map((part) => {
+    const [unitsText, activation = "sigmoid"] = part.trim().split(":");
+    const units = Number(unitsText);
+    if (!Number.isInteger(units) || units < 1 || units > 256) {
+      throw new Error(
+        `Layer width must be an integer from 1 to 256 (got "${part.trim()}")`,
+      );
+    }
+    if (!Object.hasOwn(ACTIVATIONS, activation)) {
+      throw new Error(
+        `Unknown activation "${activation}" (use ${Object.keys(ACTIVATIONS).join(", ")})`,
+      );
+    }
+    return { units, activation };
+  });
+}
+
+/**
+ * Whether two architectures have the same layers and activations
+ * @param {Architecture} a - First architecture
+ * @param {Architecture} b - Second architecture
+ * @returns {boolean} True if they are identical
+ */
+export function sameArchitecture(a, b) {
+  return (
+    formatHiddenLayers(a.hidden) === formatHiddenLayers(b.hidden) &&
+    a.outputActivation === b.outputActivation
+  );
+}
+
+/**
+ * Read the layers of a dense tf.Sequential model
+ * @param {tf.LayersModel} model - The model to inspect
+ * @returns {{input: number, output: number} & Architecture} Input size, output size and architecture
+ */
+export function getModelArchitecture(model) {
+  const layers = model.layers.map((layer) => layer.getConfig());
+  const output = layers[layers.length - 1];
+  return {
+    input: model.inputs[0].shape[1],
+    hidden: layers
+      .slice(0, -1)
+      .map((layer) => ({ units: layer.units, activation: layer.activation })),
+    output: output.units,
+    outputActivation: output.activation,
+  };
+}
+
+/**
+ * Check that a loaded model can drive a car. Any stack of dense layers with
+ * supported activations fits, as long as it has one input per sensor ray and
+ * the two control outputs; the hidden layers may differ from the current
+ * architecture.
+ * @param {tf.LayersModel} model - The loaded model
+ * @param {{input: number, output: number}} expected - The expected input and output sizes
+ * @returns {string|null} A message describing the mismatch, or null if the model fits
+ */
+export function checkModelShape(model, expected) {
+  if (!(model instanceof tf.Sequential)) {
+    return "The model must be a Sequential model saved from this simulation.";
+  }
+  const unsupported = model.layers.find(
+    (layer) =>
+      layer.getClassName() !== "Dense" ||
+      !Object.hasOwn(ACTIVATIONS, layer.getConfig().activation),
+  );
+  if (unsupported) {
+    return (
+      `Layer ${unsupported.name} is not supported: ` +
+      `only dense layers with ${Object.keys(ACTIVATIONS).join(", ")} activations can drive a car.`
+    );
+  }
+
+  const shape = getModelArchitecture(model);
+  if (shape.input === expected.input && shape.output === expected.output) {
+    return null;
+  }
+  return (
+    `The model has ${shape.input} inputs and ${shape.output} outputs, ` +
+    `but cars expect ${expected.input} inputs (one per sensor ray) and ${expected.output} outputs.`
+  );
+}
@@ -1,20 +1,54 @@
-import { Ray } from "./ray.js";
+import { Ray, VIEW_DISTANCE } from "./ray.js";
 import { NeuralNetwork } from "./nn.js";
-import { SIGHT, LIFESPAN, MUTATION_RATE } from "./config.js";
+import { NeatNetwork } from "./neat.js";
+import { Vec2 } from "./vector.js";
+import { mapRange, radians } from "./mathUtils.js";
+import { sweptCarHits, sweptCarBounds } from "./collision.js";
+import { PHYSICS_MODELS } from "./vehicle.js";
+import { termValues, weighFitness } from "./fitness.js";
+import {
+  SIGHT,
+  LIFESPAN,
+  TIME_STEP,
+  BRAIN_TYPE,
+  BRAIN_ARCHITECTURE,
+  PHYSICS_MODEL,
+  FITNESS_WEIGHTS,
+} from "./config.js";
+
+/**
+ * Inputs and outputs of the brain a Particle expects: one input per sensor
+ * ray (13 rays across 130 degrees) and two outputs (steering and speed, read
+ * by the physics model, see PHYSICS_MODELS in vehicle.js). The layers in between are set by BRAIN_ARCHITECTURE.
+ */
+export const BRAIN_SHAPE = { input: 13, output: 2 };
+
+/**
+ * Steps a car may drive without reaching a checkpoint, LIFESPAN in steps
+ */
+const LIFESPAN_STEPS = Math.round(LIFESPAN / TIME_STEP);
+
+/**
+ * Brain types a Particle can be created with
+ */
+export const BRAIN_TYPES = {
+  dense: { label: "Dense network" },
+  neat: { label: "NEAT (evolving topology)" },
+};
 
 /**
  * Calculate the perpendicular distance from a point to a line
- * @param {p5.Vector} p1 - First point of the line
- * @param {p5.Vector} p2 - Second point of the line
+ * @param {Vec2} p1 - First point of the line
+ * @param {Vec2} p2 - Second point of the line
  * @param {number} x - X coordinate of the point
  * @param {number} y - Y coordinate of the point
  * @returns {number} The perpendicular distance
  */
 export function pldistance(p1, p2, x, y) {
-  const num = abs(
+  const num = Math.abs(
     (p2.y - p1.y) * x - (p2.x - p1.x) * y + p2.x * p1.y - p2.y * p1.x,
   );
-  const den = p5.Vector.dist(p1, p2);
+  const den = Vec2.dist(p1, p2);
   return num / den;
 }
 
@@ -25,27 +59,55 @@ export function pldistance(p1, p2, x, y) {
 export class Particle {
   /**
    * Constructor for the Particle class
-   * @param {NeuralNetwork|tf.Sequential} brain - Optional pre-trained neural network or raw tf.Sequential model
-   * @param {p5.Vector} startPos - The starting position for the particle
+   * @param {NeuralNetwork|NeatNetwork|tf.Sequential} brain - Optional pre-trained brain or raw tf.Sequential model
+   * @param {Vec2} startPos - The starting position for the particle
+   * @param {string} [brainType=BRAIN_TYPE] - Key of BRAIN_TYPES used when a new random brain is created
+   * @param {Architecture} [architecture=BRAIN_ARCHITECTURE] - Layers of a new random dense brain
    */
-  constructor(brain, startPos) {
+  constructor(
+    brain,
+    startPos,
+    brainType = BRAIN_TYPE,
+    architecture = BRAIN_ARCHITECTURE,
+  ) {
     // Fitness and state tracking
     this.fitness = 0;
     this.dead = false;
     this.finished = false;
     this.lapsCompleted = 0; // New: Track laps completed
+    this.trackScores = []; // Checkpoints and laps on each track of a multi-track evaluation
+    this.termValues = null; // Fitness term values, over every track if set by TrackEvaluation.finish(), else by calculateFitness()
+    this.fitnessBreakdown = null; // What each fitness term added, set by calculateFitness()
+
+    // Driving record read by the fitness terms (see FITNESS_TERMS in fitness.js)
+    this.steps = 0; // Simulation steps driven
+    this.distance = 0; // Pixels driven
+    this.lapStart = 0; // Step the current lap started at
+    this.fastestLap = Infinity; // Steps of the fastest completed lap
+    this.minClearance = Infinity; // Closest an obstacle came in sight, in pixels
+    this.jerk = 0; // Sum of the changes of the turn rate, in radians
+    this.lastTurn = 0; // Heading change of the last step, in radians
+    this.crashed = false; // Whether the car died hitting a wall or an obstacle
 
     // Physics properties
     this.pos = startPos.copy(); // Use the passed startPos
-    this.vel = createVector();
-    this.acc = createVector();
+    this.vel = new Vec2();
+    this.acc = new Vec2();
+    this.heading = 0; // Direction the car faces, in radians
+    this.lastPose = null; // Pose before the last update(), for the swept test in collide()
     this.maxspeed = 5;
     this.maxforce = 0.2;
     this.sight = SIGHT;
 
+    // Controls and speed of the bicycle physics model
+    this.steering = 0; // Front wheel angle in radians
+    this.pedal = 0; // Throttle (> 0) or brake (< 0), in [-1, 1]
+    this.speed = 0;
+
     // Sensors (rays for obstacle detection)
     this.view = [];
     this.rays = [];
+    this.sensorHits = []; // Closest hit point per ray from the last look(), for renderers
 
     // Progress tracking
     this.index = 0;
@@ -61,7 +123,7 @@ export class Particle {
     }
 
     // Initialize brain (neural network)
-    if (brain instanceof NeuralNetwork) {
+    if (brain instanceof NeuralNetwork || brain instanceof NeatNetwork) {
       // If it's already a NeuralNetwork instance
       // For pre-copied brains from genetic algorithm, use directly without copying again
       // The brain should already be a fresh copy ready to use
@@ -69,16 +131,19 @@ export class Particle {
     } else if (brain instanceof tf.Sequential) {
       // If it's a raw tf.Sequential model
       // Create a new NeuralNetwork instance from the loaded model
-      // Assuming input_nodes, hidden_nodes, output_nodes are fixed for the loaded model
-      this.brain = new NeuralNetwork(
-        brain,
-        this.rays.length,
-        this.rays.length * 2,
-        2,
-      );
+      // The loaded model must match BRAIN_SHAPE (see checkModelShape() in nn.js);
+      // its hidden layers are kept as they are
+      this.brain = NeuralNetwork.fromModel(brain);
+    } else if (brainType === "neat") {
+      // Create a minimal NEAT genome: every input connected to every output
+      this.brain = new NeatNetwork(BRAIN_SHAPE.input, BRAIN_SHAPE.output);
     } else {
       // Create a new random brain
-      this.brain = new NeuralNetwork(this.rays.length, this.rays.length * 2, 2);
+      this.brain = new NeuralNetwork(
+        BRAIN_SHAPE.input,
+        BRAIN_SHAPE.output,
+        architecture,
+      );
     }
   }
 
@@ -91,56 +156,95 @@ export class Particle {
 
   /**
    * Save the particle's neural network model
+   * @param {Object} [metadata] - Training metadata stored with the model
    */
-  save() {
-    this.brain.save();
-  }
-
-  /**
-   * Mutate the particle's neural network
-   */
-  mutate() {
-    this.brain.mutate(MUTATION_RATE);
+  save(metadata = null) {
+    this.brain.save(undefined, metadata);
   }
 
   /**
    * Apply a force to the particle
-   * @param {p5.Vector} force - The force vector to apply
+   * @param {Vec2} force - The force vector to apply
    */
   applyForce(force) {
     this.acc.add(force);
   }
 
   /**
-   * Update the particle's position and state
+   * Update the particle's position and state by one simulation step of
+   * TIME_STEP simulated seconds
+   * @param {string} [physics=PHYSICS_MODEL] - Key of PHYSICS_MODELS that moves the car
    */
-  update() {
+  update(physics = PHYSICS_MODEL) {
     if (!this.dead && !this.finished) {
+      this.lastPose = this.pose();
+
       // Update physics
-      this.pos.add(this.vel);
-      this.vel.add(this.acc);
-      this.vel.limit(this.maxspeed);
-      this.acc.set(0, 0);
+      PHYSICS_MODELS[physics].move(this);
+
+      // Record the move for the fitness terms
+      this.steps++;
+      this.distance += Math.hypot(
+        this.pos.x - this.lastPose.x,
+        this.pos.y - this.lastPose.y,
+      );
+      const delta = this.heading - this.lastPose.heading;
+      const turn = Math.atan2(Math.sin(delta), Math.cos(delta));
+      this.jerk += Math.abs(turn - this.lastTurn);
+      this.lastTurn = turn;
 
       // Update lifespan counter
       this.counter++;
-      if (this.counter > LIFESPAN) {
+      if (this.counter > LIFESPAN_STEPS) {
         this.dead = true;
       }
 
       // Update sensor positions and rotate to match heading
       for (let i = 0; i < this.view.length; i++) {
         this.view[i].pos = this.pos.copy();
-        this.view[i].rotate(this.vel.heading());
+        this.view[i].rotate(this.heading);
       }
 
       for (let i = 0; i < this.rays.length; i++) {
         this.rays[i].pos = this.pos.copy();
-        this.rays[i].rotate(this.vel.heading());
+        this.rays[i].rotate(this.heading);
       }
     }
   }
 
+  /**
+   * Current pose of the car body, as used by the collision tests
+   * @returns {Object} The pose ({ x, y, heading })
+   */
+  pose() {
+    return { x: this.pos.x, y: this.pos.y, heading: this.heading };
+  }
+
+  /**
+   * Kill the car if its body touched a wall or an obstacle while it moved in
+   * the last update(). The whole move is swept, so a fast car cannot pass
+   * through a wall between two steps.
+   * @param {Boundary[]} walls - Array of boundary walls
+   * @param {Obstacle[]} obstacles - Array of obstacles
+   * @param {SpatialGrid} [grid=null] - Spatial index to find the nearby walls and obstacles with
+   */
+  collide(walls, obstacles, grid = null) {
+    if (this.dead || this.finished || !this.lastPose) return;
+    const from = this.lastPose;
+    const to = this.pose();
+    this.lastPose = null; // Each move is tested once
+
+    if (grid) {
+      const box = sweptCarBounds(from, to);
+      walls = grid.wallsNear(box);
+      obstacles = grid.obstaclesNear(box);
+    }
+    if (sweptCarHits(from, to, walls, obstacles)) {
+      this.dead = true;
+      this.crashed = true;
+    }
+  }
+
   /**
    * Check if the particle has reached the next checkpoint
    * @param {Boundary[]} checkpoints - Array of checkpoint boundaries
@@ -156,25 +260,51 @@ export class Particle {
         // New: Increment lapsCompleted if a full cycle of checkpoints is completed
         if (this.index === 0) {
           this.lapsCompleted++;
+          this.fastestLap = Math.min(
+            this.fastestLap,
+            this.steps - this.lapStart,
+          );
+          this.lapStart = this.steps;
         }
       }
     }
   }
 
   /**
-   * Calculate the fitness of the particle
-   * Fitness increases exponentially with the number of checkpoints reached
+   * Calculate the fitness of the particle as the weighted sum of the fitness
+   * terms, and keep the term values in termValues and what each term added in fitnessBreakdown
+   * With the default weights fitness increases exponentially with the number of checkpoints reached.
+   * @param {Object} [weights=FITNESS_WEIGHTS] - Weight by key of FITNESS_TERMS
    */
-  calculateFitness() {
-    this.fitness = pow(2, this.fitness);
+  calculateFitness(weights = FITNESS_WEIGHTS) {
+    this.termValues ??= termValues(this);
+    const { breakdown, fitness } = weighFitness(this.termValues, weights);
+    this.fitnessBreakdown = breakdown;
+    this.fitness = fitness;
   }
 
   /**
    * Use sensors to look for obstacles and make decisions
    * @param {Boundary[]} walls - Array of boundary walls
    * @param {Obstacle[]} obstacles - Array of dynamic obstacles
+   * @param {SpatialGrid} [grid=null] - Spatial index over the walls and obstacles, see sense()
+   * @param {string} [physics=PHYSICS_MODEL] - Key of PHYSICS_MODELS that reads the decision
    */
-  look(walls, obstacles) {
+  look(walls, obstacles, grid = null, physics = PHYSICS_MODEL) {
+    const inputs = this.sense(walls, obstacles, grid);
+    this.steer(this.brain.predict(inputs), physics);
+  }
+
+  /**
+   * Read the sensors: one normalized distance per ray, 1 when touching and 0
+   * when nothing is in sight
+   * @param {Boundary[]} walls - Array of boundary walls
+   * @param {Obstacle[]} obstacles - Array of dynamic obstacles
+   * @param {SpatialGrid} [grid=null] - Spatial index over the walls and obstacles.
+   *   Gives the same inputs as scanning the arrays, only faster.
+   * @returns {number[]} The brain inputs
+   */
+  sense(walls, obstacles, grid = null) {
     const inputs = [];
     this.closeDistFromOb = Infinity;
 
@@ -184,60 +314,63 @@ export class Particle {
       let closest = null;
       let record = this.sight;
 
-      // Check for obstacles
-      let ob_point = ray.checkobstacle(obstacles);
-      if (ob_point) {
-        let distance = p5.Vector.dist(this.pos, ob_point.pos);
-        if (distance < record) {
-          closest = ob_point.pos;
-          record = distance;
-          this.closeDistFromOb = record;
-        }
+      // Check for obstacles, measured to their edge
+      const ob_hit = grid
+        ? grid.closestObstacle(ray, SIGHT)
+        : ray.checkobstacle(obstacles);
+      if (ob_hit && ob_hit.distance < record) {
+        closest = ob_hit.pos;
+        record = ob_hit.distance;
+        this.closeDistFromOb = Math.min(this.closeDistFromOb, record);
+        this.minClearance = Math.min(this.minClearance, record);
       }
 
       // Check for walls
-      for (let wall of walls) {
-        const pt = ray.cast(wall);
-        if (pt) {
-          const d = p5.Vector.dist(this.pos, pt);
-          if (d < record && d < this.sight) {
-            record = d;
-            closest = pt;
+      if (grid) {
+        const hit = grid.closestWall(ray, record);
+        if (hit) {
+          record = hit.distance;
+          closest = hit.point;
+        }
+      } else {
+        for (let wall of walls) {
+          const pt = ray.cast(wall);
+          if (pt) {
+            const d = Vec2.dist(this.pos, pt);
+            if (d < record && d < this.sight) {
+              record = d;
+              closest = pt;
+            }
           }
         }
       }
 
-      // Die if too close to obstacle
-      if (record < 10) {
-        this.dead = true;
-      }
-
       // Normalize sensor input
-      inputs[i] = map(record, 0, SIGHT, 1, 0);
+      inputs[i] = mapRange(record, 0, SIGHT, 1, 0);
 
-      // Visualize sensor rays (commented out for performance)
-      if (closest) {
-        stroke(255, 100, 100); // Red color for sensor rays
-        line(this.pos.x, this.pos.y, closest.x, closest.y);
-      }
+      // Remember the hit point so a renderer can draw the sensor ray
+      this.sensorHits[i] = closest;
     }
 
-    // Use neural network to decide steering
-    const output = this.brain.predict(inputs);
-    let angle = map(output[0], 0, 1, -PI, PI);
-    let speed = map(output[1], 0, 1, 0, this.maxspeed);
-    angle += this.vel.heading();
-    const steering = p5.Vector.fromAngle(angle);
-    steering.setMag(speed);
-    steering.sub(this.vel);
-    steering.limit(this.maxforce);
-    this.applyForce(steering);
+    return inputs;
+  }
+
+  /**
+   * Apply the brain's decision through the physics model; the car moves on
+   * the next update()
+   * @param {Float32Array|number[]} output - Brain outputs, both in [0, 1]
+   * @param {string} [physics=PHYSICS_MODEL] - Key of PHYSICS_MODELS that reads the outputs
+   */
+  steer(output, physics = PHYSICS_MODEL) {
+    PHYSICS_MODELS[physics].steer(this, output);
   }
 
   /**
    * Check if the particle is out of bounds
+   * @param {number} width - Width of the world
+   * @param {number} height - Height of the world
    */
-  bounds() {
+  bounds(width, height) {
     if (
       this.pos.x > width ||
       this.pos.x < 0 ||
@@ -248,27 +381,14 @@ export class Particle {
     }
   }
 
-  /**
-   * Display the particle on the canvas
-   */
-  show() {
-    push();
-    translate(this.pos.x, this.pos.y);
-    const heading = this.vel.heading();
-    rotate(heading);
-    fill(255, 100);
-    rectMode(CENTER);
-    rect(0, 0, 20, 10);
-    pop();
-  }
-
   /**
    * Render the particle's view perspective
    * @param {Boundary[]} walls - Array of boundary walls
    * @param {Obstacle[]} obstacles - Array of dynamic obstacles
+   * @param {SpatialGrid} [grid=null] - Spatial index over the walls and obstacles, see sense()
    * @returns {Object} Object containing scene distances and colors
    */
-  renderView(walls, obstacles) {
+  renderView(walls, obstacles, grid = null) {
     let scene = [];
     let colors = [];
 
@@ -278,26 +398,34 @@ export class Particle {
       let c = 0; // 0 for walls, 1 for obstacles
       let record = Infinity;
 
-      // Check for obstacles
-      let ob_point = ray.renderobstacle(obstacles);
-      if (ob_point) {
-        let distance = p5.Vector.dist(this.pos, ob_point.pos);
-        if (distance < record) {
-          closest = ob_point.pos;
-          record = distance;
-          c = 1;
-        }
+      // Check for obstacles, measured to their edge
+      const ob_hit = grid
+        ? grid.closestObstacle(ray, VIEW_DISTANCE)
+        : ray.renderobstacle(obstacles);
+      if (ob_hit) {
+        closest = ob_hit.pos;
+        record = ob_hit.distance;
+        c = 1;
       }
 
       // Check for walls
-      for (let wall of walls) {
-        const pt = ray.cast(wall);
-        if (pt) {
-          const d = p5.Vector.dist(this.pos, pt);
-          if (d < record) {
-            record = d;
-            closest = pt;
-            c = 0;
+      if (grid) {
+        const hit = grid.closestWall(ray, record);
+        if (hit) {
+          record = hit.distance;
+          closest = hit.point;
+          c = 0;
+        }
+      } else {
+        for (let wall of walls) {
+          const pt = ray.cast(wall);
+          if (pt) {
+            const d = Vec2.dist(this.pos, pt);
+            if (d < record) {
+              record = d;
+              closest = pt;
+              c = 0;
+            }
           }
         }
       }
@@ -311,23 +439,4 @@ export class Particle {
       colors: colors,
     };
   }
-
-  /**
-   * Highlight the best particle and show its goal
-   */
-  highlight() {
-    push();
-    translate(this.pos.x, this.pos.y);
-    const heading = this.vel.heading();
-    rotate(heading);
-    stroke(0, 255, 0);
-    fill(0, 255, 0, 100);
-    rectMode(CENTER);
-    rect(0, 0, 20, 10);
-    pop();
-
-    if (this.goal) {
-      this.goal.show();
-    }
-  }
 }
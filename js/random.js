@@ -0,0 +1,212 @@
+/**
+ * Random number helpers for the headless simulation core
+ * Pure equivalents of p5's random(), randomGaussian() and noise() so that
+ * track generation, selection and mutation run without a p5 instance
+ */
+
+// Perlin noise constants (same layout as p5.js)
+const PERLIN_YWRAPB = 4;
+const PERLIN_YWRAP = 1 << PERLIN_YWRAPB;
+const PERLIN_SIZE = 4095;
+const PERLIN_OCTAVES = 4;
+const PERLIN_AMP_FALLOFF = 0.5;
+
+let rng = Math.random; // Uniform source in [0, 1), replaced by setSeed()
+let perlin = null; // Lazily filled noise lattice
+let gaussianPrevious = false; // Box-Muller produces values in pairs
+let gaussianSpare = 0;
+
+/**
+ * Mulberry32 pseudo-random generator
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} A function returning uniform numbers in [0, 1)
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seed every helper in this module so that random(), randomGaussian() and
+ * noise() produce the same sequence on every run
+ * @param {number} seed - Integer seed
+ */
+export function setSeed(seed) {
+  rng = mulberry32(seed);
+  perlin = null;
+  gaussianPrevious = false;
+}
+
+/**
+ * Run a function with every helper in this module seeded on its own, then
+ * restore the run's generator. Whatever the function draws is the same on
+ * every call and leaves the run's sequence where it was, e.g. to build a
+ * track that must not change between generations.
+ * @param {number} seed - Integer seed for the function's draws
+ * @param {Function} fn - The function to run
+ * @returns {*} What the function returns
+ */
+export function withSeed(seed, fn) {
+  return seededScope(seed)(fn);
+}
+
+/**
+ * Create a sequence of random numbers of its own that functions can be run
+ * under, like withSeed() but resumable: every run continues the sequence
+ * where the previous run stopped, and the run's generator is restored in
+ * between. For work split into parts, e.g. a drive advanced a step at a time
+ * between the steps of the run.
+ * @param {number} seed - Integer seed of the sequence
+ * @returns {Function} Runs a function under the sequence and returns what it returns
+ */
+export function seededScope(seed) {
+  let scoped = null; // State of the sequence between runs, null before the first
+  return (fn) => {
+    const saved = { rng, perlin, gaussianPrevious, gaussianSpare };
+    if (scoped) {
+      ({ rng, perlin, gaussianPrevious, gaussianSpare } = scoped);
+    } else {
+      setSeed(seed);
+    }
+    try {
+      return fn();
+    } finally {
+      scoped = { rng, perlin, gaussianPrevious, gaussianSpare };
+      ({ rng, perlin, gaussianPrevious, gaussianSpare } = saved);
+    }
+  };
+}
+
+/**
+ * Create a fresh run seed from the unseeded platform generator
+ * @returns {number} A non-negative 31-bit integer seed
+ */
+export function newRunSeed() {
+  return Math.floor(Math.random() * 2147483648);
+}
+
+/**
+ * Draw an integer seed from the current generator, for seeding other
+ * generators (e.g. TensorFlow.js weight initializers) as part of the run
+ * @returns {number} A non-negative 31-bit integer seed
+ */
+export function nextSeed() {
+  return Math.floor(random(2147483648));
+}
+
+/**
+ * Return a random number, following p5's random() signatures
+ * random() -> [0, 1), random(max) -> [0, max), random(min, max) -> [min, max)
+ * @param {number} [min] - Lower bound, or upper bound if max is omitted
+ * @param {number} [max] - Upper bound
+ * @returns {number} The random number
+ */
+export function random(min, max) {
+  const rand = rng();
+  if (min === undefined) {
+    return rand;
+  }
+  if (max === undefined) {
+    return rand * min;
+  }
+  if (min > max) {
+    [min, max] = [max, min];
+  }
+  return rand * (max - min) + min;
+}
+
+/**
+ * Return a normally distributed random number (polar Box-Muller, as in p5)
+ * @param {number} [mean=0] - Mean of the distribution
+ * @param {number} [sd=1] - Standard deviation of the distribution
+ * @returns {number} The random number
+ */
+export function randomGaussian(mean = 0, sd = 1) {
+  let y1;
+  if (gaussianPrevious) {
+    y1 = gaussianSpare;
+    gaussianPrevious = false;
+  } else {
+    let x1, x2, w;
+    do {
+      x1 = random(2) - 1;
+      x2 = random(2) - 1;
+      w = x1 * x1 + x2 * x2;
+    } while (w >= 1 || w === 0);
+    w = Math.sqrt((-2 * Math.log(w)) / w);
+    y1 = x1 * w;
+    gaussianSpare = x2 * w;
+    gaussianPrevious = true;
+  }
+  return y1 * sd + mean;
+}
+
+/**
+ * Smooth interpolation curve used by the noise function
+ * @param {number} i - Value in [0, 1]
+ * @returns {number} The eased value
+ */
+function scaledCosine(i) {
+  return 0.5 * (1.0 - Math.cos(i * Math.PI));
+}
+
+/**
+ * Two-dimensional Perlin noise with the same octave layout as p5's noise()
+ * @param {number} x - X coordinate in noise space
+ * @param {number} [y=0] - Y coordinate in noise space
+ * @returns {number} Noise value in [0, 1)
+ */
+export function noise(x, y = 0) {
+  if (perlin === null) {
+    perlin = new Array(PERLIN_SIZE + 1);
+    for (let i = 0; i < PERLIN_SIZE + 1; i++) {
+      perlin[i] = random();
+    }
+  }
+
+  x = Math.abs(x);
+  y = Math.abs(y);
+
+  let xi = Math.floor(x);
+  let yi = Math.floor(y);
+  let xf = x - xi;
+  let yf = y - yi;
+
+  let r = 0;
+  let ampl = 0.5;
+
+  for (let o = 0; o < PERLIN_OCTAVES; o++) {
+    const of = xi + (yi << PERLIN_YWRAPB);
+    const rxf = scaledCosine(xf);
+    const ryf = scaledCosine(yf);
+
+    let n1 = perlin[of & PERLIN_SIZE];
+    n1 += rxf * (perlin[(of + 1) & PERLIN_SIZE] - n1);
+    let n2 = perlin[(of + PERLIN_YWRAP) & PERLIN_SIZE];
+    n2 += rxf * (perlin[(of + PERLIN_YWRAP + 1) & PERLIN_SIZE] - n2);
+    n1 += ryf * (n2 - n1);
+
+    r += n1 * ampl;
+    ampl *= PERLIN_AMP_FALLOFF;
+    xi <<= 1;
+    xf *= 2;
+    yi <<= 1;
+    yf *= 2;
+
+    if (xf >= 1.0) {
+      xi++;
+      xf--;
+    }
+    if (yf >= 1.0) {
+      yi++;
+      yf--;
+    }
+  }
+  return r;
+}
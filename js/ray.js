@@ -1,4 +1,7 @@
 import { SIGHT } from './config.js';
+import { Vec2 } from './vector.js';
+
+export const VIEW_DISTANCE = 1000; // Length of a 3D view ray when checking obstacles
 
 /**
  * Ray class for sensor rays used in obstacle detection
@@ -7,13 +10,13 @@ import { SIGHT } from './config.js';
 export class Ray {
   /**
    * Constructor for the Ray class
-   * @param {p5.Vector} pos - The starting position of the ray
+   * @param {Vec2} pos - The starting position of the ray
    * @param {number} angle - The angle of the ray in radians
    */
   constructor(pos, angle) {
     this.pos = pos;
     this.angle = angle;
-    this.dir = p5.Vector.fromAngle(angle);
+    this.dir = Vec2.fromAngle(angle);
   }
 
   /**
@@ -32,71 +35,90 @@ export class Ray {
    * @param {number} offset - Angle offset in radians
    */
   rotate(offset) {
-    this.dir = p5.Vector.fromAngle(this.angle + offset);
-  }
-
-  /**
-   * Display the ray on the canvas
-   */
-  show() {
-    stroke(0, 255, 0, 100);
-    push();
-    translate(this.pos.x, this.pos.y);
-    line(0, 0, this.dir.x * SIGHT, this.dir.y * SIGHT);
-    pop();
+    this.dir = Vec2.fromAngle(this.angle + offset);
   }
 
   /**
    * Check for collisions with obstacles
    * @param {Obstacle[]} obstacles - Array of obstacles to check
-   * @returns {Obstacle|null} The closest obstacle or null if none found
+   * @returns {Object|null} The closest hit ({ pos, distance, obstacle }) or null if none found
    */
   checkobstacle(obstacles) {
-    let p1 = this.pos.copy();
-    let p2 = p5.Vector.add(this.pos.copy(), p5.Vector.mult(this.dir.copy(), SIGHT));
-    let ob = null;
-    let dis = Infinity;
-    
-    for (let obstacle of obstacles) {
-      if (collidePointLine(obstacle.pos.x, obstacle.pos.y, p1.x, p1.y, p2.x, p2.y, 1)) {
-        if (dis > p5.Vector.dist(this.pos, obstacle.pos)) {
-          dis = p5.Vector.dist(this.pos, obstacle.pos);
-          ob = obstacle;
-        }
-      }
-    }
-    
-    return ob;
+    return this.closestObstacle(obstacles, SIGHT);
   }
 
   /**
    * Render obstacle detection for visualization
    * @param {Obstacle[]} obstacles - Array of obstacles to check
-   * @returns {Obstacle|null} The closest obstacle or null if none found
+   * @returns {Object|null} The closest hit ({ pos, distance, obstacle }) or null if none found
    */
   renderobstacle(obstacles) {
-    let p1 = this.pos.copy();
-    let p2 = p5.Vector.add(this.pos.copy(), p5.Vector.mult(this.dir.copy(), 1000));
-    let ob = null;
+    return this.closestObstacle(obstacles, VIEW_DISTANCE);
+  }
+
+  /**
+   * Find the closest obstacle the ray hits
+   * Of equally close obstacles the first one in the array wins.
+   * @param {Obstacle[]} obstacles - Array of obstacles to check
+   * @param {number} length - Length of the ray
+   * @returns {Object|null} The closest hit: the point on the obstacle's edge, its
+   *   distance from the ray origin and the obstacle; or null if none found
+   */
+  closestObstacle(obstacles, length) {
+    let closest = null;
     let dis = Infinity;
-    
+
     for (let obstacle of obstacles) {
-      if (collidePointLine(obstacle.pos.x, obstacle.pos.y, p1.x, p1.y, p2.x, p2.y, 0.07)) {
-        if (dis > p5.Vector.dist(this.pos, obstacle.pos)) {
-          dis = p5.Vector.dist(this.pos, obstacle.pos);
-          ob = obstacle;
-        }
+      const d = this.castObstacle(obstacle, length);
+      if (d !== undefined && d < dis) {
+        dis = d;
+        closest = obstacle;
       }
     }
-    
-    return ob;
+
+    if (!closest) {
+      return null;
+    }
+    return {
+      pos: Vec2.add(this.pos, Vec2.mult(this.dir, dis)),
+      distance: dis,
+      obstacle: closest,
+    };
+  }
+
+  /**
+   * Cast the ray against a circular obstacle
+   * Solves |pos + t * dir - center| = r for the nearest t along the ray.
+   * A ray starting inside the obstacle hits it at distance 0.
+   * @param {Obstacle} obstacle - The obstacle to check
+   * @param {number} length - Length of the ray
+   * @returns {number|undefined} Distance to the obstacle's edge, or undefined if the ray misses it
+   */
+  castObstacle(obstacle, length) {
+    const fx = this.pos.x - obstacle.pos.x;
+    const fy = this.pos.y - obstacle.pos.y;
+    const b = fx * this.dir.x + fy * this.dir.y;
+    const c = fx * fx + fy * fy - obstacle.r * obstacle.r;
+
+    if (c <= 0) {
+      return 0; // Starts inside the obstacle
+    }
+    const discriminant = b * b - c;
+    if (b > 0 || discriminant < 0) {
+      return; // Points away from the obstacle or passes it by
+    }
+    const t = -b - Math.sqrt(discriminant);
+    if (t > length) {
+      return;
+    }
+    return t;
   }
 
   /**
    * Cast the ray and check for intersection with a wall
    * Uses line-line intersection algorithm
    * @param {Boundary} wall - The wall to check for intersection
-   * @returns {p5.Vector|undefined} The intersection point or undefined if no intersection
+   * @returns {Vec2|undefined} The intersection point or undefined if no intersection
    */
   cast(wall) {
     // Wall endpoints
@@ -123,10 +145,7 @@ export class Ray {
     
     // Check if intersection is within both line segments
     if (t > 0 && t < 1 && u > 0 && u < 1) {  // Added u < 1 condition for ray length
-      const pt = createVector();
-      pt.x = x1 + t * (x2 - x1);
-      pt.y = y1 + t * (y2 - y1);
-      return pt;
+      return new Vec2(x1 + t * (x2 - x1), y1 + t * (y2 - y1));
     } else {
       return;
     }
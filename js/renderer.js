@@ -0,0 +1,188 @@
+import {
+  SIGHT,
+  OBSTACLE_RADIUS,
+  CAR_LENGTH,
+  CAR_WIDTH,
+  simulationAreaWidth,
+  viewAreaWidth,
+  trackheight,
+} from "./config.js";
+
+/**
+ * p5.js renderer for the simulation
+ * The simulation runs in a Web Worker (see simulationWorker.js); every call
+ * into the p5 drawing API lives in this module and draws from the plain
+ * snapshots the worker posts (see Simulation.snapshot()).
+ */
+
+/**
+ * Draw a line segment such as a wall or a checkpoint
+ * @param {number} ax - X of the first end point
+ * @param {number} ay - Y of the first end point
+ * @param {number} bx - X of the second end point
+ * @param {number} by - Y of the second end point
+ */
+export function drawBoundary(ax, ay, bx, by) {
+  stroke(255);
+  line(ax, ay, bx, by);
+}
+
+/**
+ * Draw an obstacle
+ * @param {number} x - X coordinate of the obstacle
+ * @param {number} y - Y coordinate of the obstacle
+ * @param {number} r - Radius of the obstacle
+ */
+export function drawObstacle(x, y, r) {
+  noStroke();
+  fill(255, 0, 0);
+  circle(x, y, r * 2);
+}
+
+/**
+ * Draw the sensor rays of the best car up to the points they hit
+ * @param {Object} best - Best car of a snapshot
+ */
+export function drawSensorHits(best) {
+  stroke(255, 100, 100); // Red color for sensor rays
+  for (let i = 0; i < best.hits.length; i += 2) {
+    if (!Number.isNaN(best.hits[i])) {
+      line(best.x, best.y, best.hits[i], best.hits[i + 1]);
+    }
+  }
+}
+
+/**
+ * Draw a car
+ * @param {number} x - X coordinate of the car
+ * @param {number} y - Y coordinate of the car
+ * @param {number} heading - Heading in radians
+ */
+export function drawParticle(x, y, heading) {
+  push();
+  translate(x, y);
+  rotate(heading);
+  fill(255, 100);
+  rectMode(CENTER);
+  rect(0, 0, CAR_LENGTH, CAR_WIDTH);
+  pop();
+}
+
+/**
+ * Draw every car of a snapshot
+ * @param {Float32Array} cars - Car poses as [x, y, heading] triples
+ */
+export function drawCars(cars) {
+  for (let i = 0; i < cars.length; i += 3) {
+    drawParticle(cars[i], cars[i + 1], cars[i + 2]);
+  }
+}
+
+/**
+ * Highlight the best car and show its goal
+ * @param {Object} best - Best car of a snapshot
+ */
+export function highlightParticle(best) {
+  push();
+  translate(best.x, best.y);
+  rotate(best.heading);
+  stroke(0, 255, 0);
+  fill(0, 255, 0, 100);
+  rectMode(CENTER);
+  rect(0, 0, CAR_LENGTH, CAR_WIDTH);
+  pop();
+
+  if (best.goal) {
+    drawBoundary(...best.goal);
+  }
+}
+
+/**
+ * Draw the world: walls and obstacles
+ * @param {number[]} walls - Wall segments as flat [ax, ay, bx, by, ...]
+ * @param {Float32Array} obstacles - Obstacles as [x, y, radius] triples
+ */
+export function drawWorld(walls, obstacles) {
+  for (let i = 0; i < walls.length; i += 4) {
+    drawBoundary(walls[i], walls[i + 1], walls[i + 2], walls[i + 3]);
+  }
+
+  for (let i = 0; i < obstacles.length; i += 3) {
+    drawObstacle(obstacles[i], obstacles[i + 1], obstacles[i + 2]);
+  }
+}
+
+/**
+ * Render the 3D-like view from the best car's perspective to the right of the track
+ * @param {Object} best - Best car of a snapshot, with the scene distances and colors of its view
+ */
+export function drawView(best) {
+  const scene = best.scene;
+  const colors = best.colors;
+  const w = viewAreaWidth / scene.length; // Use viewAreaWidth for scaling
+
+  push();
+  translate(simulationAreaWidth, 0); // Translate to the right of the simulation area
+  for (let i = 0; i < scene.length; i++) {
+    noStroke();
+    let sq = scene[i] * scene[i];
+    let swq = SIGHT * SIGHT; // Use SIGHT for better scaling
+    const b = map(sq, 0, swq, 200, 0);
+    const h = map(sq, 0, swq, trackheight, 0); // Scale height to trackheight
+
+    if (colors[i] === 1) {
+      // Obstacle color (red)
+      fill(b, 0, 0);
+    }
+    if (colors[i] === 0) {
+      // Wall color (gray/blue)
+      fill(b, b, b + 30, b);
+    }
+
+    rectMode(CENTER);
+    rect(i * w + w / 2, trackheight / 2, w + 1, h); // Center rect vertically
+  }
+  pop();
+}
+
+/**
+ * Draw the track editor: the preview of the road with its checkpoints and
+ * walls, the centre line points and the obstacles
+ * @param {TrackEditor} editor - The track editor
+ */
+export function drawTrackEditor(editor) {
+  const track = editor.track();
+  if (track) {
+    stroke(70);
+    for (const checkpoint of track.checkpoints) {
+      line(checkpoint.a.x, checkpoint.a.y, checkpoint.b.x, checkpoint.b.y);
+    }
+    for (const wall of track.walls) {
+      drawBoundary(wall.a.x, wall.a.y, wall.b.x, wall.b.y);
+    }
+  }
+
+  for (const obstacle of editor.obstacles) {
+    drawObstacle(obstacle.x, obstacle.y, OBSTACLE_RADIUS);
+  }
+
+  // Centre line points in driving order; the first one is the start
+  noFill();
+  stroke(0, 150, 255);
+  beginShape();
+  for (const point of editor.points) {
+    vertex(point.x, point.y);
+  }
+  endShape(CLOSE);
+  editor.points.forEach((point, i) => {
+    stroke(0, 150, 255);
+    if (i === editor.selected) {
+      fill(255, 255, 0); // Selected point
+    } else if (i === 0) {
+      fill(0, 255, 0); // Start
+    } else {
+      noFill();
+    }
+    circle(point.x, point.y, 12);
+  });
+}
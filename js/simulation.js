@@ -0,0 +1,742 @@
+import { Evolution } from "./evolution.js";
+import { Particle, BRAIN_SHAPE } from "./particle.js";
+import {
+  NeuralNetwork,
+  checkModelShape,
+  getModelArchitecture,
+  sameArchitecture,
+} from "./nn.js";
+import { NeatNetwork, NEAT_FORMAT, innovations } from "./neat.js";
+import { seedGeneration, MutationSchedule } from "./ga.js";
+import { setSeed } from "./random.js";
+import { exportTrack } from "./trackFormat.js";
+
+/**
+ * Where the best brain is persisted between sessions
+ */
+export const MODEL_STORAGE_URL = "indexeddb://best-car-model";
+
+/**
+ * Load a saved brain through a tf.io handler
+ * NEAT genomes are stored in the same model.json layout as tfjs models and
+ * are recognised by their format tag.
+ * @param {tf.io.IOHandler} handler - Handler to load from (IndexedDB, memory, ...)
+ * @returns {Promise<tf.LayersModel|NeatNetwork>} The loaded model or genome
+ */
+export async function loadBrainModel(handler) {
+  const artifacts = await handler.load();
+  if (artifacts.format === NEAT_FORMAT) {
+    return NeatNetwork.fromJSON(artifacts.modelTopology);
+  }
+  return tf.loadLayersModel(tf.io.fromMemory(artifacts));
+}
+
+/**
+ * Check that a loaded NEAT genome has the inputs and outputs the cars expect
+ * @param {NeatNetwork} genome - The loaded genome
+ * @returns {string|null} A message describing the mismatch, or null if the genome fits
+ */
+function checkGenomeShape(genome) {
+  if (
+    genome.input_nodes === BRAIN_SHAPE.input &&
+    genome.output_nodes === BRAIN_SHAPE.output
+  ) {
+    return null;
+  }
+  return (
+    `The NEAT genome has ${genome.input_nodes} inputs and ${genome.output_nodes} outputs, ` +
+    `but cars expect ${BRAIN_SHAPE.input} inputs and ${BRAIN_SHAPE.output} outputs.`
+  );
+}
+
+/**
+ * Simulation class running the interactive training session
+ * Runs the generation loop of Evolution one cycle at a time and adds what
+ * the browser session needs: persistence, loading and evaluating models, and
+ * snapshots for the renderer. It has no access to the DOM or p5: the
+ * simulation worker drives it and posts snapshot() to the main thread, which
+ * only draws.
+ */
+export class Simulation extends Evolution {
+  /**
+   * Constructor for the Simulation class
+   * @param {Object} [callbacks] - Hooks for the host
+   * @param {Function} [callbacks.onGeneration] - Called with generation info after every new generation
+   * @param {Function} [callbacks.onSave] - Called with the state to persist (generation, track preset, curriculum, laps, seed)
+   */
+  constructor(callbacks = {}) {
+    super();
+    this.allTimeBestLaps = 0;
+    this.runSeed = null;
+
+    this.lastValidation = null; // Best brain's score on the validation track after the last generation
+    this.fitnessBreakdown = null; // What each fitness term added for the best car of the last generation
+    this.diversity = null; // Genetic diversity of the last generation and the random brains injected after it
+
+    this.trainedModel = null; // Brain loaded through the Load Model panel or the gallery
+    this.evaluationAgent = null; // Single car driven by trainedModel while evolution is frozen
+
+    this.bestAgent = null; // Best visible car after the last cycle
+    this.generationPending = false; // True while nextGeneration() runs, pauses the simulation
+    this.pendingChange = null; // Setting applied before the next generation's track is built, see endGenerationEarly()
+
+    this.onGeneration = callbacks.onGeneration ?? (() => {});
+    this.onSave = callbacks.onSave ?? (() => {});
+  }
+
+  /**
+   * Build the first track and population, continuing a persisted session
+   * @param {Object} [state] - Persisted session state
+   * @param {number} [state.generationCount=0] - Generation to continue from
+   * @param {number} [state.trackPresetIndex=0] - Preset the next track is built from
+   * @param {Object|null} [state.customTrack=null] - Saved or imported track to drive instead of the presets
+   * @param {{mode: string, level: number}} [state.curriculum] - Curriculum mode and level to continue with
+   * @param {number} [state.allTimeBestLaps=0] - Best laps of the session so far
+   * @param {number} state.seed - Run seed
+   * @param {tf.LayersModel|NeatNetwork} [state.loadedModel] - Persisted best brain; it is disposed after copying
+   */
+  start(state) {
+    this.generationCount = state.generationCount ?? 0;
+    this.world.trackPresetIndex = state.trackPresetIndex ?? 0;
+    this.world.customTrack = state.customTrack ?? null;
+    if (state.curriculum) {
+      this.world.curriculum.set(state.curriculum.mode, state.curriculum.level);
+    }
+    this.allTimeBestLaps = state.allTimeBestLaps ?? 0;
+    this.runSeed = state.seed;
+    setSeed(this.runSeed); // Seed before anything random is generated
+    this.evaluation.reset(this.runSeed);
+
+    const loadedModel = state.loadedModel ?? null;
+    if (loadedModel) {
+      // The population continues with the type and architecture of the persisted brain
+      this.settings.brainType =
+        loadedModel instanceof NeatNetwork ? "neat" : "dense";
+      if (this.settings.brainType === "dense") {
+        const { hidden, outputActivation } = getModelArchitecture(loadedModel);
+        this.settings.architecture = { hidden, outputActivation };
+      }
+    }
+    this.resetSpeciation();
+    this.world.physics = this.settings.physics;
+
+    this.buildTrack();
+    for (let i = 0; i < this.settings.populationSize; i++) {
+      if (i === 0 && loadedModel) {
+        // A raw tf.Sequential model is copied by Particle, a NEAT genome is copied here
+        const brain =
+          loadedModel instanceof NeatNetwork ? loadedModel.copy() : loadedModel;
+        this.agents.push(new Particle(brain, this.world.start));
+      } else {
+        this.agents.push(this.randomAgent());
+      }
+    }
+    if (loadedModel) {
+      loadedModel.dispose();
+    }
+  }
+
+  /**
+   * Describe the curriculum level for the info bar and the dashboard
+   * @returns {string} The level, see Curriculum.describe()
+   */
+  curriculumLabel() {
+    const label = this.world.curriculum.describe();
+    return this.world.customTrack && this.world.curriculum.mode !== "off"
+      ? `${label}, paused for a custom track`
+      : label;
+  }
+
+  /**
+   * Advance the simulation by one cycle
+   */
+  step() {
+    if (this.generationPending) return;
+
+    // The generation ends with its validation drive, one step per cycle so
+    // that it never holds up the worker; it goes on even while a loaded model
+    // is evaluated, since settings changes wait for it
+    if (this.validationDrive) {
+      const score = this.stepValidation();
+      if (score) {
+        this.lastValidation = {
+          generation: this.generationCount,
+          training: score.training,
+          validation: score.checkpoints,
+        };
+        this.nextGeneration();
+      }
+      return;
+    }
+
+    // Evolution is frozen while a loaded model is being evaluated
+    if (this.evaluationAgent) {
+      this.stepEvaluation();
+      return;
+    }
+
+    // Once every car has finished, drive the next track of the evaluation or
+    // score the generation and breed a new population
+    if (this.stepCars() && !this.nextRound()) {
+      this.endGeneration();
+    }
+  }
+
+  /**
+   * Cars the renderer shows: the car on the validation track during a
+   * validation drive, the evaluation car while a loaded model is evaluated,
+   * otherwise the population
+   * @returns {Particle[]} The cars
+   */
+  visibleAgents() {
+    if (this.validationDrive) return [this.validationDrive.car];
+    if (this.evaluationAgent) return [this.evaluationAgent];
+    return this.agents;
+  }
+
+  /**
+   * Find the best visible car and update the all-time best laps
+   * Call after a batch of cycles, before taking a snapshot.
+   */
+  updateBest() {
+    const visibleAgents = this.visibleAgents();
+    this.bestAgent = null;
+    let maxFitnessCurrent = -1;
+    for (const agent of visibleAgents) {
+      if (agent.fitness > maxFitnessCurrent) {
+        maxFitnessCurrent = agent.fitness;
+        this.bestAgent = agent;
+      }
+    }
+
+    if (
+      visibleAgents === this.agents &&
+      this.bestAgent &&
+      this.bestAgent.lapsCompleted > this.allTimeBestLaps
+    ) {
+      this.allTimeBestLaps = this.bestAgent.lapsCompleted;
+    }
+  }
+
+  /**
+   * Score the finished generation and breed the next one, right away or,
+   * if a validation drive is due, once step() has finished it
+   */
+  endGeneration() {
+    const curriculumChange = this.finishGeneration();
+    if (curriculumChange) {
+      console.log(
+        `Curriculum ${curriculumChange} to level ${this.world.curriculum.describe()}`,
+      );
+    }
+    if (!this.validationDrive) {
+      this.nextGeneration();
+    }
+  }
+
+  /**
+   * Build the next generation's first track and breed it from the finished cars
+   * The simulation is paused until the new generation is in place, so that an
+   * asynchronous save cannot let extra cycles consume random numbers.
+   */
+  async nextGeneration() {
+    if (this.generationPending) return;
+    this.generationPending = true;
+    if (this.pendingChange) {
+      this.pendingChange();
+      this.pendingChange = null;
+    }
+    try {
+      const result = await this.breed((brain, generation) =>
+        this.saveState(brain, generation),
+      );
+      this.fitnessBreakdown = result.fitnessBreakdown;
+      if (result.diversity !== null) {
+        this.diversity = {
+          generation: this.generationCount - 1,
+          value: result.diversity,
+          injected: result.injected,
+        };
+      }
+      this.onGeneration(this.generationInfo());
+    } catch (error) {
+      console.error("Error in nextGeneration:", error);
+      // Free the old population and create new random agents as fallback
+      this.clearPopulation();
+      for (let i = 0; i < this.settings.populationSize; i++) {
+        this.agents.push(this.randomAgent());
+      }
+      this.generationCount++;
+    } finally {
+      this.generationPending = false;
+    }
+  }
+
+  /**
+   * Mutation settings and best brain of the current generation, for the dashboard
+   * @returns {{generation: number, mutationRate: number, mutationStrength: number, mutationScale: number, brain: ?string, curriculum: string, validation: ?Object, fitness: ?Object, pareto: ?Object, diversity: ?Object}} The info
+   */
+  generationInfo() {
+    const scheduled = this.schedule.apply(
+      this.settings.mutationRate,
+      this.settings.mutationStrength,
+    );
+    const species = this.speciation
+      ? `, ${this.speciation.speciesCount} species`
+      : "";
+    return {
+      generation: this.generationCount,
+      mutationRate: scheduled.mutationRate,
+      mutationStrength: scheduled.mutationStrength,
+      mutationScale: this.schedule.scale,
+      brain:
+        this.agents.length > 0
+          ? this.agents[0].brain.describe() + species
+          : null,
+      curriculum: this.curriculumLabel(),
+      validation: this.lastValidation,
+      fitness: this.fitnessBreakdown,
+      pareto: this.paretoFront
+        ? {
+            ...this.paretoFront,
+            members: this.paretoFront.members.map(({ values, laps }) => ({
+              values,
+              laps,
+            })),
+          }
+        : null,
+      diversity: this.diversity,
+    };
+  }
+
+  /**
+   * Persist the session: the best brain goes to IndexedDB, the rest to the host
+   * @param {NeuralNetwork|NeatNetwork|null} brain - Brain to persist, or null to keep the stored one
+   * @param {number} [generation=this.generationCount] - Generation count to persist
+   */
+  async saveState(brain, generation = this.generationCount) {
+    this.onSave({
+      generationCount: generation,
+      trackPresetIndex: this.world.trackPresetIndex,
+      curriculum: this.world.curriculum.state(),
+      allTimeBestLaps: this.allTimeBestLaps,
+      runSeed: this.runSeed,
+    });
+    if (!brain) return;
+    try {
+      await brain.save(MODEL_STORAGE_URL);
+      console.log("Best model saved to IndexedDB.");
+    } catch (error) {
+      console.error("Failed to save model to IndexedDB:", error);
+    }
+  }
+
+  /**
+   * Wait until an in-flight generation change, including its validation
+   * drive, has finished
+   * @returns {Promise<void>}
+   */
+  async waitForGeneration() {
+    while (this.generationPending || this.validationDrive) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  /**
+   * Dispose every car of the current population
+   */
+  clearPopulation() {
+    super.clearPopulation();
+    this.bestAgent = null;
+  }
+
+  /**
+   * Restart training from generation 0
+   * @param {number} seed - Seed of the new run
+   */
+  async restart(seed) {
+    await this.waitForGeneration();
+    this.stopEvaluation();
+    this.clearPopulation();
+    this.generationCount = 0;
+    this.world.trackPresetIndex = 0;
+    this.world.curriculum.set(this.world.curriculum.mode, 0);
+
+    this.schedule = new MutationSchedule(this.schedule.mode);
+    innovations.reset();
+    this.resetSpeciation();
+    this.world.physics = this.settings.physics;
+    this.runSeed = seed;
+    setSeed(seed);
+    this.evaluation.reset(seed);
+    this.lastValidation = null;
+    this.fitnessBreakdown = null;
+    this.diversity = null;
+    this.setParetoFront(null);
+    this.buildTrack();
+    for (let i = 0; i < this.settings.populationSize; i++) {
+      this.agents.push(this.randomAgent());
+    }
+    this.onGeneration(this.generationInfo());
+
+    await this.saveState(null);
+  }
+
+  /**
+   * End the current generation early, e.g. when a setting changes the track:
+   * the cars still driving are scored with the finished ones over the
+   * tracks driven so far, the generation is recorded and validated as at
+   * its normal end, then the setting is applied and the next generation
+   * starts on a new track
+   * @param {Function} [applyChange] - Changes the world before the new track is built
+   */
+  async endGenerationEarly(applyChange = () => {}) {
+    await this.waitForGeneration();
+    this.retireAgents();
+    this.bestAgent = null;
+    this.pendingChange = applyChange;
+    this.endGeneration();
+    await this.waitForGeneration();
+  }
+
+  /**
+   * Rebuild the track with a new obstacle count and start a new generation on it
+   * @param {number} count - Number of obstacles
+   */
+  async setObstacleCount(count) {
+    await this.endGenerationEarly(() => {
+      this.world.obstacleCount = count;
+    });
+  }
+
+  /**
+   * Change the curriculum mode or override its level, and start a new
+   * generation on a track of the new level
+   * @param {string} mode - Key of CURRICULUM_MODES
+   * @param {number} level - Index of the level in CURRICULUM_LEVELS
+   */
+  async setCurriculum(mode, level) {
+    await this.endGenerationEarly(() => {
+      this.world.curriculum.set(mode, level);
+      this.world.trackPresetIndex = 0;
+    });
+  }
+
+  /**
+   * Drive a track saved by the track editor or imported from a track file
+   * from the next generation on, or go back to cycling the presets
+   * @param {Object|null} track - The track template, or null for the presets
+   */
+  async setCustomTrack(track) {
+    await this.endGenerationEarly(() => {
+      this.world.customTrack = track;
+    });
+  }
+
+  /**
+   * Validate a loaded brain and put it to use as the trained model
+   * @param {tf.LayersModel|NeatNetwork} model - The loaded model; it is disposed after copying
+   * @param {string} mode - "seed" to seed the next generation, "evaluate" to run a single car
+   * @param {string} label - How the model is named in status messages
+   * @returns {Promise<{message: string, isError: boolean}>} Status for the Load Model panel
+   */
+  async useModel(model, mode, label) {
+    const shapeError =
+      model instanceof NeatNetwork
+        ? checkGenomeShape(model)
+        : checkModelShape(model, BRAIN_SHAPE);
+    if (shapeError) {
+      model.dispose();
+      return { message: shapeError, isError: true };
+    }
+
+    if (this.trainedModel) {
+      this.trainedModel.dispose();
+    }
+    if (model instanceof NeatNetwork) {
+      this.trainedModel = model;
+    } else {
+      this.trainedModel = NeuralNetwork.fromModel(model);
+      model.dispose();
+    }
+    console.log("Model loaded successfully");
+
+    if (mode === "evaluate") {
+      this.startEvaluation();
+      return {
+        message: `Evaluating ${label}. Evolution is frozen until you resume training.`,
+        isError: false,
+      };
+    }
+    return this.seedFromTrainedModel(label);
+  }
+
+  /**
+   * Replace the population with a generation descended from the trained model
+   * @param {string} label - How the model is named in status messages
+   * @returns {Promise<{message: string, isError: boolean}>} Status for the Load Model panel
+   */
+  async seedFromTrainedModel(label) {
+    await this.waitForGeneration();
+    this.stopEvaluation();
+    this.clearPopulation();
+
+    // The seeded population continues with the type and architecture of the seeding brain
+    const brainType =
+      this.trainedModel instanceof NeatNetwork ? "neat" : "dense";
+    if (brainType !== this.settings.brainType) {
+      this.settings.brainType = brainType;
+      this.resetSpeciation();
+    }
+    let architectureNote = "";
+    if (
+      this.trainedModel instanceof NeuralNetwork &&
+      !sameArchitecture(
+        this.trainedModel.architecture,
+        this.settings.architecture,
+      )
+    ) {
+      this.settings.architecture = this.trainedModel.architecture;
+      architectureNote = ` The architecture changed to ${this.trainedModel.describe()}.`;
+    }
+    this.buildTrack();
+    this.agents = seedGeneration(
+      this.trainedModel,
+      this.world.start,
+      this.geneticOptions(),
+    );
+    this.generationCount++;
+    this.onGeneration(this.generationInfo());
+
+    return {
+      message: `Generation ${this.generationCount} was seeded from ${label}.${architectureNote}`,
+      isError: false,
+    };
+  }
+
+  /**
+   * Freeze evolution and drive a single evaluation car with the trained model
+   */
+  startEvaluation() {
+    if (this.evaluationAgent) {
+      this.evaluationAgent.dispose();
+    }
+    this.evaluationAgent = new Particle(
+      this.trainedModel.copy(),
+      this.world.start,
+    );
+  }
+
+  /**
+   * Remove the evaluation car; the paused population continues where it stopped
+   */
+  stopEvaluation() {
+    if (this.evaluationAgent) {
+      this.evaluationAgent.dispose();
+      this.evaluationAgent = null;
+    }
+    this.bestAgent = null;
+  }
+
+  /**
+   * Advance the evaluation car by one simulation step, restarting it from the
+   * start line with a fresh copy of the model whenever it dies
+   */
+  stepEvaluation() {
+    this.world.updateObstacles();
+    this.world.updateAgent(this.evaluationAgent);
+    if (this.evaluationAgent.dead || this.evaluationAgent.finished) {
+      this.evaluationAgent.dispose();
+      this.evaluationAgent = new Particle(
+        this.trainedModel.copy(),
+        this.world.start,
+      );
+    }
+  }
+
+  /**
+   * Save the best visible car's brain with metadata for the model gallery
+   * @param {tf.io.IOHandler|string} destination - Where to save the model
+   * @returns {Promise<boolean>} False if there is no car to save yet
+   */
+  async saveBest(destination) {
+    if (!this.bestAgent) return false;
+    await this.bestAgent.brain.save(destination, {
+      generation: this.generationCount,
+      laps: this.bestAgent.lapsCompleted,
+      trackPreset: this.world.activePresetIndex,
+      seed: this.runSeed,
+      mutation: this.settings.mutation,
+      mutationStrength: this.settings.mutationStrength,
+      selection: this.settings.selection,
+      crossover: this.settings.crossover,
+      crossoverRate: this.settings.crossoverRate,
+      physics: this.world.physics,
+    });
+    return true;
+  }
+
+  /**
+   * Save the brain of a member of the last Pareto front with metadata for the model gallery
+   * @param {number} index - Index of the member in the front
+   * @param {tf.io.IOHandler|string} destination - Where to save the model
+   * @returns {Promise<boolean>} False if there is no such member
+   */
+  async saveParetoMember(index, destination) {
+    const member = this.paretoFront?.members[index];
+    if (!member) return false;
+    await member.brain.save(destination, {
+      generation: this.generationCount - 1, // The front is of the generation before the current one
+      laps: member.laps,
+      objectives: Object.fromEntries(
+        this.paretoFront.objectives.map((key, i) => [key, member.values[i]]),
+      ),
+      trackPreset: this.world.activePresetIndex,
+      seed: this.runSeed,
+      mutation: this.settings.mutation,
+      mutationStrength: this.settings.mutationStrength,
+      selection: this.settings.selection,
+      crossover: this.settings.crossover,
+      crossoverRate: this.settings.crossoverRate,
+      physics: this.world.physics,
+    });
+    return true;
+  }
+
+  /**
+   * The current track as a track file
+   * @returns {Object} The track file, see exportTrack()
+   */
+  exportTrack() {
+    return exportTrack(this.world, this.runSeed);
+  }
+
+  /**
+   * Track geometry for renderers
+   * @returns {{walls: number[], version: number}} Wall segments as flat [ax, ay, bx, by, ...] and the track version,
+   *   plus the track's name, difficulty, round of the evaluation and whether it is the validation track
+   */
+  trackSnapshot() {
+    const walls = [];
+    for (const wall of this.world.walls) {
+      walls.push(wall.a.x, wall.a.y, wall.b.x, wall.b.y);
+    }
+    return {
+      walls: walls,
+      name: this.world.trackName,
+      difficulty: this.world.difficulty,
+      round: this.evaluation.round + 1,
+      rounds: this.evaluation.rounds,
+      validation: this.validationDrive !== null,
+      version: this.trackVersion,
+    };
+  }
+
+  /**
+   * Compact, transferable picture of the current cycle for the main thread
+   * Car poses are packed as [x, y, heading] triples and obstacles as
+   * [x, y, radius] triples; the best car also
+   * carries its sensor hits, goal line and the 3D-like view.
+   * @returns {Object} The snapshot
+   */
+  snapshot() {
+    const visibleAgents = this.visibleAgents();
+
+    const cars = new Float32Array(visibleAgents.length * 3);
+    visibleAgents.forEach((agent, i) => {
+      cars[i * 3] = agent.pos.x;
+      cars[i * 3 + 1] = agent.pos.y;
+      cars[i * 3 + 2] = agent.heading;
+    });
+
+    const obstacles = new Float32Array(this.world.obstacles.length * 3);
+    this.world.obstacles.forEach((obstacle, i) => {
+      obstacles[i * 3] = obstacle.pos.x;
+      obstacles[i * 3 + 1] = obstacle.pos.y;
+      obstacles[i * 3 + 2] = obstacle.r;
+    });
+
+    let best = null;
+    const agent = this.bestAgent;
+    if (agent) {
+      const hits = new Float32Array(agent.sensorHits.length * 2).fill(NaN);
+      agent.sensorHits.forEach((hit, i) => {
+        if (hit) {
+          hits[i * 2] = hit.x;
+          hits[i * 2 + 1] = hit.y;
+        }
+      });
+      const view = agent.renderView(
+        this.world.walls,
+        this.world.obstacles,
+        this.world.activeGrid(),
+      );
+      best = {
+        x: agent.pos.x,
+        y: agent.pos.y,
+        heading: agent.heading,
+        speed: agent.vel.mag(),
+        closeDistFromOb: agent.closeDistFromOb,
+        lapsCompleted: agent.lapsCompleted,
+        hits: hits,
+        goal: agent.goal
+          ? [agent.goal.a.x, agent.goal.a.y, agent.goal.b.x, agent.goal.b.y]
+          : null,
+        scene: Float32Array.from(view.scene),
+        colors: Uint8Array.from(view.colors),
+      };
+    }
+
+    return {
+      trackVersion: this.trackVersion,
+      generation: this.generationCount,
+      evaluating: this.evaluationAgent !== null,
+      validating: this.validationDrive !== null,
+      allTimeBestLaps: this.allTimeBestLaps,
+      runSeed: this.runSeed,
+      cars: cars,
+      obstacles: obstacles,
+      best: best,
+      stats: this.evaluationAgent ? null : this.populationStats(),
+    };
+  }
+
+  /**
+   * Statistics of the current generation for the dashboard
+   * @returns {Object|null} The statistics, or null without cars
+   */
+  populationStats() {
+    if (this.agents.length === 0) return null;
+
+    let totalFitness = 0;
+    let totalSpeed = 0;
+    let aliveCount = 0;
+    let maxFitnessCurrent = 0;
+    let maxLapsCurrent = 0;
+    const fitness = new Float32Array(this.agents.length);
+    const laps = new Float32Array(this.agents.length);
+
+    this.agents.forEach((agent, i) => {
+      if (!agent.dead && !agent.finished) {
+        aliveCount++;
+      }
+      totalFitness += agent.fitness;
+      totalSpeed += agent.vel.mag();
+      maxFitnessCurrent = Math.max(maxFitnessCurrent, agent.fitness);
+      maxLapsCurrent = Math.max(maxLapsCurrent, agent.lapsCompleted);
+      fitness[i] = agent.fitness;
+      laps[i] = agent.lapsCompleted;
+    });
+
+    return {
+      generation: this.generationCount,
+      bestFitness: maxFitnessCurrent,
+      avgFitness: totalFitness / this.agents.length,
+      bestLaps: maxLapsCurrent,
+      aliveCount: aliveCount,
+      avgSpeed: totalSpeed / this.agents.length, // Pixels per cycle; hosts convert to km/h
+      fitness: fitness,
+      laps: laps,
+    };
+  }
+}
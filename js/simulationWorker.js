@@ -0,0 +1,295 @@
+// TensorFlow.js for the worker; must match the version loaded by index.html
+import "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.17.0/dist/tf.min.js";
+import { Simulation, loadBrainModel, MODEL_STORAGE_URL } from "./simulation.js";
+import { TIME_STEP } from "./config.js";
+
+/**
+ * Simulation worker
+ * Runs the world update, sensing, inference and nextGeneration() off the UI
+ * thread. The main thread (sketch.js) sends commands as { type, ... }
+ * messages and receives:
+ * - "snapshot": car poses, best car, obstacles and stats after every frame
+ *   (the track is included only when it changed)
+ * - "generation": mutation settings and best brain after a new generation
+ * - "persist": session state to write to localStorage
+ * - "settings": brain type and architecture after they were adopted from a model
+ * - "modelStatus": result of loading a model
+ * - "download": model artifacts to offer as a download
+ */
+
+const FRAME_MS = 1000 / 60; // One batch of steps per display frame
+
+let speed = 1; // Simulated seconds per real second, set by the speed slider
+let accumulator = 0; // Simulated seconds owed to the simulation, run in steps of TIME_STEP
+let lastTick = performance.now(); // Start of the previous frame
+let running = false; // Set once the first population exists
+let sentTrackVersion = -1; // Track version the main thread has last received
+
+const simulation = new Simulation({
+  onGeneration: (info) => self.postMessage({ type: "generation", info: info }),
+  onSave: (state) => self.postMessage({ type: "persist", state: state }),
+});
+
+/**
+ * Tell the main thread which brain type and architecture new cars use
+ */
+function postSettings() {
+  self.postMessage({
+    type: "settings",
+    brainType: simulation.settings.brainType,
+    architecture: simulation.settings.architecture,
+  });
+}
+
+/**
+ * Post a snapshot of the current cycle, transferring its typed arrays
+ */
+function postSnapshot() {
+  const snapshot = simulation.snapshot();
+  if (snapshot.trackVersion !== sentTrackVersion) {
+    snapshot.track = simulation.trackSnapshot();
+    sentTrackVersion = snapshot.trackVersion;
+  }
+
+  const transfer = [snapshot.cars.buffer, snapshot.obstacles.buffer];
+  if (snapshot.best) {
+    const { hits, scene, colors } = snapshot.best;
+    transfer.push(hits.buffer, scene.buffer, colors.buffer);
+  }
+  if (snapshot.stats) {
+    transfer.push(snapshot.stats.fitness.buffer, snapshot.stats.laps.buffer);
+  }
+  self.postMessage({ type: "snapshot", snapshot: snapshot }, transfer);
+}
+
+/**
+ * Run the simulation steps owed since the last frame and post the result,
+ * then schedule the next frame
+ * Real time since the last frame, times the speed, is added to the
+ * accumulator, and whole steps of TIME_STEP are taken out of it. Every step
+ * advances the same simulated time, so results do not depend on the frame
+ * rate or machine speed. When the steps take longer than a frame the rest
+ * of the owed time is dropped and the simulation runs slower than asked,
+ * but the main thread keeps drawing the latest snapshot at its own frame rate.
+ */
+function tick() {
+  const started = performance.now();
+  if (running) {
+    accumulator += ((started - lastTick) / 1000) * speed;
+    while (accumulator >= TIME_STEP) {
+      if (
+        simulation.generationPending ||
+        performance.now() - started > FRAME_MS
+      ) {
+        accumulator = 0; // Paused or behind: do not catch up later
+        break;
+      }
+      simulation.step();
+      accumulator -= TIME_STEP;
+    }
+    simulation.updateBest();
+    postSnapshot();
+  }
+  lastTick = started;
+  const elapsed = performance.now() - started;
+  setTimeout(tick, Math.max(0, FRAME_MS - elapsed));
+}
+
+/**
+ * Load the best brain persisted in IndexedDB by a previous session
+ * @returns {Promise<tf.LayersModel|NeatNetwork|null>} The brain, or null if there is none
+ */
+async function loadPersistedModel() {
+  try {
+    const model = await loadBrainModel(
+      tf.io.getLoadHandlers(MODEL_STORAGE_URL)[0],
+    );
+    console.log("Loaded best model from IndexedDB.");
+    return model;
+  } catch (error) {
+    console.log(
+      "No saved model found in IndexedDB or failed to load:",
+      error.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Save a brain into memory and hand the files to the main thread for download
+ * @param {Function} save - Saves the brain through the IO handler it receives; resolves to false if there is none
+ * @returns {Promise<boolean>} False if there was nothing to save
+ */
+async function postDownload(save) {
+  let artifacts = null;
+  const handler = tf.io.withSaveHandler(async (modelArtifacts) => {
+    artifacts = modelArtifacts;
+    return {
+      modelArtifactsInfo: {
+        dateSaved: new Date(),
+        modelTopologyType: "JSON",
+      },
+    };
+  });
+  if (!(await save(handler))) return false;
+  self.postMessage({ type: "download", artifacts: artifacts });
+  return true;
+}
+
+/**
+ * Handlers for the commands of the main thread
+ */
+const COMMANDS = {
+  /**
+   * Start the session with the persisted state and settings
+   * @param {Object} message - { settings, state, obstacleCount, dynamicObstacles, speed }
+   */
+  async init(message) {
+    await tf.setBackend("cpu");
+    simulation.configure(message.settings);
+    simulation.world.obstacleCount = message.obstacleCount;
+    simulation.world.dynamicObstacles = message.dynamicObstacles;
+    speed = message.speed;
+
+    const loadedModel = await loadPersistedModel();
+    simulation.start({ ...message.state, loadedModel: loadedModel });
+    postSettings();
+    self.postMessage({
+      type: "generation",
+      info: simulation.generationInfo(),
+    });
+    running = true;
+  },
+
+  /**
+   * @param {Object} message - { speed }: simulated seconds per real second
+   */
+  speed(message) {
+    speed = message.speed;
+  },
+
+  /**
+   * @param {Object} message - { settings }: genetic algorithm settings to change
+   */
+  configure(message) {
+    simulation.configure(message.settings);
+  },
+
+  /**
+   * @param {Object} message - { seed }: seed of the new run
+   */
+  async restart(message) {
+    await simulation.restart(message.seed);
+  },
+
+  /**
+   * @param {Object} message - { count }: number of obstacles
+   */
+  async obstacles(message) {
+    await simulation.setObstacleCount(message.count);
+  },
+
+  /**
+   * @param {Object} message - { track }: saved or imported track to drive, or null for the presets
+   */
+  async track(message) {
+    await simulation.setCustomTrack(message.track);
+  },
+
+  /**
+   * @param {Object} message - { mode, level }: curriculum mode and the level to switch to
+   */
+  async curriculum(message) {
+    await simulation.setCurriculum(message.mode, message.level);
+  },
+
+  /**
+   * Hand the current track to the main thread as a track file for download
+   */
+  exportTrack() {
+    self.postMessage({ type: "trackFile", file: simulation.exportTrack() });
+  },
+
+  /**
+   * @param {Object} message - { enabled }: whether obstacles move
+   */
+  dynamic(message) {
+    simulation.world.dynamicObstacles = message.enabled;
+  },
+
+  /**
+   * Seed the population from, or evaluate, a model loaded on the main thread
+   * @param {Object} message - { artifacts, mode, label }
+   */
+  async useModel(message) {
+    let status;
+    try {
+      const model = await loadBrainModel(tf.io.fromMemory(message.artifacts));
+      status = await simulation.useModel(model, message.mode, message.label);
+    } catch (error) {
+      console.error("Failed to load model:", error);
+      status = {
+        message: "Could not read the model files: " + error.message,
+        isError: true,
+      };
+    }
+    postSettings();
+    self.postMessage({
+      type: "modelStatus",
+      ...status,
+      evaluating: simulation.evaluationAgent !== null,
+    });
+  },
+
+  /**
+   * Leave evaluation mode and continue evolving the paused population
+   */
+  resume() {
+    simulation.stopEvaluation();
+    self.postMessage({
+      type: "modelStatus",
+      message: "Training resumed.",
+      isError: false,
+      evaluating: false,
+    });
+  },
+
+  /**
+   * Save the best car's brain and hand the files to the main thread for download
+   */
+  async saveBest() {
+    if (!(await postDownload((handler) => simulation.saveBest(handler)))) {
+      console.warn("No best particle to save yet.");
+    }
+  },
+
+  /**
+   * Save the brain of a member of the last Pareto front and hand the files
+   * to the main thread for download
+   * @param {Object} message - { index }: index of the member in the front
+   */
+  async savePareto(message) {
+    if (
+      !(await postDownload((handler) =>
+        simulation.saveParetoMember(message.index, handler),
+      ))
+    ) {
+      console.warn(`No Pareto front member ${message.index} to save.`);
+    }
+  },
+};
+
+self.onmessage = async (event) => {
+  const { type } = event.data;
+  if (!Object.hasOwn(COMMANDS, type)) {
+    console.warn(`Unknown simulation command "${type}"`);
+    return;
+  }
+  try {
+    await COMMANDS[type](event.data);
+  } catch (error) {
+    console.error(`Simulation command "${type}" failed:`, error);
+  }
+};
+
+tick();
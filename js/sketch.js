@@ -1,17 +1,60 @@
-import { Boundary, Obstacle } from "./boundary.js";
-import { Particle, pldistance } from "./particle.js";
-import { NeuralNetwork } from "./nn.js";
-import { nextGeneration } from "./ga.js"; // Import nextGeneration
+import { BRAIN_TYPES } from "./particle.js";
+import { PHYSICS_MODELS } from "./vehicle.js";
+import {
+  ACTIVATIONS,
+  parseHiddenLayers,
+  formatHiddenLayers,
+  sameArchitecture,
+} from "./nn.js";
+import {
+  drawWorld,
+  drawCars,
+  drawSensorHits,
+  highlightParticle,
+  drawView,
+  drawTrackEditor,
+} from "./renderer.js";
+import { TrackEditor } from "./trackEditor.js";
+import { CURRICULUM_MODES } from "./curriculum.js";
+import { FITNESS_AGGREGATES } from "./evaluation.js";
+import { FITNESS_TERMS, parseObjectives } from "./fitness.js";
+import { exportTrack, importTrack } from "./trackFormat.js";
+import {
+  SELECTION_STRATEGIES,
+  CROSSOVER_OPERATORS,
+  MUTATION_SCHEMES,
+  MUTATION_SCHEDULES,
+  OBJECTIVE_MODES,
+  SPECIATION_MODES,
+} from "./ga.js";
+import { newRunSeed } from "./random.js";
 import { TrainingDashboard } from "./dashboard.js"; // Import TrainingDashboard
 import { contentLoader } from "./contentLoader.js"; // Import content loader
+import { ModelGallery } from "./modelGallery.js";
 import {
-  TOTAL,
-  // MUTATION_RATE, // No longer needed here, used in Particle
-  LIFESPAN,
-  SIGHT,
-  // ELITISM_COUNT, // No longer needed here, used in ga.js
-  TRACK_PRESETS,
-  maxFitness,
+  MUTATION_RATE,
+  MUTATION_STRENGTH,
+  MUTATION_SCHEME,
+  MUTATION_SCHEDULE,
+  SELECTION_STRATEGY,
+  CROSSOVER_RATE,
+  CROSSOVER_OPERATOR,
+  BRAIN_TYPE,
+  BRAIN_ARCHITECTURE,
+  PHYSICS_MODEL,
+  CURRICULUM_MODE,
+  CURRICULUM_LEVELS,
+  EVALUATION_TRACKS,
+  HELD_OUT_TRACKS,
+  FITNESS_AGGREGATE,
+  FITNESS_PERCENTILE,
+  VALIDATION_EVERY,
+  FITNESS_WEIGHTS,
+  OBJECTIVE_MODE,
+  PARETO_OBJECTIVES,
+  SPECIATION_MODE,
+  DIVERSITY_THRESHOLD,
+  DIVERSITY_INJECTION,
   simulationAreaWidth,
   viewAreaWidth,
   trackheight,
@@ -23,77 +66,108 @@ import {
  * This simulation uses neural networks and a genetic algorithm to evolve
  * cars that can navigate a procedurally generated track while avoiding
  * static and dynamic obstacles.
+ *
+ * The simulation itself runs in a Web Worker (simulationWorker.js). This
+ * module owns the UI: it sends the settings to the worker, persists the
+ * session and draws the latest snapshot the worker posted, so the canvas
+ * keeps its frame rate at any training speed.
  */
 
 // Global variables (module-scoped, managed by sketch.js)
-let toggle_value = false; // Toggle for dynamic/static obstacles
-let obstacleNo = 20; // Number of obstacles
-
-let generationCount = 0; // Current generation number
-let bestP; // Best performing particle
+let worker = null; // Web Worker running the Simulation
+let snapshot = null; // Latest snapshot posted by the worker
+let trackWalls = []; // Wall segments of the current track, as flat [ax, ay, bx, by, ...]
+let trackLabel = "-"; // Name and difficulty of the current track, for the info bar
+let curriculumLabel = "off"; // Curriculum level of the current generation, for the info bar
+
+let generationCount = 0; // Current generation number, persisted between sessions
+let trackPresetIndex = 0; // Preset the next track is built from, persisted between sessions
+let curriculum = { mode: CURRICULUM_MODE, level: 0 }; // Curriculum mode and level, persisted between sessions
 let allTimeBestLaps = 0; // New: All-time best laps completed
 
-let walls = []; // Track boundary walls
-let obstacles = []; // Dynamic obstacles
-let cp_points = []; // Checkpoint points for obstacle movement
-
-let trained_model; // Loaded trained model
-
-let agents = []; // Current generation of cars
-let savedagents = []; // Previous generation (for genetic algorithm)
-
-let start, end; // Start and end points of the track
-
 let speedSlider; // Slider to control simulation speed
-
-let inside = []; // Inner track boundary points
-let outside = []; // Outer track boundary points
-let checkpoints = []; // Track checkpoints
-
-let changeMap = false; // Flag to trigger track regeneration
-
-let currentTrackPresetIndex = 0; // Index for cycling through track presets
-let loadedModel = null; // To store the raw tf.Sequential model loaded from persistence
+let obstacleCount = 20; // Number of obstacles on the track
+let dynamicObstacles = false; // Whether obstacles move
+
+let runSeed = null; // Seed that makes the whole training run reproducible
+let brainType = BRAIN_TYPE; // Key of BRAIN_TYPES for new cars
+let brainArchitecture = BRAIN_ARCHITECTURE; // Hidden layers and output activation of new dense brains
+let mutationStrength = MUTATION_STRENGTH; // Scale of a weight mutation
+let mutationScheme = MUTATION_SCHEME; // Key of MUTATION_SCHEMES used by nextGeneration()
+let mutationSchedule = MUTATION_SCHEDULE; // Key of MUTATION_SCHEDULES for adaptive mutation
+let selectionStrategy = SELECTION_STRATEGY; // Key of SELECTION_STRATEGIES used by nextGeneration()
+let crossoverRate = CROSSOVER_RATE; // Probability a child is bred from two parents
+let crossoverOperator = CROSSOVER_OPERATOR; // Key of CROSSOVER_OPERATORS used by nextGeneration()
+let physicsModel = PHYSICS_MODEL; // Key of PHYSICS_MODELS the cars drive with
+let evaluationSettings = {
+  tracks: EVALUATION_TRACKS,
+  heldOut: HELD_OUT_TRACKS,
+  aggregate: FITNESS_AGGREGATE,
+  percentile: FITNESS_PERCENTILE,
+  validationEvery: VALIDATION_EVERY,
+}; // Tracks every brain drives per generation, how their scores make one fitness and how often the best brain is validated
+let fitnessWeights = { ...FITNESS_WEIGHTS }; // Weight of each fitness term, by key of FITNESS_TERMS
+let objectiveMode = OBJECTIVE_MODE; // Key of OBJECTIVE_MODES used by nextGeneration()
+let paretoObjectives = PARETO_OBJECTIVES; // Keys of FITNESS_TERMS the pareto mode maximises
+let diversitySettings = {
+  speciationMode: SPECIATION_MODE,
+  diversityThreshold: DIVERSITY_THRESHOLD,
+  diversityInjection: DIVERSITY_INJECTION,
+}; // Which brains are speciated and when random brains are injected
+
+let trackEditor = null; // Track being drawn in the track editor
+let editingTrack = false; // Whether the canvas shows the track editor instead of the simulation
+let customTrack = null; // Saved or imported track the simulation drives instead of the presets, persisted between sessions
 
 // Dashboard instance for training analytics
 let dashboard = null;
 
+// Gallery of pretrained models bundled in ml-data/
+let modelGallery = null;
+
 /**
- * Save the current simulation state to local storage and IndexedDB.
- * @param {NeuralNetwork} [brainToSave=null] - An optional NeuralNetwork instance to save.
- * @param {number} [genCount=generationCount] - The generation count to save.
+ * Save the session state and settings to local storage.
+ * The worker saves the best brain to IndexedDB itself and reports the rest here.
+ * @param {Object} state - State posted by the worker (generationCount, trackPresetIndex, curriculum, allTimeBestLaps, runSeed)
  */
-async function saveSimulationState(
-  brainToSave = null,
-  genCount = generationCount,
-) {
+function saveSimulationState(state) {
   console.log("Saving simulation state...");
-  localStorage.setItem("generationCount", genCount);
-  localStorage.setItem("currentTrackPresetIndex", currentTrackPresetIndex);
+  generationCount = state.generationCount;
+  trackPresetIndex = state.trackPresetIndex;
+  curriculum = state.curriculum;
+  document.getElementById("curriculum-level").value = curriculum.level; // Follows promotions
+  allTimeBestLaps = Math.max(allTimeBestLaps, state.allTimeBestLaps);
+
+  localStorage.setItem("generationCount", generationCount);
+  localStorage.setItem("currentTrackPresetIndex", trackPresetIndex);
+  localStorage.setItem("curriculum", JSON.stringify(curriculum));
   localStorage.setItem("allTimeBestLaps", allTimeBestLaps); // New: Save allTimeBestLaps
-
-  // Use the provided brainToSave, or fall back to bestP's brain if available
-  const brainToUse = brainToSave || (bestP ? bestP.brain : null);
-
-  if (brainToUse && brainToUse.model) {
-    try {
-      await brainToUse.model.save("indexeddb://best-car-model", {
-        includeOptimizer: false,
-      });
-      console.log("Best model saved to IndexedDB.");
-    } catch (error) {
-      console.error("Failed to save model to IndexedDB:", error);
-    }
-  } else {
-    console.log("No brain available to save.");
-  }
+  localStorage.setItem("runSeed", state.runSeed);
+  localStorage.setItem("brainType", brainType);
+  localStorage.setItem(
+    "hiddenLayers",
+    formatHiddenLayers(brainArchitecture.hidden),
+  );
+  localStorage.setItem("outputActivation", brainArchitecture.outputActivation);
+  localStorage.setItem("mutationStrength", mutationStrength);
+  localStorage.setItem("mutationScheme", mutationScheme);
+  localStorage.setItem("mutationSchedule", mutationSchedule);
+  localStorage.setItem("selectionStrategy", selectionStrategy);
+  localStorage.setItem("crossoverRate", crossoverRate);
+  localStorage.setItem("crossoverOperator", crossoverOperator);
+  localStorage.setItem("physicsModel", physicsModel);
+  localStorage.setItem("evaluation", JSON.stringify(evaluationSettings));
+  localStorage.setItem("fitnessWeights", JSON.stringify(fitnessWeights));
+  localStorage.setItem("objectiveMode", objectiveMode);
+  localStorage.setItem("paretoObjectives", paretoObjectives.join(","));
+  localStorage.setItem("diversity", JSON.stringify(diversitySettings));
 }
 
 /**
- * Load the simulation state from local storage and IndexedDB.
- * @returns {Promise<void>}
+ * Load the session state and settings from local storage.
+ * The worker restores the best brain from IndexedDB.
  */
-async function loadSimulationState() {
+function loadSimulationState() {
   console.log("Loading simulation state...");
   const storedGenerationCount = localStorage.getItem("generationCount");
   if (storedGenerationCount) {
@@ -105,8 +179,26 @@ async function loadSimulationState() {
     "currentTrackPresetIndex",
   );
   if (storedTrackPresetIndex) {
-    currentTrackPresetIndex = parseInt(storedTrackPresetIndex, 10);
-    console.log("Loaded track preset index:", currentTrackPresetIndex);
+    trackPresetIndex = parseInt(storedTrackPresetIndex, 10);
+    console.log("Loaded track preset index:", trackPresetIndex);
+  }
+
+  try {
+    const storedCurriculum = JSON.parse(localStorage.getItem("curriculum"));
+    if (
+      storedCurriculum &&
+      Object.hasOwn(CURRICULUM_MODES, storedCurriculum.mode) &&
+      storedCurriculum.level >= 0 &&
+      storedCurriculum.level < CURRICULUM_LEVELS.length
+    ) {
+      curriculum = {
+        mode: storedCurriculum.mode,
+        level: storedCurriculum.level,
+      };
+      console.log("Loaded curriculum:", curriculum.mode, curriculum.level);
+    }
+  } catch (error) {
+    console.warn("Ignoring stored curriculum:", error.message);
   }
 
   const storedAllTimeBestLaps = localStorage.getItem("allTimeBestLaps"); // New: Load allTimeBestLaps
@@ -115,225 +207,952 @@ async function loadSimulationState() {
     console.log("Loaded all-time best laps:", allTimeBestLaps);
   }
 
+  const storedRunSeed = localStorage.getItem("runSeed");
+  if (storedRunSeed && !Number.isNaN(parseInt(storedRunSeed, 10))) {
+    runSeed = parseInt(storedRunSeed, 10);
+    console.log("Loaded run seed:", runSeed);
+  }
+
+  const storedSelection = localStorage.getItem("selectionStrategy");
+  if (storedSelection && Object.hasOwn(SELECTION_STRATEGIES, storedSelection)) {
+    selectionStrategy = storedSelection;
+    console.log("Loaded selection strategy:", selectionStrategy);
+  }
+
+  const storedBrainType = localStorage.getItem("brainType");
+  if (storedBrainType && Object.hasOwn(BRAIN_TYPES, storedBrainType)) {
+    brainType = storedBrainType;
+  }
+  const storedHidden = localStorage.getItem("hiddenLayers");
+  const storedOutput = localStorage.getItem("outputActivation");
+  if (storedHidden !== null && Object.hasOwn(ACTIVATIONS, storedOutput)) {
+    try {
+      brainArchitecture = {
+        hidden: parseHiddenLayers(storedHidden),
+        outputActivation: storedOutput,
+      };
+    } catch (error) {
+      console.warn("Ignoring stored brain architecture:", error.message);
+    }
+  }
+  const storedStrength = parseFloat(localStorage.getItem("mutationStrength"));
+  if (storedStrength > 0) {
+    mutationStrength = storedStrength;
+  }
+  const storedScheme = localStorage.getItem("mutationScheme");
+  if (storedScheme && Object.hasOwn(MUTATION_SCHEMES, storedScheme)) {
+    mutationScheme = storedScheme;
+  }
+  const storedSchedule = localStorage.getItem("mutationSchedule");
+  if (storedSchedule && Object.hasOwn(MUTATION_SCHEDULES, storedSchedule)) {
+    mutationSchedule = storedSchedule;
+  }
+
+  const storedCrossoverRate = parseFloat(localStorage.getItem("crossoverRate"));
+  if (storedCrossoverRate >= 0 && storedCrossoverRate <= 1) {
+    crossoverRate = storedCrossoverRate;
+  }
+  const storedCrossover = localStorage.getItem("crossoverOperator");
+  if (storedCrossover && Object.hasOwn(CROSSOVER_OPERATORS, storedCrossover)) {
+    crossoverOperator = storedCrossover;
+  }
+  const storedPhysics = localStorage.getItem("physicsModel");
+  if (storedPhysics && Object.hasOwn(PHYSICS_MODELS, storedPhysics)) {
+    physicsModel = storedPhysics;
+  }
   try {
-    const model = await tf.loadLayersModel("indexeddb://best-car-model");
-    if (model) {
-      // Explicitly compile the model with a dummy optimizer to satisfy TF.js internal checks.
-      // This is a workaround if TF.js expects an optimizer even for non-training models.
-      model.compile({
-        optimizer: tf.train.adam(), // Use a dummy optimizer
-        loss: "meanSquaredError", // Use a dummy loss
-      });
-      loadedModel = model; // Store the raw tf.Sequential model
-      console.log("Loaded best model from IndexedDB.");
+    const storedEvaluation = JSON.parse(localStorage.getItem("evaluation"));
+    if (
+      storedEvaluation &&
+      Number.isInteger(storedEvaluation.tracks) &&
+      storedEvaluation.tracks >= 1 &&
+      Number.isInteger(storedEvaluation.heldOut) &&
+      storedEvaluation.heldOut >= 0 &&
+      Object.hasOwn(FITNESS_AGGREGATES, storedEvaluation.aggregate) &&
+      storedEvaluation.percentile >= 0 &&
+      storedEvaluation.percentile <= 100
+    ) {
+      evaluationSettings = {
+        tracks: storedEvaluation.tracks,
+        heldOut: storedEvaluation.heldOut,
+        aggregate: storedEvaluation.aggregate,
+        percentile: storedEvaluation.percentile,
+        validationEvery:
+          Number.isInteger(storedEvaluation.validationEvery) &&
+          storedEvaluation.validationEvery >= 0
+            ? storedEvaluation.validationEvery
+            : VALIDATION_EVERY,
+      };
     }
   } catch (error) {
-    console.log(
-      "No saved model found in IndexedDB or failed to load:",
-      error.message,
-    );
-    if (loadedModel) {
-      // Ensure any partially loaded model is disposed if error occurs
-      loadedModel.dispose();
+    console.warn("Ignoring stored evaluation settings:", error.message);
+  }
+  try {
+    const storedWeights = JSON.parse(localStorage.getItem("fitnessWeights"));
+    if (storedWeights) {
+      for (const key of Object.keys(FITNESS_TERMS)) {
+        if (Number.isFinite(storedWeights[key])) {
+          fitnessWeights[key] = storedWeights[key];
+        }
+      }
+    }
+  } catch (error) {
+    console.warn("Ignoring stored fitness weights:", error.message);
+  }
+  const storedObjectiveMode = localStorage.getItem("objectiveMode");
+  if (
+    storedObjectiveMode &&
+    Object.hasOwn(OBJECTIVE_MODES, storedObjectiveMode)
+  ) {
+    objectiveMode = storedObjectiveMode;
+  }
+  const storedObjectives = localStorage.getItem("paretoObjectives");
+  if (storedObjectives) {
+    try {
+      paretoObjectives = parseObjectives(storedObjectives);
+    } catch (error) {
+      console.warn("Ignoring stored Pareto objectives:", error.message);
+    }
+  }
+  try {
+    const storedDiversity = JSON.parse(localStorage.getItem("diversity"));
+    if (storedDiversity) {
+      if (Object.hasOwn(SPECIATION_MODES, storedDiversity.speciationMode)) {
+        diversitySettings.speciationMode = storedDiversity.speciationMode;
+      }
+      if (storedDiversity.diversityThreshold >= 0) {
+        diversitySettings.diversityThreshold =
+          storedDiversity.diversityThreshold;
+      }
+      if (
+        storedDiversity.diversityInjection >= 0 &&
+        storedDiversity.diversityInjection <= 1
+      ) {
+        diversitySettings.diversityInjection =
+          storedDiversity.diversityInjection;
+      }
+    }
+  } catch (error) {
+    console.warn("Ignoring stored diversity settings:", error.message);
+  }
+  const storedTrack = localStorage.getItem("customTrack");
+  if (storedTrack) {
+    try {
+      customTrack = importTrack(JSON.parse(storedTrack));
+      console.log("Loaded custom track:", customTrack.name);
+    } catch (error) {
+      console.warn("Ignoring stored custom track:", error.message);
     }
-    loadedModel = null; // Ensure it's null if loading fails
   }
 }
 
 /**
- * Build a procedurally generated track with inner and outer boundaries
- */
-function buildTrack() {
-  // Reset track data
-  checkpoints = [];
-  inside = [];
-  outside = [];
-
-  // Get current track preset parameters
-  const currentPreset = TRACK_PRESETS[currentTrackPresetIndex];
-  let noiseMax = currentPreset.noiseMax;
-  const pathWidth = currentPreset.pathWidth;
-
-  let min_dist = Infinity;
-
-  // Generate track points using Perlin noise
-  const total = 80;
-  let startX = random(10);
-  let startY = random(10);
-
-  for (let i = 0; i < total; i++) {
-    let a = map(i, 0, total, 0, TWO_PI);
-    let xoff = map(cos(a), -1, 1, 0, noiseMax) + startX;
-    let yoff = map(sin(a), -1, 1, 0, noiseMax) + startY;
-    let xr = map(noise(xoff, yoff), 0, 1, 100, simulationAreaWidth * 0.5); // Use simulationAreaWidth
-    let yr = map(noise(xoff, yoff), 0, 1, 100, trackheight * 0.5);
-    let x1 = simulationAreaWidth / 2 + (xr - pathWidth) * cos(a); // Use simulationAreaWidth
-    let y1 = trackheight / 2 + (yr - pathWidth) * sin(a);
-    let x2 = simulationAreaWidth / 2 + (xr + pathWidth) * cos(a); // Use simulationAreaWidth
-    let y2 = trackheight / 2 + (yr + pathWidth) * sin(a);
-
-    checkpoints.push(new Boundary(x1, y1, x2, y2));
-    inside.push(createVector(x1, y1));
-    outside.push(createVector(x2, y2));
-  }
-
-  // Create walls from consecutive checkpoint points
-  walls = [];
-  for (let i = 0; i < checkpoints.length; i++) {
-    let a1 = inside[i];
-    let b1 = inside[(i + 1) % checkpoints.length];
-    walls.push(new Boundary(a1.x, a1.y, b1.x, b1.y));
-
-    let a2 = outside[i];
-    let b2 = outside[(i + 1) % checkpoints.length];
-    walls.push(new Boundary(a2.x, a2.y, b2.x, b2.y));
-  }
-
-  // Create dynamic obstacles
-  obstacles = []; // Re-initialize obstacles array
-  cp_points = [];
-  for (let i = 0; i < obstacleNo; i++) {
-    let index = int(random(5, checkpoints.length - 1));
-    let p1 = inside[index];
-    let p2 = outside[index];
-    // let mid = checkpoints[index].midpoint();
-    let x = random(p1.x, p2.x);
-    let m = (p2.y - p1.y) / (p2.x - p1.x);
-    let y = m * (x - p1.x) + p1.y;
-    let ob = new Obstacle(x, y);
-
-    let cp_data = {
-      p1: p1,
-      p2: p2,
-    };
-
-    cp_points.push(cp_data);
-    obstacles.push(ob);
-  }
-
-  // Set start and end points
-  start = checkpoints[0].midpoint();
-  end = checkpoints[checkpoints.length - 1].midpoint();
-
-  // Advance to the next track preset for the next generation
-  currentTrackPresetIndex =
-    (currentTrackPresetIndex + 1) % TRACK_PRESETS.length;
+ * Remember the run seed and show it in the UI
+ * @param {number} seed - The run seed
+ */
+function applyRunSeed(seed) {
+  runSeed = seed;
+  document.getElementById("run_seed").value = runSeed;
+  if (dashboard) {
+    dashboard.setRunConfig({ seed: runSeed });
+  }
+  console.log("Run seed:", runSeed);
 }
 
 /**
- * Wrapper function to call nextGeneration from ga.js and update sketch.js state.
+ * Genetic algorithm settings chosen in the settings panel
+ * @returns {Object} Settings for Simulation.configure()
  */
-async function callNextGeneration() {
-  try {
-    const result = await nextGeneration(
-      agents,
-      savedagents,
-      generationCount,
-      start, // Pass start position for new particles
-      saveSimulationState, // Pass the save state callback
+function geneticSettings() {
+  return {
+    mutationStrength: mutationStrength,
+    mutation: mutationScheme,
+    schedule: mutationSchedule,
+    selection: selectionStrategy,
+    crossoverRate: crossoverRate,
+    crossover: crossoverOperator,
+    brainType: brainType,
+    architecture: brainArchitecture,
+    physics: physicsModel,
+    evaluation: evaluationSettings,
+    fitnessWeights: fitnessWeights,
+    objectives: objectiveMode,
+    paretoObjectives: paretoObjectives,
+    ...diversitySettings,
+  };
+}
+
+/**
+ * Send a command to the simulation worker
+ * @param {string} type - Command name, see COMMANDS in simulationWorker.js
+ * @param {Object} [payload] - Command arguments
+ * @param {Transferable[]} [transfer] - Buffers to move to the worker instead of copying
+ */
+function postCommand(type, payload = {}, transfer = []) {
+  worker.postMessage({ type: type, ...payload }, transfer);
+}
+
+/**
+ * Handlers for the messages of the simulation worker
+ */
+const WORKER_MESSAGES = {
+  /**
+   * @param {Object} message - { snapshot }: the latest simulated cycle
+   */
+  snapshot(message) {
+    snapshot = message.snapshot;
+    if (snapshot.track) {
+      trackWalls = snapshot.track.walls;
+      const round = snapshot.track.validation
+        ? ", validation track"
+        : snapshot.track.rounds > 1
+          ? `, track ${snapshot.track.round}/${snapshot.track.rounds}`
+          : "";
+      trackLabel = `${snapshot.track.name} (difficulty ${snapshot.track.difficulty}${round})`;
+    }
+    allTimeBestLaps = Math.max(allTimeBestLaps, snapshot.allTimeBestLaps);
+  },
+
+  /**
+   * @param {Object} message - { info }: see Simulation.generationInfo()
+   */
+  generation(message) {
+    const { info } = message;
+    dashboard.updateMutation(
+      info.mutationRate,
+      info.mutationStrength,
+      info.mutationScale,
     );
-    agents = result.newAgents;
-    savedagents = result.newSavedAgents;
-    generationCount = result.newGenerationCount;
-  } catch (error) {
-    console.error("Error in nextGeneration:", error);
-    // Create new random agents as fallback
-    agents = [];
-    for (let i = 0; i < TOTAL; i++) {
-      agents.push(new Particle(null, start));
+    if (info.brain) {
+      dashboard.updateBrain(info.brain);
+    }
+    curriculumLabel = info.curriculum;
+    dashboard.updateCurriculum(curriculumLabel);
+    if (info.validation) {
+      dashboard.updateValidation(info.validation);
+    }
+    if (info.fitness) {
+      dashboard.updateFitnessBreakdown(info.fitness);
+    }
+    dashboard.updateParetoFront(info.pareto);
+    if (info.diversity) {
+      dashboard.updateDiversity(info.diversity);
+    }
+  },
+
+  /**
+   * @param {Object} message - { state }: session state to persist
+   */
+  persist(message) {
+    saveSimulationState(message.state);
+  },
+
+  /**
+   * @param {Object} message - { brainType, architecture } used by the worker
+   */
+  settings(message) {
+    if (message.brainType !== brainType) {
+      setBrainType(message.brainType);
+    }
+    if (!sameArchitecture(message.architecture, brainArchitecture)) {
+      setArchitecture(message.architecture);
     }
-    savedagents = [];
-    generationCount++;
+  },
+
+  /**
+   * @param {Object} message - { message, isError, evaluating }
+   */
+  modelStatus(message) {
+    document
+      .getElementById("resume-training-btn")
+      .classList.toggle("hidden", !message.evaluating);
+    setModelLoadStatus(message.message, message.isError);
+  },
+
+  /**
+   * @param {Object} message - { file }: the current track as a track file
+   */
+  trackFile(message) {
+    downloadJSON(message.file, message.file.metadata.name + ".json");
+  },
+
+  /**
+   * @param {Object} message - { artifacts }: saved model files
+   */
+  async download(message) {
+    await tf.io.browserDownloads("my-model").save(message.artifacts);
+    console.log("Model saved successfully");
+  },
+};
+
+/**
+ * Dispatch a message of the simulation worker
+ * @param {MessageEvent} event - The message event
+ */
+function handleWorkerMessage(event) {
+  const { type } = event.data;
+  if (Object.hasOwn(WORKER_MESSAGES, type)) {
+    WORKER_MESSAGES[type](event.data);
+  } else {
+    console.warn(`Unknown simulation worker message "${type}"`);
   }
 }
 
+/**
+ * Preload function - loads the bundled pretrained models before setup()
+ */
+window.preload = function () {
+  modelGallery = new ModelGallery(
+    "model-gallery",
+    (artifacts, mode, entry) => useTrainedModel(artifacts, mode, entry.name),
+    (message) => setModelLoadStatus(message, true),
+  );
+  modelGallery.preload();
+};
+
 /**
  * Setup function - runs once at the beginning
  */
-window.setup = async function () {
+window.setup = function () {
   // Create canvas and append it to the simulation-canvas div
   let canvas = createCanvas(simulationAreaWidth + viewAreaWidth, trackheight); // Expanded canvas width
   canvas.parent("simulation-canvas");
 
-  tf.setBackend("cpu");
-
-  // Create speed control slider and append it to its container
-  speedSlider = createSlider(1, 10, 1);
+  // Create speed control slider (simulated seconds per real second) and append it to its container
+  speedSlider = createSlider(0.25, 10, 1, 0.25);
   speedSlider.parent("speed-slider-container");
   speedSlider.class("p5js-slider"); // Add a class for styling
+  speedSlider.input(() => {
+    postCommand("speed", { speed: speedSlider.value() });
+    updateSpeedLabel();
+  });
+  updateSpeedLabel();
 
   // Initialize training dashboard
   dashboard = new TrainingDashboard();
   window.dashboardInstance = dashboard; // Make it globally accessible for HTML onclick handlers
 
-  // Add memory monitoring for debugging
-  if (typeof tf !== "undefined") {
-    console.log("Initial TensorFlow.js memory:", tf.memory());
+  modelGallery.render();
+
+  loadSimulationState();
+
+  trackEditor = new TrackEditor();
+  updateEditorControls();
+  fillSavedTracks();
+  if (customTrack) {
+    setTrackEditorStatus(`Training on "${customTrack.name}".`);
   }
 
-  await loadSimulationState(); // Load state after slider is created
+  applyRunSeed(runSeed ?? newRunSeed());
+  initGeneticSettings();
 
-  buildTrack(); // This will use the loaded currentTrackPresetIndex
+  // Start the simulation thread; it restores the best brain from IndexedDB
+  worker = new Worker(new URL("./simulationWorker.js", import.meta.url), {
+    type: "module",
+  });
+  worker.onmessage = handleWorkerMessage;
+  worker.onerror = (error) => console.error("Simulation worker error:", error);
+  postCommand("init", {
+    settings: geneticSettings(),
+    state: {
+      generationCount: generationCount,
+      trackPresetIndex: trackPresetIndex,
+      curriculum: curriculum,
+      allTimeBestLaps: allTimeBestLaps,
+      seed: runSeed,
+      customTrack: customTrack,
+    },
+    obstacleCount: obstacleCount,
+    dynamicObstacles: dynamicObstacles,
+    speed: speedSlider.value(),
+  });
+};
 
-  // Create initial population of agents
-  for (let i = 0; i < TOTAL; i++) {
-    if (i === 0 && loadedModel) {
-      // Use loaded model for the first agent if available
-      agents[i] = new Particle(loadedModel, start); // Pass the raw tf.Sequential model
+/**
+ * Restart training from generation 0 with the seed from the settings panel
+ * An empty seed field starts a run with a new random seed.
+ */
+window.restart_with_seed = function () {
+  const inputValue = parseInt(document.getElementById("run_seed").value, 10);
+  const seed =
+    Number.isNaN(inputValue) || inputValue < 0 ? newRunSeed() : inputValue;
+
+  applyRunSeed(seed);
+  setModelLoadStatus("");
+  document.getElementById("resume-training-btn").classList.add("hidden");
+  postCommand("restart", { seed: seed });
+};
+
+/**
+ * Fill a dropdown with the entries of a strategy registry
+ * @param {string} id - ID of the select element
+ * @param {Object} registry - SELECTION_STRATEGIES or CROSSOVER_OPERATORS
+ * @param {string} value - Key to select
+ */
+function fillSelect(id, registry, value) {
+  const select = document.getElementById(id);
+  select.innerHTML = "";
+  for (const [key, entry] of Object.entries(registry)) {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = entry.label;
+    select.appendChild(option);
+  }
+  select.value = value;
+}
+
+/**
+ * Add a weight input for every fitness term to the settings panel
+ */
+function fillFitnessWeights() {
+  const container = document.getElementById("fitness-weights");
+  container.innerHTML = "";
+  for (const [key, term] of Object.entries(FITNESS_TERMS)) {
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = "0.1";
+    input.id = `fitness-weight-${key}`;
+    input.title = term.label;
+    input.value = fitnessWeights[key];
+    container.appendChild(input);
+  }
+}
+
+/**
+ * Show the genetic algorithm settings in the settings panel and record them for exports
+ */
+function initGeneticSettings() {
+  fillSelect("mutation-scheme", MUTATION_SCHEMES, mutationScheme);
+  fillSelect("mutation-schedule", MUTATION_SCHEDULES, mutationSchedule);
+  document.getElementById("mutation-strength").value = mutationStrength;
+  fillSelect("selection-strategy", SELECTION_STRATEGIES, selectionStrategy);
+  fillSelect("crossover-operator", CROSSOVER_OPERATORS, crossoverOperator);
+  document.getElementById("crossover-rate").value = crossoverRate;
+  fillSelect("brain-type", BRAIN_TYPES, brainType);
+  fillSelect("physics-model", PHYSICS_MODELS, physicsModel);
+  fillSelect("curriculum-mode", CURRICULUM_MODES, curriculum.mode);
+  fillSelect(
+    "curriculum-level",
+    Object.fromEntries(
+      CURRICULUM_LEVELS.map((level, i) => [
+        i,
+        { label: `${i + 1}. ${level.name}` },
+      ]),
+    ),
+    curriculum.level,
+  );
+  document.getElementById("evaluation-tracks").value =
+    evaluationSettings.tracks;
+  document.getElementById("held-out-tracks").value = evaluationSettings.heldOut;
+  fillSelect(
+    "fitness-aggregate",
+    FITNESS_AGGREGATES,
+    evaluationSettings.aggregate,
+  );
+  document.getElementById("fitness-percentile").value =
+    evaluationSettings.percentile;
+  document.getElementById("validation-every").value =
+    evaluationSettings.validationEvery;
+  fillFitnessWeights();
+  fillSelect("objective-mode", OBJECTIVE_MODES, objectiveMode);
+  document.getElementById("pareto-objectives").value =
+    paretoObjectives.join(",");
+  fillSelect(
+    "speciation-mode",
+    SPECIATION_MODES,
+    diversitySettings.speciationMode,
+  );
+  document.getElementById("diversity-threshold").value =
+    diversitySettings.diversityThreshold;
+  document.getElementById("diversity-injection").value =
+    diversitySettings.diversityInjection;
+  fillSelect(
+    "output-activation",
+    ACTIVATIONS,
+    brainArchitecture.outputActivation,
+  );
+  document.getElementById("hidden-layers").value = formatHiddenLayers(
+    brainArchitecture.hidden,
+  );
+  dashboard.setRunConfig({
+    brainType: brainType,
+    hiddenLayers: formatHiddenLayers(brainArchitecture.hidden),
+    outputActivation: brainArchitecture.outputActivation,
+    mutation: mutationScheme,
+    mutationStrength: mutationStrength,
+    mutationSchedule: mutationSchedule,
+    selection: selectionStrategy,
+    crossoverRate: crossoverRate,
+    crossover: crossoverOperator,
+    physics: physicsModel,
+    curriculum: curriculum.mode,
+    evaluation: evaluationSettings,
+    fitnessWeights: fitnessWeights,
+    objectives: objectiveMode,
+    paretoObjectives: paretoObjectives,
+    diversity: diversitySettings,
+  });
+  dashboard.updateMutation(MUTATION_RATE, mutationStrength);
+}
+
+/**
+ * Switch the brain type of new cars
+ * @param {string} type - Key of BRAIN_TYPES
+ */
+function setBrainType(type) {
+  brainType = type;
+  document.getElementById("brain-type").value = brainType;
+  localStorage.setItem("brainType", brainType);
+  dashboard.setRunConfig({ brainType: brainType });
+}
+
+/**
+ * Set the architecture of new dense brains
+ * @param {Architecture} architecture - Hidden layers and output activation
+ */
+function setArchitecture(architecture) {
+  brainArchitecture = {
+    hidden: architecture.hidden,
+    outputActivation: architecture.outputActivation,
+  };
+  const hiddenLayers = formatHiddenLayers(brainArchitecture.hidden);
+  document.getElementById("hidden-layers").value = hiddenLayers;
+  document.getElementById("output-activation").value =
+    brainArchitecture.outputActivation;
+  localStorage.setItem("hiddenLayers", hiddenLayers);
+  localStorage.setItem("outputActivation", brainArchitecture.outputActivation);
+  dashboard.setRunConfig({
+    hiddenLayers: hiddenLayers,
+    outputActivation: brainArchitecture.outputActivation,
+  });
+}
+
+/**
+ * Switch between dense and NEAT brains
+ * Brain types cannot be mixed in one population, so the run restarts with the current seed.
+ */
+window.change_brain_type = function () {
+  const value = document.getElementById("brain-type").value;
+  if (!Object.hasOwn(BRAIN_TYPES, value) || value === brainType) return;
+  setBrainType(value);
+  postCommand("configure", { settings: { brainType: brainType } });
+  console.log("Brain type set to: " + brainType);
+  window.restart_with_seed();
+};
+
+/**
+ * Switch the physics model the cars drive with
+ * Drivers evolved for one model are meaningless in the other, so the run
+ * restarts with the current seed.
+ */
+window.change_physics = function () {
+  const value = document.getElementById("physics-model").value;
+  if (!Object.hasOwn(PHYSICS_MODELS, value) || value === physicsModel) return;
+  physicsModel = value;
+  localStorage.setItem("physicsModel", physicsModel);
+  dashboard.setRunConfig({ physics: physicsModel });
+  postCommand("configure", { settings: { physics: physicsModel } });
+  console.log("Physics model set to: " + physicsModel);
+  window.restart_with_seed();
+};
+
+/**
+ * Apply the curriculum mode and level from the settings panel
+ * Picking a level overrides the curriculum: a new generation starts on a
+ * track of that level, and in automatic mode it is promoted or demoted from
+ * there.
+ */
+window.change_curriculum = function () {
+  const mode = document.getElementById("curriculum-mode").value;
+  const level = parseInt(document.getElementById("curriculum-level").value, 10);
+  if (!Object.hasOwn(CURRICULUM_MODES, mode)) return;
+  curriculum = { mode: mode, level: level };
+  localStorage.setItem("curriculum", JSON.stringify(curriculum));
+  dashboard.setRunConfig({ curriculum: mode });
+  postCommand("curriculum", curriculum);
+  console.log(`Curriculum set to: ${mode}, level ${level + 1}`);
+};
+
+/**
+ * Apply the multi-track evaluation settings from the settings panel
+ * The number of tracks takes effect from the next generation on, the
+ * aggregate from the end of the current one.
+ */
+window.change_evaluation = function () {
+  const tracks = parseInt(
+    document.getElementById("evaluation-tracks").value,
+    10,
+  );
+  const heldOut = parseInt(
+    document.getElementById("held-out-tracks").value,
+    10,
+  );
+  const aggregate = document.getElementById("fitness-aggregate").value;
+  const percentile = parseFloat(
+    document.getElementById("fitness-percentile").value,
+  );
+  const validationEvery = parseInt(
+    document.getElementById("validation-every").value,
+    10,
+  );
+  if (
+    !(tracks >= 1) ||
+    !(heldOut >= 0) ||
+    !Object.hasOwn(FITNESS_AGGREGATES, aggregate) ||
+    !(percentile >= 0 && percentile <= 100) ||
+    !(validationEvery >= 0)
+  ) {
+    // Reset input fields
+    document.getElementById("evaluation-tracks").value =
+      evaluationSettings.tracks;
+    document.getElementById("held-out-tracks").value =
+      evaluationSettings.heldOut;
+    document.getElementById("fitness-percentile").value =
+      evaluationSettings.percentile;
+    document.getElementById("validation-every").value =
+      evaluationSettings.validationEvery;
+    console.log("Invalid evaluation settings, keeping the current ones");
+    return;
+  }
+  evaluationSettings = {
+    tracks,
+    heldOut,
+    aggregate,
+    percentile,
+    validationEvery,
+  };
+  localStorage.setItem("evaluation", JSON.stringify(evaluationSettings));
+  dashboard.setRunConfig({ evaluation: evaluationSettings });
+  postCommand("configure", { settings: { evaluation: evaluationSettings } });
+  console.log(
+    `Evaluation set to ${tracks} tracks (${Math.min(heldOut, tracks)} held out), ${aggregate}`,
+  );
+};
+
+/**
+ * Apply the fitness term weights from the settings panel; they are used to
+ * score the current generation when it ends
+ */
+window.change_fitness = function () {
+  const weights = {};
+  for (const key of Object.keys(FITNESS_TERMS)) {
+    const input = document.getElementById(`fitness-weight-${key}`);
+    const weight = parseFloat(input.value);
+    if (Number.isFinite(weight)) {
+      weights[key] = weight;
     } else {
-      agents[i] = new Particle(null, start); // Pass null for a new random brain
+      input.value = fitnessWeights[key]; // Reset input field
+      weights[key] = fitnessWeights[key];
     }
   }
-  // Dispose the loadedModel after all agents have been created from it
-  // as the Particle constructor makes a copy.
-  if (loadedModel) {
-    loadedModel.dispose();
-    loadedModel = null; // Clear reference
+  fitnessWeights = weights;
+  localStorage.setItem("fitnessWeights", JSON.stringify(fitnessWeights));
+  dashboard.setRunConfig({ fitnessWeights: fitnessWeights });
+  postCommand("configure", { settings: { fitnessWeights: fitnessWeights } });
+  console.log("Fitness weights set to:", fitnessWeights);
+};
+
+/**
+ * Apply the objective mode and the Pareto objectives from the settings
+ * panel; they are used to rank the current generation when it ends
+ */
+window.change_objectives = function () {
+  const mode = document.getElementById("objective-mode").value;
+  const input = document.getElementById("pareto-objectives");
+  if (!Object.hasOwn(OBJECTIVE_MODES, mode)) return;
+  try {
+    paretoObjectives = parseObjectives(input.value);
+  } catch (error) {
+    input.value = paretoObjectives.join(","); // Reset input field
+    console.log(
+      `Invalid Pareto objectives (${error.message}), keeping the current ones`,
+    );
+  }
+  objectiveMode = mode;
+  localStorage.setItem("objectiveMode", objectiveMode);
+  localStorage.setItem("paretoObjectives", paretoObjectives.join(","));
+  dashboard.setRunConfig({
+    objectives: objectiveMode,
+    paretoObjectives: paretoObjectives,
+  });
+  postCommand("configure", {
+    settings: { objectives: objectiveMode, paretoObjectives: paretoObjectives },
+  });
+  console.log(
+    `Objectives set to ${objectiveMode}` +
+      (objectiveMode === "pareto" ? ` (${paretoObjectives.join(", ")})` : ""),
+  );
+};
+
+/**
+ * Apply the speciation mode and the diversity injection from the settings
+ * panel; a new speciation mode starts over without species, the injection
+ * applies when the current generation ends
+ */
+window.change_diversity = function () {
+  const speciationMode = document.getElementById("speciation-mode").value;
+  const threshold = parseFloat(
+    document.getElementById("diversity-threshold").value,
+  );
+  const injection = parseFloat(
+    document.getElementById("diversity-injection").value,
+  );
+  if (
+    !Object.hasOwn(SPECIATION_MODES, speciationMode) ||
+    !(threshold >= 0) ||
+    !(injection >= 0 && injection <= 1)
+  ) {
+    // Reset input fields
+    document.getElementById("speciation-mode").value =
+      diversitySettings.speciationMode;
+    document.getElementById("diversity-threshold").value =
+      diversitySettings.diversityThreshold;
+    document.getElementById("diversity-injection").value =
+      diversitySettings.diversityInjection;
+    console.log("Invalid diversity settings, keeping the current ones");
+    return;
+  }
+  diversitySettings = {
+    speciationMode: speciationMode,
+    diversityThreshold: threshold,
+    diversityInjection: injection,
+  };
+  localStorage.setItem("diversity", JSON.stringify(diversitySettings));
+  dashboard.setRunConfig({ diversity: diversitySettings });
+  postCommand("configure", { settings: diversitySettings });
+  console.log(
+    `Speciation set to ${speciationMode}, ` +
+      (threshold > 0
+        ? `injecting ${injection * 100}% random brains below diversity ${threshold}`
+        : "no diversity injection"),
+  );
+};
+
+/**
+ * Apply the dense brain architecture from the settings panel
+ * Brains of different architectures cannot breed, so a dense population
+ * restarts with the current seed; a NEAT run keeps going and uses the
+ * architecture once it is switched back to dense brains.
+ */
+window.change_architecture = function () {
+  const input = document.getElementById("hidden-layers");
+  const outputActivation = document.getElementById("output-activation").value;
+  let hidden;
+  try {
+    hidden = parseHiddenLayers(input.value);
+  } catch (error) {
+    input.value = formatHiddenLayers(brainArchitecture.hidden); // Reset input field
+    console.log("Invalid hidden layers: " + error.message);
+    return;
+  }
+  if (!Object.hasOwn(ACTIVATIONS, outputActivation)) return;
+
+  const architecture = { hidden, outputActivation };
+  if (sameArchitecture(architecture, brainArchitecture)) return;
+  setArchitecture(architecture);
+  postCommand("configure", { settings: { architecture: brainArchitecture } });
+  console.log(
+    `Architecture set to hidden "${formatHiddenLayers(hidden)}", output ${outputActivation}`,
+  );
+  if (brainType === "dense") {
+    window.restart_with_seed();
+  }
+};
+
+/**
+ * Apply the mutation scheme, strength and adaptive schedule from the settings panel
+ * The schedule keeps its fitness history, so switching modes takes effect immediately.
+ */
+window.change_mutation = function () {
+  const scheme = document.getElementById("mutation-scheme").value;
+  const strength = parseFloat(
+    document.getElementById("mutation-strength").value,
+  );
+  const schedule = document.getElementById("mutation-schedule").value;
+  if (Object.hasOwn(MUTATION_SCHEMES, scheme)) {
+    mutationScheme = scheme;
+  }
+  if (strength > 0) {
+    mutationStrength = strength;
+  } else {
+    document.getElementById("mutation-strength").value = mutationStrength; // Reset input field
+    console.log("Invalid mutation strength, keeping " + mutationStrength);
+  }
+  if (Object.hasOwn(MUTATION_SCHEDULES, schedule)) {
+    mutationSchedule = schedule;
+  }
+  localStorage.setItem("mutationStrength", mutationStrength);
+  localStorage.setItem("mutationScheme", mutationScheme);
+  localStorage.setItem("mutationSchedule", mutationSchedule);
+  postCommand("configure", {
+    settings: {
+      mutation: mutationScheme,
+      mutationStrength: mutationStrength,
+      schedule: mutationSchedule,
+    },
+  });
+  dashboard.setRunConfig({
+    mutation: mutationScheme,
+    mutationStrength: mutationStrength,
+    mutationSchedule: mutationSchedule,
+  });
+  console.log(
+    `Mutation set to ${mutationScheme} with strength ${mutationStrength}, schedule ${mutationSchedule}`,
+  );
+};
+
+/**
+ * Switch the parent selection strategy, used from the next generation on
+ * Use "Restart Run" afterwards to compare strategies on the same seed.
+ */
+window.change_selection = function () {
+  const value = document.getElementById("selection-strategy").value;
+  if (!Object.hasOwn(SELECTION_STRATEGIES, value)) return;
+  selectionStrategy = value;
+  localStorage.setItem("selectionStrategy", selectionStrategy);
+  postCommand("configure", { settings: { selection: selectionStrategy } });
+  dashboard.setRunConfig({ selection: selectionStrategy });
+  console.log("Selection strategy set to: " + selectionStrategy);
+};
+
+/**
+ * Apply the crossover operator and rate from the settings panel, used from the next generation on
+ */
+window.change_crossover = function () {
+  const operator = document.getElementById("crossover-operator").value;
+  const rate = parseFloat(document.getElementById("crossover-rate").value);
+  if (Object.hasOwn(CROSSOVER_OPERATORS, operator)) {
+    crossoverOperator = operator;
+  }
+  if (rate >= 0 && rate <= 1) {
+    crossoverRate = rate;
+  } else {
+    document.getElementById("crossover-rate").value = crossoverRate; // Reset input field
+    console.log("Invalid crossover rate, keeping " + crossoverRate);
   }
+  localStorage.setItem("crossoverRate", crossoverRate);
+  localStorage.setItem("crossoverOperator", crossoverOperator);
+  postCommand("configure", {
+    settings: { crossoverRate: crossoverRate, crossover: crossoverOperator },
+  });
+  dashboard.setRunConfig({
+    crossoverRate: crossoverRate,
+    crossover: crossoverOperator,
+  });
+  console.log(`Crossover set to ${crossoverOperator} at rate ${crossoverRate}`);
 };
 
 /**
  * Toggle button for dynamic/static obstacles
  */
 window.toggle_btn = function () {
-  toggle_value = !toggle_value;
+  dynamicObstacles = !dynamicObstacles;
+  postCommand("dynamic", { enabled: dynamicObstacles });
   const btn = document.getElementById("btn_toggle");
-  if (toggle_value) {
+  if (dynamicObstacles) {
     btn.innerHTML = "Static";
   } else {
     btn.innerHTML = "Dynamic";
   }
 };
 
+/**
+ * Show a message under the Load Model controls
+ * @param {string} message - The message to show
+ * @param {boolean} [isError=false] - Whether the message reports an error
+ */
+function setModelLoadStatus(message, isError = false) {
+  const status = document.getElementById("model-load-status");
+  status.textContent = message;
+  status.classList.toggle("error", isError);
+}
+
 /**
  * Load a trained model from user files
+ * Depending on the selected mode the model either seeds the next generation
+ * or drives a single evaluation car while evolution is frozen.
  */
 window.load_model = async function () {
   const uploadJSONInput = document.getElementById("upload-json");
   const uploadWeightsInput = document.getElementById("upload-weights");
-  if (uploadJSONInput.files.length > 0 && uploadWeightsInput.files.length > 0) {
-    trained_model = await tf.loadLayersModel(
-      tf.io.browserFiles([
-        uploadJSONInput.files[0],
-        uploadWeightsInput.files[0],
-      ]),
+  const mode = document.getElementById("load-mode").value;
+
+  if (
+    uploadJSONInput.files.length === 0 ||
+    uploadWeightsInput.files.length === 0
+  ) {
+    setModelLoadStatus(
+      "Please select both the model .json file and its weights .bin file.",
+      true,
     );
-    console.log("Model loaded successfully:", trained_model);
-  } else {
-    console.warn("Please select both JSON and weights files to load a model.");
+    return;
+  }
+
+  let artifacts;
+  try {
+    artifacts = await tf.io
+      .browserFiles([uploadJSONInput.files[0], uploadWeightsInput.files[0]])
+      .load();
+  } catch (error) {
+    console.error("Failed to load model:", error);
+    setModelLoadStatus(
+      "Could not read the model files: " + error.message,
+      true,
+    );
+    return;
   }
+
+  useTrainedModel(artifacts, mode, "the loaded model");
+};
+
+/**
+ * Hand a loaded model to the simulation worker, which validates it and either
+ * seeds the next generation or evaluates it; the result arrives as "modelStatus"
+ * @param {tf.io.ModelArtifacts} artifacts - The model files
+ * @param {string} mode - "seed" to seed the next generation, "evaluate" to run a single car
+ * @param {string} label - How the model is named in status messages
+ */
+function useTrainedModel(artifacts, mode, label) {
+  setModelLoadStatus(`Loading ${label}...`);
+  const transfer =
+    artifacts.weightData instanceof ArrayBuffer ? [artifacts.weightData] : [];
+  postCommand(
+    "useModel",
+    { artifacts: artifacts, mode: mode, label: label },
+    transfer,
+  );
+}
+
+/**
+ * Leave evaluation mode and continue evolving the paused population
+ */
+window.resume_training = function () {
+  postCommand("resume");
 };
 
 /**
  * Save the best performing model
+ * The worker saves it with metadata for the model gallery and posts the
+ * files back, which are then offered as a download.
  */
 window.save_model = function () {
-  if (bestP) {
-    // Only save if bestP is defined
-    bestP.save();
-  } else {
-    console.warn("No best particle to save yet.");
+  postCommand("saveBest");
+};
+
+/**
+ * Save the member of the last Pareto front picked in the dashboard
+ * The worker saves it with its objective values for the model gallery and
+ * posts the files back, which are then offered as a download.
+ */
+window.save_pareto_member = function () {
+  const index = parseInt(document.getElementById("pareto-member").value, 10);
+  if (Number.isNaN(index)) {
+    console.log(
+      "No Pareto front to save from, switch the objectives to pareto",
+    );
+    return;
   }
+  postCommand("savePareto", { index: index });
 };
 
 /**
@@ -342,16 +1161,316 @@ window.save_model = function () {
 window.change_obs_no = function () {
   const inputValue = int(document.getElementById("obs_no").value);
   if (Number.isNaN(inputValue) || inputValue < 0) {
-    obstacleNo = 20;
+    obstacleCount = 20;
     document.getElementById("obs_no").value = 20; // Reset input field
     console.log("Invalid input, using default value of 20");
   } else {
-    obstacleNo = inputValue;
-    console.log("Obstacle count set to: " + obstacleNo);
+    obstacleCount = inputValue;
+    console.log("Obstacle count set to: " + obstacleCount);
+  }
+  // Rebuild track with new obstacle count and start a new generation on it
+  postCommand("obstacles", { count: obstacleCount });
+};
+
+/**
+ * Show a message under the track editor controls
+ * @param {string} message - The message to show
+ * @param {boolean} [isError=false] - Whether the message reports an error
+ */
+function setTrackEditorStatus(message, isError = false) {
+  const status = document.getElementById("track-editor-status");
+  status.textContent = message;
+  status.classList.toggle("error", isError);
+}
+
+/**
+ * Show the width of the selected point and a summary of the drawn track
+ */
+function updateEditorControls() {
+  document.getElementById("editor-width").value = trackEditor.halfWidth;
+  document.getElementById("editor-width-value").innerText =
+    trackEditor.halfWidth * 2 + "px";
+
+  const track = trackEditor.track();
+  setTrackEditorStatus(
+    track
+      ? `${trackEditor.points.length} points, ${track.checkpoints.length} checkpoints, ` +
+          `${trackEditor.obstacles.length} obstacles, difficulty ${track.difficulty}`
+      : "Click on the track area to place at least 3 centre line points.",
+  );
+}
+
+/**
+ * Edit a saved track in the track editor
+ * @param {Object} track - The saved track
+ * @throws {Error} If the track is invalid, see checkSavedTrack()
+ */
+function loadIntoEditor(track) {
+  trackEditor.load(track);
+  document.getElementById("track-name").value = trackEditor.name;
+  updateEditorControls();
+}
+
+/**
+ * Tracks saved in local storage by the track editor
+ * @returns {Object} Saved tracks by name
+ */
+function readSavedTracks() {
+  try {
+    return JSON.parse(localStorage.getItem("savedTracks")) ?? {};
+  } catch (error) {
+    console.warn("Ignoring unreadable saved tracks:", error.message);
+    return {};
+  }
+}
+
+/**
+ * List the tracks saved in local storage in the track editor
+ */
+function fillSavedTracks() {
+  const select = document.getElementById("saved-tracks");
+  select.innerHTML = "";
+  for (const name of Object.keys(readSavedTracks())) {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * Whether the mouse is over the track area of the canvas
+ * @returns {boolean} True if it is
+ */
+function mouseOnTrack() {
+  return (
+    mouseX >= 0 &&
+    mouseX <= simulationAreaWidth &&
+    mouseY >= 0 &&
+    mouseY <= trackheight
+  );
+}
+
+/**
+ * Place or pick a point or obstacle in the track editor
+ */
+window.mousePressed = function () {
+  if (!editingTrack || !mouseOnTrack()) return;
+  trackEditor.press(mouseX, mouseY);
+  updateEditorControls();
+};
+
+/**
+ * Drag the picked point in the track editor
+ */
+window.mouseDragged = function () {
+  if (!editingTrack) return;
+  trackEditor.drag(mouseX, mouseY);
+};
+
+/**
+ * Drop the dragged point in the track editor
+ */
+window.mouseReleased = function () {
+  if (!editingTrack || !trackEditor.dragging) return;
+  trackEditor.release();
+  updateEditorControls();
+};
+
+/**
+ * Open or close the track editor
+ * The editor opens on the track the simulation drives, if it drives a drawn
+ * one and nothing has been drawn yet. The simulation keeps running meanwhile.
+ */
+window.toggle_track_editor = function () {
+  editingTrack = !editingTrack;
+  if (
+    editingTrack &&
+    customTrack?.generator === "drawn" &&
+    trackEditor.points.length === 0
+  ) {
+    loadIntoEditor(customTrack);
   }
-  // Rebuild track with new obstacle count
-  buildTrack();
-  callNextGeneration(); // Start a new generation with the new track/obstacles
+  document.getElementById("edit-track-btn").innerHTML = editingTrack
+    ? "Close Editor"
+    : "Edit Track";
+};
+
+/**
+ * Switch between placing centre line points and obstacles
+ */
+window.change_editor_mode = function () {
+  trackEditor.mode = document.getElementById("editor-mode").value;
+};
+
+/**
+ * Apply the width slider to the selected point and to new points
+ */
+window.change_editor_width = function () {
+  trackEditor.setHalfWidth(
+    parseInt(document.getElementById("editor-width").value, 10),
+  );
+  updateEditorControls();
+};
+
+/**
+ * Remove the selected centre line point
+ */
+window.delete_editor_point = function () {
+  trackEditor.removeSelected();
+  updateEditorControls();
+};
+
+/**
+ * Remove every point and obstacle from the track editor
+ */
+window.clear_editor = function () {
+  trackEditor.clear();
+  updateEditorControls();
+};
+
+/**
+ * Name the drawn track from the name field
+ * @returns {boolean} True if the track can be saved
+ */
+function nameEditorTrack() {
+  const name = document.getElementById("track-name").value.trim();
+  if (name) {
+    trackEditor.name = name;
+  }
+  if (!trackEditor.isComplete()) {
+    setTrackEditorStatus("A track needs at least 3 centre line points.", true);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Save the drawn track to local storage under its name
+ */
+window.save_track = function () {
+  if (!nameEditorTrack()) return;
+  const tracks = readSavedTracks();
+  tracks[trackEditor.name] = trackEditor.savedTrack();
+  localStorage.setItem("savedTracks", JSON.stringify(tracks));
+  fillSavedTracks();
+  document.getElementById("saved-tracks").value = trackEditor.name;
+  setTrackEditorStatus(`Saved "${trackEditor.name}" in this browser.`);
+};
+
+/**
+ * Load the track selected in the saved tracks list into the editor
+ */
+window.load_saved_track = function () {
+  const name = document.getElementById("saved-tracks").value;
+  const tracks = readSavedTracks();
+  if (!Object.hasOwn(tracks, name)) return;
+  try {
+    loadIntoEditor(tracks[name]);
+  } catch (error) {
+    setTrackEditorStatus(`Could not load "${name}": ${error.message}`, true);
+  }
+};
+
+/**
+ * Offer an object to the user as a JSON file download
+ * @param {Object} object - The object to download
+ * @param {string} filename - Name of the file
+ */
+function downloadJSON(object, filename) {
+  const blob = new Blob([JSON.stringify(object, null, 2)], {
+    type: "application/json",
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Download the drawn track as a track file
+ */
+window.download_track = function () {
+  if (!nameEditorTrack()) return;
+  const file = exportTrack({
+    ...trackEditor.track(),
+    trackTemplate: trackEditor.savedTrack(),
+    trackName: trackEditor.name,
+    width: trackEditor.width,
+    height: trackEditor.height,
+  });
+  downloadJSON(file, trackEditor.name + ".json");
+};
+
+/**
+ * Download the track the simulation drives as a track file
+ */
+window.export_current_track = function () {
+  postCommand("exportTrack");
+};
+
+/**
+ * Switch the simulation to a saved or imported track, from the next
+ * generation on, and remember it for the next session
+ * @param {Object} track - Template of the track, see importTrack()
+ * @param {Object} stored - What to keep in local storage: the saved track or the track file
+ */
+function trainOnTrack(track, stored) {
+  customTrack = track;
+  localStorage.setItem("customTrack", JSON.stringify(stored));
+  postCommand("track", { track: customTrack });
+  setTrackEditorStatus(`Training on "${customTrack.name}".`);
+}
+
+/**
+ * Open a track file chosen by the user
+ * Tracks drawn in the track editor open in the editor; any other track is
+ * checked and trained on as it is in the file.
+ */
+window.open_track_file = async function () {
+  const input = document.getElementById("upload-track");
+  if (input.files.length === 0) return;
+  try {
+    const file = JSON.parse(await input.files[0].text());
+    const track = importTrack(file);
+    if (track.generator === "drawn") {
+      loadIntoEditor(track);
+    } else if (track.template?.generator === "drawn") {
+      loadIntoEditor(track.template);
+    } else {
+      trainOnTrack(track, file);
+    }
+  } catch (error) {
+    console.error("Failed to load track:", error);
+    setTrackEditorStatus(
+      "Could not read the track file: " + error.message,
+      true,
+    );
+  }
+  input.value = ""; // Allow the same file to be opened again
+};
+
+/**
+ * Train on the drawn track in place of the presets, from the next generation on
+ */
+window.drive_track = function () {
+  if (!nameEditorTrack()) return;
+  const track = trackEditor.savedTrack();
+  trainOnTrack(track, track);
+  if (editingTrack) {
+    window.toggle_track_editor();
+  }
+};
+
+/**
+ * Go back to cycling the track presets, from the next generation on
+ */
+window.use_presets = function () {
+  customTrack = null;
+  localStorage.removeItem("customTrack");
+  postCommand("track", { track: null });
+  setTrackEditorStatus("Training on the track presets.");
 };
 
 /**
@@ -467,21 +1586,36 @@ function getFallbackAboutContent() {
   `;
 }
 
+/**
+ * Show the speed slider's value next to its label
+ */
+function updateSpeedLabel() {
+  document.getElementById("speed-value").innerText = speedSlider.value() + "x";
+}
+
 /**
  * Updates the simulation information displayed in the HTML info bar.
  */
 function updateSimulationInfo() {
   document.getElementById("generation-info").innerText =
-    "Generation: " + generationCount;
-  if (bestP) {
+    "Generation: " +
+    snapshot.generation +
+    (snapshot.validating
+      ? " (validation drive)"
+      : snapshot.evaluating
+        ? " (evaluating loaded model)"
+        : "");
+  document.getElementById("track-info").innerText = "Track: " + trackLabel;
+  document.getElementById("curriculum-info").innerText =
+    "Curriculum: " + curriculumLabel;
+  const best = snapshot.best;
+  if (best) {
     document.getElementById("speed-info").innerText =
-      "Speed: " +
-      map(bestP.vel.mag().toFixed(6), 0, 5, 0, 180).toFixed(4) +
-      " Km/h";
+      "Speed: " + map(best.speed.toFixed(6), 0, 5, 0, 180).toFixed(4) + " Km/h";
     document.getElementById("distance-info").innerText =
-      "Distance from obstacle: " + bestP.closeDistFromOb.toFixed(3) + " m";
+      "Distance from obstacle: " + best.closeDistFromOb.toFixed(3) + " m";
     document.getElementById("current-laps-info").innerText =
-      "Current Best Laps: " + bestP.lapsCompleted; // New: Current best laps
+      "Current Best Laps: " + best.lapsCompleted; // New: Current best laps
   } else {
     document.getElementById("speed-info").innerText = "Speed: 0.00 Km/h";
     document.getElementById("distance-info").innerText =
@@ -491,203 +1625,64 @@ function updateSimulationInfo() {
   }
   document.getElementById("all-time-laps-info").innerText =
     "All-Time Best Laps: " + allTimeBestLaps; // New: All-time best laps
+  document.getElementById("seed-info").innerText = "Seed: " + snapshot.runSeed;
 }
 
 /**
  * Updates the training dashboard with current generation statistics
  */
 function updateDashboard() {
-  if (!dashboard || agents.length === 0) return;
-
-  // Calculate statistics for current generation
-  let totalFitness = 0;
-  let totalSpeed = 0;
-  let aliveCount = 0;
-  let maxFitnessCurrent = 0;
-  let maxLapsCurrent = 0;
-
-  for (let agent of agents) {
-    if (!agent.dead && !agent.finished) {
-      aliveCount++;
-    }
-    totalFitness += agent.fitness;
-    totalSpeed += map(agent.vel.mag(), 0, 5, 0, 180);
+  const stats = snapshot.stats;
+  if (!dashboard || !stats) return;
 
-    if (agent.fitness > maxFitnessCurrent) {
-      maxFitnessCurrent = agent.fitness;
-    }
-    if (agent.lapsCompleted > maxLapsCurrent) {
-      maxLapsCurrent = agent.lapsCompleted;
-    }
-  }
-
-  const avgFitness = totalFitness / agents.length;
-  const avgSpeed = totalSpeed / agents.length;
+  // Per-car fitness and laps for the detailed analytics
+  const agents = Array.from(stats.fitness, (fitness, i) => ({
+    fitness: fitness,
+    lapsCompleted: stats.laps[i],
+  }));
 
   // Update dashboard with current data
   dashboard.updateStats({
-    generation: generationCount,
-    bestFitness: maxFitnessCurrent,
-    avgFitness: avgFitness,
-    bestLaps: maxLapsCurrent,
-    aliveCount: aliveCount,
-    avgSpeed: avgSpeed,
+    generation: stats.generation,
+    bestFitness: stats.bestFitness,
+    avgFitness: stats.avgFitness,
+    bestLaps: stats.bestLaps,
+    aliveCount: stats.aliveCount,
+    avgSpeed: map(stats.avgSpeed, 0, 5, 0, 180),
     agents: agents,
   });
 }
 
 /**
  * Main draw loop - runs continuously
+ * Draws the latest snapshot from the simulation worker; the simulation
+ * itself advances in the worker at the speed set by the slider.
  */
 window.draw = function () {
-  const cycles = speedSlider.value();
   background(0);
-
-  // Run simulation for multiple cycles per frame
-  for (let n = 0; n < cycles; n++) {
-    // Update all agents with error handling
-    for (let i = agents.length - 1; i >= 0; i--) {
-      try {
-        const agent = agents[i];
-        agent.look(walls, obstacles);
-        agent.check(checkpoints);
-        agent.bounds();
-        agent.update();
-        agent.show();
-      } catch (error) {
-        console.error("Error updating agent:", error);
-        // Remove problematic agent
-        const problematicAgent = agents.splice(i, 1)[0];
-        if (problematicAgent) {
-          problematicAgent.dispose();
-        }
-      }
-    }
-
-    // Remove dead or finished agents
-    for (let i = agents.length - 1; i >= 0; i--) {
-      const agent = agents[i];
-      if (agent.dead || agent.finished) {
-        try {
-          savedagents.push(agents.splice(i, 1)[0]);
-        } catch (error) {
-          console.error("Error moving agent to savedagents:", error);
-          // Remove the agent without saving if there's an error
-          agents.splice(i, 1);
-        }
-      }
-
-      // Trigger new generation if fitness threshold is reached
-      if (!changeMap && agent.fitness > maxFitness) {
-        changeMap = true;
-      }
-    }
-
-    // Generate new track and population if needed
-    if (agents.length !== 0 && changeMap) {
-      try {
-        for (let i = agents.length - 1; i >= 0; i--) {
-          savedagents.push(agents.splice(i, 1)[0]);
-        }
-
-        buildTrack();
-        callNextGeneration(); // Call the wrapper
-        changeMap = false;
-      } catch (error) {
-        console.error("Error during generation change:", error);
-        changeMap = false;
-      }
-    }
-
-    // Generate new population if all agents are dead
-    if (agents.length === 0) {
-      try {
-        buildTrack();
-        callNextGeneration(); // Call the wrapper
-      } catch (error) {
-        console.error("Error generating new population:", error);
-        // Create fallback population
-        for (let i = 0; i < TOTAL; i++) {
-          agents.push(new Particle(null, start));
-        }
-      }
-    }
+  if (editingTrack) {
+    drawTrackEditor(trackEditor);
+    return;
   }
+  if (!snapshot) return;
 
-  // Determine the best *active* agent for display *after* all simulation logic for the frame.
-  bestP = null;
-  let maxFitnessCurrent = -1;
-  for (let agent of agents) {
-    try {
-      if (agent.fitness > maxFitnessCurrent) {
-        maxFitnessCurrent = agent.fitness;
-        bestP = agent;
-      }
-    } catch (error) {
-      console.warn("Error accessing agent fitness:", error);
-    }
-  }
+  const best = snapshot.best;
 
-  // New: Update allTimeBestLaps if the current best particle has completed more laps
-  if (bestP && bestP.lapsCompleted > allTimeBestLaps) {
-    allTimeBestLaps = bestP.lapsCompleted;
+  // Display cars and the best car's sensor rays
+  if (best) {
+    drawSensorHits(best);
   }
+  drawCars(snapshot.cars);
 
-  // Display track elements
-  for (let cp of checkpoints) {
-    // strokeWeight(2);
-    // cp.show();
-  }
+  // Display track elements and obstacles
+  drawWorld(trackWalls, snapshot.obstacles);
 
-  for (let wall of walls) {
-    wall.show();
-  }
+  // Highlight best agent and render its view ONLY if there is one
+  if (best) {
+    highlightParticle(best);
 
-  // Display obstacles
-  for (let i = 0; i < obstacles.length; i++) {
-    if (toggle_value) {
-      obstacles[i].show(cp_points[i]);
-    } else {
-      obstacles[i].show(0);
-    }
-  }
-
-  // Highlight best agent and render its view ONLY if bestP is defined
-  if (bestP) {
-    try {
-      bestP.highlight();
-
-      // Render 3D-like view from best agent's perspective
-      let data = bestP.renderView(walls, obstacles);
-      let scene = data["scene"];
-      let colors = data["colors"];
-      const w = viewAreaWidth / scene.length; // Use viewAreaWidth for scaling
-
-      push();
-      translate(simulationAreaWidth, 0); // Translate to the right of the simulation area
-      for (let i = 0; i < scene.length; i++) {
-        noStroke();
-        let sq = scene[i] * scene[i];
-        let swq = SIGHT * SIGHT; // Use SIGHT for better scaling
-        const b = map(sq, 0, swq, 200, 0);
-        const h = map(sq, 0, swq, trackheight, 0); // Scale height to trackheight
-
-        if (colors[i] === 1) {
-          // Obstacle color (red)
-          fill(b, 0, 0);
-        }
-        if (colors[i] === 0) {
-          // Wall color (gray/blue)
-          fill(b, b, b + 30, b);
-        }
-
-        rectMode(CENTER);
-        rect(i * w + w / 2, trackheight / 2, w + 1, h); // Center rect vertically
-      }
-      pop();
-    } catch (error) {
-      console.warn("Error rendering best agent view:", error);
-    }
+    // Render 3D-like view from best agent's perspective
+    drawView(best);
   }
 
   // Update HTML info bar
@@ -697,16 +1692,5 @@ window.draw = function () {
   if (frameCount % 30 === 0) {
     // Update dashboard every 30 frames (~0.5 seconds)
     updateDashboard();
-
-    // Memory monitoring for debugging
-    if (typeof tf !== "undefined" && frameCount % 300 === 0) {
-      const memInfo = tf.memory();
-      console.log(
-        `TensorFlow.js Memory - Tensors: ${memInfo.numTensors}, Bytes: ${memInfo.numBytes}`,
-      );
-      if (memInfo.numTensors > 1000) {
-        console.warn("High tensor count detected, potential memory leak");
-      }
-    }
   }
 };
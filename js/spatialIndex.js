@@ -0,0 +1,373 @@
+import { Vec2 } from "./vector.js";
+import { SIGHT, GRID_CELL_SIZE, OBSTACLE_RADIUS } from "./config.js";
+
+/**
+ * Padding in pixels around a wall's bounding box when binning it, so a hit
+ * on a cell border is found from either side of the border
+ */
+const WALL_PADDING = 0.5;
+
+/**
+ * Slack in pixels when stopping a ray walk early, so rounding in the
+ * intersection maths can never skip a hit that ties with the closest one
+ */
+const EARLY_EXIT_SLACK = 1e-6;
+
+/**
+ * Clamp a cell coordinate to the grid
+ * @param {number} index - Column or row
+ * @param {number} count - Number of columns or rows
+ * @returns {number} The index within [0, count - 1]
+ */
+function clampIndex(index, count) {
+  return Math.min(Math.max(index, 0), count - 1);
+}
+
+/**
+ * SpatialGrid class speeding up ray casts against walls and obstacles
+ * Walls and obstacles are binned into square cells. A ray only tests the
+ * items in the cells it passes through, visited from its origin outwards,
+ * and the wall search stops at the first cell that begins beyond the closest
+ * hit found so far. Hits are computed with the same Ray methods and ties are
+ * broken the same way as scanning the whole arrays, so the results are
+ * identical to Particle.sense() and renderView() without a grid.
+ */
+export class SpatialGrid {
+  /**
+   * Constructor for the SpatialGrid class
+   * @param {Boundary[]} walls - The track walls
+   * @param {Obstacle[]} obstacles - The obstacles
+   * @param {number} width - Width of the world in pixels
+   * @param {number} height - Height of the world in pixels
+   * @param {number} [cellSize=GRID_CELL_SIZE] - Cell size in pixels
+   */
+  constructor(walls, obstacles, width, height, cellSize = GRID_CELL_SIZE) {
+    this.walls = walls;
+    this.cellSize = cellSize;
+
+    // Cover the world and every wall, with room for obstacles near the edges
+    let minX = 0;
+    let minY = 0;
+    let maxX = width;
+    let maxY = height;
+    for (const wall of walls) {
+      minX = Math.min(minX, wall.a.x, wall.b.x);
+      minY = Math.min(minY, wall.a.y, wall.b.y);
+      maxX = Math.max(maxX, wall.a.x, wall.b.x);
+      maxY = Math.max(maxY, wall.a.y, wall.b.y);
+    }
+    const margin = OBSTACLE_RADIUS + WALL_PADDING;
+    this.x0 = minX - margin;
+    this.y0 = minY - margin;
+    this.cols = Math.ceil((maxX - minX + 2 * margin) / cellSize);
+    this.rows = Math.ceil((maxY - minY + 2 * margin) / cellSize);
+
+    // Wall indices per cell, in ascending order
+    this.wallCells = Array.from({ length: this.cols * this.rows }, () => []);
+    walls.forEach((wall, i) => {
+      this.insert(
+        this.wallCells,
+        i,
+        Math.min(wall.a.x, wall.b.x) - WALL_PADDING,
+        Math.min(wall.a.y, wall.b.y) - WALL_PADDING,
+        Math.max(wall.a.x, wall.b.x) + WALL_PADDING,
+        Math.max(wall.a.y, wall.b.y) + WALL_PADDING,
+      );
+    });
+    this.wallStamps = new Uint32Array(walls.length);
+
+    // Obstacle indices per cell, filled in by setObstacles()
+    this.obstacles = [];
+    this.obstacleCells = Array.from(
+      { length: this.cols * this.rows },
+      () => [],
+    );
+    this.outside = []; // Obstacles too close to the grid's edge, tested by every ray
+    this.obstacleStamps = new Uint32Array(0);
+
+    // Cells visited by the last walk() and the ray parameter where it leaves each one
+    this.cells = new Int32Array(64);
+    this.exits = new Float64Array(64);
+    this.stamp = 0; // Marks items already tested by the current query
+
+    this.setObstacles(obstacles);
+  }
+
+  /**
+   * Add an item to every cell its bounding box overlaps
+   * @param {number[][]} cells - wallCells or obstacleCells
+   * @param {number} item - Index of the item
+   * @param {number} minX - Left edge of the bounding box
+   * @param {number} minY - Top edge of the bounding box
+   * @param {number} maxX - Right edge of the bounding box
+   * @param {number} maxY - Bottom edge of the bounding box
+   * @returns {boolean} False if the box is not fully inside the grid (nothing is added)
+   */
+  insert(cells, item, minX, minY, maxX, maxY) {
+    const c0 = Math.floor((minX - this.x0) / this.cellSize);
+    const r0 = Math.floor((minY - this.y0) / this.cellSize);
+    const c1 = Math.floor((maxX - this.x0) / this.cellSize);
+    const r1 = Math.floor((maxY - this.y0) / this.cellSize);
+    if (c0 < 0 || r0 < 0 || c1 >= this.cols || r1 >= this.rows) {
+      return false;
+    }
+    for (let row = r0; row <= r1; row++) {
+      for (let col = c0; col <= c1; col++) {
+        cells[row * this.cols + col].push(item);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Re-bin the obstacles, e.g. after they moved
+   * @param {Obstacle[]} obstacles - The obstacles
+   */
+  setObstacles(obstacles) {
+    this.obstacles = obstacles;
+    for (const cell of this.obstacleCells) {
+      cell.length = 0;
+    }
+    this.outside = [];
+    if (this.obstacleStamps.length < obstacles.length) {
+      this.obstacleStamps = new Uint32Array(obstacles.length);
+    }
+
+    obstacles.forEach((obstacle, i) => {
+      const { x, y } = obstacle.pos;
+      const inside = this.insert(
+        this.obstacleCells,
+        i,
+        x - obstacle.r,
+        y - obstacle.r,
+        x + obstacle.r,
+        y + obstacle.r,
+      );
+      if (!inside) {
+        this.outside.push(i);
+      }
+    });
+  }
+
+  /**
+   * Collect the items of every cell a box overlaps, each once
+   * @param {number[][]} cells - wallCells or obstacleCells
+   * @param {Uint32Array} stamps - wallStamps or obstacleStamps
+   * @param {Object[]} items - The walls or obstacles
+   * @param {number[]} box - The box as [minX, minY, maxX, maxY]
+   * @returns {Object[]} The items, possibly including some outside the box
+   */
+  collect(cells, stamps, items, [minX, minY, maxX, maxY]) {
+    const size = this.cellSize;
+    const c0 = clampIndex(Math.floor((minX - this.x0) / size), this.cols);
+    const r0 = clampIndex(Math.floor((minY - this.y0) / size), this.rows);
+    const c1 = clampIndex(Math.floor((maxX - this.x0) / size), this.cols);
+    const r1 = clampIndex(Math.floor((maxY - this.y0) / size), this.rows);
+    const stamp = this.nextStamp();
+    const found = [];
+    for (let row = r0; row <= r1; row++) {
+      for (let col = c0; col <= c1; col++) {
+        for (const i of cells[row * this.cols + col]) {
+          if (stamps[i] === stamp) continue;
+          stamps[i] = stamp;
+          found.push(items[i]);
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Walls that may touch a box, e.g. the area a car body sweeps in one step
+   * @param {number[]} box - The box as [minX, minY, maxX, maxY]
+   * @returns {Boundary[]} The walls, possibly including some outside the box
+   */
+  wallsNear(box) {
+    return this.collect(this.wallCells, this.wallStamps, this.walls, box);
+  }
+
+  /**
+   * Obstacles that may touch a box
+   * @param {number[]} box - The box as [minX, minY, maxX, maxY]
+   * @returns {Obstacle[]} The obstacles, possibly including some outside the box
+   */
+  obstaclesNear(box) {
+    const found = this.collect(
+      this.obstacleCells,
+      this.obstacleStamps,
+      this.obstacles,
+      box,
+    );
+    return found.concat(this.outside.map((i) => this.obstacles[i]));
+  }
+
+  /**
+   * Start a new query, so every item is tested at most once by it
+   * @returns {number} The stamp of the query
+   */
+  nextStamp() {
+    this.stamp++;
+    return this.stamp;
+  }
+
+  /**
+   * Walk the cells a line segment passes through, from its start to its end
+   * (Amanatides & Woo grid traversal). Fills this.cells and this.exits.
+   * @param {number} x1 - X coordinate of the segment start
+   * @param {number} y1 - Y coordinate of the segment start
+   * @param {number} x2 - X coordinate of the segment end
+   * @param {number} y2 - Y coordinate of the segment end
+   * @returns {number} Number of cells visited
+   */
+  walk(x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const size = this.cellSize;
+
+    // Clip the segment to the grid, one axis at a time
+    let tEnter = 0;
+    let tLeave = 1;
+    const right = this.x0 + this.cols * size;
+    const bottom = this.y0 + this.rows * size;
+    if (dx === 0) {
+      if (x1 < this.x0 || x1 > right) return 0;
+    } else {
+      const ta = (this.x0 - x1) / dx;
+      const tb = (right - x1) / dx;
+      tEnter = Math.max(tEnter, Math.min(ta, tb));
+      tLeave = Math.min(tLeave, Math.max(ta, tb));
+    }
+    if (dy === 0) {
+      if (y1 < this.y0 || y1 > bottom) return 0;
+    } else {
+      const ta = (this.y0 - y1) / dy;
+      const tb = (bottom - y1) / dy;
+      tEnter = Math.max(tEnter, Math.min(ta, tb));
+      tLeave = Math.min(tLeave, Math.max(ta, tb));
+    }
+    if (!(tEnter <= tLeave)) return 0; // Also rejects NaN coordinates
+
+    let col = clampIndex(
+      Math.floor((x1 + dx * tEnter - this.x0) / size),
+      this.cols,
+    );
+    let row = clampIndex(
+      Math.floor((y1 + dy * tEnter - this.y0) / size),
+      this.rows,
+    );
+    const stepX = dx > 0 ? 1 : -1;
+    const stepY = dy > 0 ? 1 : -1;
+    const tDeltaX = dx !== 0 ? size / Math.abs(dx) : Infinity;
+    const tDeltaY = dy !== 0 ? size / Math.abs(dy) : Infinity;
+    let tMaxX =
+      dx !== 0
+        ? (this.x0 + (dx > 0 ? col + 1 : col) * size - x1) / dx
+        : Infinity;
+    let tMaxY =
+      dy !== 0
+        ? (this.y0 + (dy > 0 ? row + 1 : row) * size - y1) / dy
+        : Infinity;
+
+    let count = 0;
+    while (true) {
+      if (count === this.cells.length) {
+        const cells = new Int32Array(count * 2);
+        const exits = new Float64Array(count * 2);
+        cells.set(this.cells);
+        exits.set(this.exits);
+        this.cells = cells;
+        this.exits = exits;
+      }
+      const exit = Math.min(tMaxX, tMaxY, tLeave);
+      this.cells[count] = row * this.cols + col;
+      this.exits[count] = exit;
+      count++;
+      if (exit >= tLeave) break;
+
+      if (tMaxX < tMaxY) {
+        col += stepX;
+        tMaxX += tDeltaX;
+      } else {
+        row += stepY;
+        tMaxY += tDeltaY;
+      }
+      if (col < 0 || col >= this.cols || row < 0 || row >= this.rows) break;
+    }
+    return count;
+  }
+
+  /**
+   * Find the closest wall hit of a sensor ray (SIGHT long) that is nearer than
+   * a given distance. Of equally close walls the first one in the array wins.
+   * @param {Ray} ray - The ray to cast
+   * @param {number} record - Only hits nearer than this count
+   * @returns {{point: Vec2, distance: number}|null} The hit, or null if there is none
+   */
+  closestWall(ray, record) {
+    const { x, y } = ray.pos;
+    const count = this.walk(x, y, x + ray.dir.x * SIGHT, y + ray.dir.y * SIGHT);
+    const stamp = this.nextStamp();
+    let closest = null;
+    let closestIndex = -1;
+
+    for (let c = 0; c < count; c++) {
+      const cell = this.wallCells[this.cells[c]];
+      for (let k = 0; k < cell.length; k++) {
+        const i = cell[k];
+        if (this.wallStamps[i] === stamp) continue;
+        this.wallStamps[i] = stamp;
+
+        const pt = ray.cast(this.walls[i]);
+        if (pt) {
+          const d = Vec2.dist(ray.pos, pt);
+          if (d < record || (d === record && i < closestIndex)) {
+            record = d;
+            closest = pt;
+            closestIndex = i;
+          }
+        }
+      }
+      // Hits in later cells lie beyond this cell's exit along the ray
+      if (record < this.exits[c] * SIGHT - EARLY_EXIT_SLACK) break;
+    }
+
+    return closest ? { point: closest, distance: record } : null;
+  }
+
+  /**
+   * Find the closest obstacle on a ray, same as Ray.closestObstacle() over all obstacles
+   * @param {Ray} ray - The ray to cast
+   * @param {number} length - Length of the ray
+   * @returns {Object|null} The closest hit ({ pos, distance, obstacle }) or null if none found
+   */
+  closestObstacle(ray, length) {
+    const { x, y } = ray.pos;
+    const count = this.walk(
+      x,
+      y,
+      x + ray.dir.x * length,
+      y + ray.dir.y * length,
+    );
+    const stamp = this.nextStamp();
+    let candidates = this.outside.length > 0 ? [...this.outside] : null;
+
+    for (let c = 0; c < count; c++) {
+      const cell = this.obstacleCells[this.cells[c]];
+      for (let k = 0; k < cell.length; k++) {
+        const i = cell[k];
+        if (this.obstacleStamps[i] === stamp) continue;
+        this.obstacleStamps[i] = stamp;
+        candidates ??= [];
+        candidates.push(i);
+      }
+    }
+    if (!candidates) return null;
+
+    // Keep the array order so ties are broken as without the grid
+    candidates.sort((a, b) => a - b);
+    return ray.closestObstacle(
+      candidates.map((i) => this.obstacles[i]),
+      length,
+    );
+  }
+}
@@ -0,0 +1,154 @@
+import { Boundary, Obstacle } from "./boundary.js";
+import { Vec2 } from "./vector.js";
+import { random } from "./random.js";
+import { TRACK_GENERATORS, rateTrack } from "./trackGenerator.js";
+import { simulationAreaWidth, trackheight } from "./config.js";
+
+export const CROSSING_GAP = 15; // Checkpoints apart two road sections must be to count as a crossing
+
+/**
+ * Whether a point lies inside a quadrilateral
+ * @param {Vec2} p - The point
+ * @param {Vec2[]} quad - Corners of the quadrilateral, in order round it
+ * @returns {boolean} True if the point is inside
+ */
+function insideQuad(p, quad) {
+  let inside = false;
+  for (let i = 0, j = quad.length - 1; i < quad.length; j = i++) {
+    const a = quad[i];
+    const b = quad[j];
+    if (
+      a.y > p.y !== b.y > p.y &&
+      p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point lies on the road between two edges
+ * @param {Vec2} p - The point
+ * @param {Vec2[]} inside - Inner edge of the road, one point per checkpoint
+ * @param {Vec2[]} outside - Outer edge of the road, one point per checkpoint
+ * @returns {boolean} True if the point is inside a section of the road
+ */
+export function onRoad(p, inside, outside) {
+  const n = inside.length;
+  for (let i = 0; i < n; i++) {
+    const next = (i + 1) % n;
+    if (insideQuad(p, [inside[i], inside[next], outside[next], outside[i]])) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Build a track from one of the generators in trackGenerator.js
+ * @param {Object} preset - Track template from TRACK_PRESETS or a track saved by the
+ *   track editor or imported from a track file (see trackFormat.js): { name, generator },
+ *   the generator's parameters and, for a saved or imported track, its obstacles as
+ *   [{ x, y }] and optionally its start as { x, y }
+ * @param {number} obstacleCount - Number of obstacles to place at random, unless the preset places its own
+ * @param {number} [width=simulationAreaWidth] - Width of the area the track is centred in
+ * @param {number} [height=trackheight] - Height of the area the track is centred in
+ * @returns {Object} The track: checkpoints, inside, outside, walls, obstacles, cp_points, start, end and difficulty
+ */
+export function buildTrack(
+  preset,
+  obstacleCount,
+  width = simulationAreaWidth,
+  height = trackheight,
+) {
+  const { inside, outside } = TRACK_GENERATORS[preset.generator].fn(
+    preset,
+    width,
+    height,
+  );
+  const n = inside.length;
+
+  const checkpoints = [];
+  for (let i = 0; i < n; i++) {
+    checkpoints.push(
+      new Boundary(inside[i].x, inside[i].y, outside[i].x, outside[i].y),
+    );
+  }
+
+  // Create walls from consecutive checkpoint points, leaving out the parts
+  // that would block a road crossing this one
+  const sections = [];
+  for (let i = 0; i < n; i++) {
+    const next = (i + 1) % n;
+    sections.push([inside[i], inside[next], outside[next], outside[i]]);
+  }
+  const blocksCrossing = (a, b, index) => {
+    const mid = new Vec2((a.x + b.x) / 2, (a.y + b.y) / 2);
+    return sections.some((quad, j) => {
+      const apart = Math.abs(j - index);
+      return (
+        Math.min(apart, n - apart) >= CROSSING_GAP && insideQuad(mid, quad)
+      );
+    });
+  };
+
+  const walls = [];
+  for (let i = 0; i < n; i++) {
+    for (const edge of [inside, outside]) {
+      const a = edge[i];
+      const b = edge[(i + 1) % n];
+      if ((a.x !== b.x || a.y !== b.y) && !blocksCrossing(a, b, i)) {
+        walls.push(new Boundary(a.x, a.y, b.x, b.y));
+      }
+    }
+  }
+
+  // Create obstacles, each sliding along the checkpoint line it was placed
+  // on; a saved track places its own, on the line nearest to each
+  const obstacles = [];
+  const cp_points = [];
+  if (preset.obstacles) {
+    for (const { x, y } of preset.obstacles) {
+      const spot = new Vec2(x, y);
+      let index = 0;
+      for (let i = 1; i < n; i++) {
+        if (
+          checkpoints[i].midpoint().dist(spot) <
+          checkpoints[index].midpoint().dist(spot)
+        ) {
+          index = i;
+        }
+      }
+      cp_points.push({ p1: inside[index], p2: outside[index] });
+      obstacles.push(new Obstacle(x, y));
+    }
+  } else {
+    for (let i = 0; i < obstacleCount; i++) {
+      let index = Math.floor(random(5, checkpoints.length - 1));
+      let p1 = inside[index];
+      let p2 = outside[index];
+      let x = random(p1.x, p2.x);
+      let m = (p2.y - p1.y) / (p2.x - p1.x);
+      // A vertical line has no slope: place the obstacle halfway along it
+      let y = p1.x !== p2.x ? m * (x - p1.x) + p1.y : (p1.y + p2.y) / 2;
+
+      cp_points.push({ p1: p1, p2: p2 });
+      obstacles.push(new Obstacle(x, y));
+    }
+  }
+
+  return {
+    checkpoints: checkpoints,
+    inside: inside,
+    outside: outside,
+    walls: walls,
+    obstacles: obstacles,
+    cp_points: cp_points,
+    start: preset.start
+      ? new Vec2(preset.start.x, preset.start.y)
+      : checkpoints[0].midpoint(),
+    end: checkpoints[checkpoints.length - 1].midpoint(),
+    difficulty: rateTrack(inside, outside),
+  };
+}
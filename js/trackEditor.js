@@ -0,0 +1,261 @@
+import { buildTrack } from "./track.js";
+import { simulationAreaWidth, trackheight } from "./config.js";
+
+/**
+ * Track editor
+ * Holds a track being drawn on the canvas: centre line points, each with its
+ * own width, and static obstacles. The track it saves is a track template
+ * for the "drawn" generator, so buildTrack() turns it into the same walls and
+ * checkpoints as a procedural track, and the simulation can drive it in place
+ * of the presets. Drawing lives in renderer.js and the controls in sketch.js.
+ */
+
+const HANDLE_RADIUS = 10; // Distance in pixels within which a click picks a point or obstacle
+const MIN_POINTS = 3; // Centre line points a track needs
+const DEFAULT_HALF_WIDTH = 40; // Half the road width of new points
+
+/**
+ * Distance from a point to a line segment
+ * @param {number} px - X of the point
+ * @param {number} py - Y of the point
+ * @param {Object} a - Start of the segment ({ x, y })
+ * @param {Object} b - End of the segment ({ x, y })
+ * @returns {number} The distance
+ */
+function distToSegment(px, py, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t =
+    lengthSq > 0
+      ? Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSq))
+      : 0;
+  return Math.hypot(px - (a.x + dx * t), py - (a.y + dy * t));
+}
+
+/**
+ * Check that parsed JSON is a track saved by the track editor
+ * @param {Object} track - The parsed track
+ * @returns {Object} The track with only the fields a saved track has
+ * @throws {Error} If the track is missing points or has invalid values
+ */
+export function checkSavedTrack(track) {
+  const finite = (value) => typeof value === "number" && Number.isFinite(value);
+  if (!track || !Array.isArray(track.points)) {
+    throw new Error("the track has no centre line points");
+  }
+  if (track.points.length < MIN_POINTS) {
+    throw new Error(`a track needs at least ${MIN_POINTS} centre line points`);
+  }
+  if (
+    !track.points.every(
+      (point) => finite(point.x) && finite(point.y) && point.halfWidth > 0,
+    )
+  ) {
+    throw new Error(
+      "every centre line point needs x, y and a positive halfWidth",
+    );
+  }
+  const obstacles = track.obstacles ?? [];
+  if (
+    !Array.isArray(obstacles) ||
+    !obstacles.every((obstacle) => finite(obstacle.x) && finite(obstacle.y))
+  ) {
+    throw new Error("every obstacle needs x and y");
+  }
+  return {
+    name: typeof track.name === "string" ? track.name : "Drawn track",
+    generator: "drawn",
+    points: track.points.map(({ x, y, halfWidth }) => ({ x, y, halfWidth })),
+    obstacles: obstacles.map(({ x, y }) => ({ x, y })),
+  };
+}
+
+/**
+ * Editable track: centre line points and obstacles placed with the mouse
+ */
+export class TrackEditor {
+  /**
+   * Constructor for the TrackEditor class
+   * @param {number} [width=simulationAreaWidth] - Width of the area the track is drawn in
+   * @param {number} [height=trackheight] - Height of the area the track is drawn in
+   */
+  constructor(width = simulationAreaWidth, height = trackheight) {
+    this.width = width;
+    this.height = height;
+    this.name = "Drawn track";
+    this.points = []; // Centre line in driving order, as { x, y, halfWidth }
+    this.obstacles = []; // Static obstacles, as { x, y }
+    this.mode = "points"; // "points" places centre line points, "obstacles" places obstacles
+    this.halfWidth = DEFAULT_HALF_WIDTH; // Half width of new points
+    this.selected = -1; // Index of the selected point, or -1
+    this.dragging = false; // True while the selected point follows the mouse
+    this.preview = null; // Track built from the points, see track()
+  }
+
+  /**
+   * Whether the points make a track that can be saved and driven
+   * @returns {boolean} True with at least three points
+   */
+  isComplete() {
+    return this.points.length >= MIN_POINTS;
+  }
+
+  /**
+   * Forget the preview after the points or obstacles changed
+   */
+  changed() {
+    this.preview = null;
+  }
+
+  /**
+   * Index of the item of a list within HANDLE_RADIUS of a position
+   * @param {Object[]} items - Points or obstacles ({ x, y })
+   * @param {number} x - X of the position
+   * @param {number} y - Y of the position
+   * @returns {number} The index, or -1 if none is close enough
+   */
+  itemAt(items, x, y) {
+    return items.findIndex(
+      (item) => Math.hypot(item.x - x, item.y - y) <= HANDLE_RADIUS,
+    );
+  }
+
+  /**
+   * Handle a mouse press on the canvas
+   * In points mode a press on a point selects it and starts dragging it;
+   * anywhere else it adds a point, on the stretch of the loop closest to
+   * it. In obstacles mode a press on an obstacle removes it, anywhere else
+   * it adds one.
+   * @param {number} x - X of the mouse
+   * @param {number} y - Y of the mouse
+   */
+  press(x, y) {
+    if (this.mode === "obstacles") {
+      const index = this.itemAt(this.obstacles, x, y);
+      if (index >= 0) {
+        this.obstacles.splice(index, 1);
+      } else {
+        this.obstacles.push({ x, y });
+      }
+      this.changed();
+      return;
+    }
+
+    const index = this.itemAt(this.points, x, y);
+    if (index >= 0) {
+      this.selected = index;
+      this.halfWidth = this.points[index].halfWidth;
+      this.dragging = true;
+      return;
+    }
+
+    // Insert after the start of the closest segment of the closed loop
+    let insertAt = this.points.length;
+    if (this.points.length >= MIN_POINTS) {
+      let closest = Infinity;
+      for (let i = 0; i < this.points.length; i++) {
+        const next = this.points[(i + 1) % this.points.length];
+        const dist = distToSegment(x, y, this.points[i], next);
+        if (dist < closest) {
+          closest = dist;
+          insertAt = i + 1;
+        }
+      }
+    }
+    this.points.splice(insertAt, 0, { x, y, halfWidth: this.halfWidth });
+    this.selected = insertAt;
+    this.dragging = true;
+    this.changed();
+  }
+
+  /**
+   * Move the point being dragged
+   * @param {number} x - X of the mouse
+   * @param {number} y - Y of the mouse
+   */
+  drag(x, y) {
+    if (!this.dragging || this.selected < 0) return;
+    const point = this.points[this.selected];
+    point.x = Math.max(0, Math.min(this.width, x));
+    point.y = Math.max(0, Math.min(this.height, y));
+    this.changed();
+  }
+
+  /**
+   * Stop dragging
+   */
+  release() {
+    this.dragging = false;
+  }
+
+  /**
+   * Set the width of the selected point and of points added later
+   * @param {number} halfWidth - Half the road width
+   */
+  setHalfWidth(halfWidth) {
+    this.halfWidth = halfWidth;
+    if (this.selected >= 0) {
+      this.points[this.selected].halfWidth = halfWidth;
+      this.changed();
+    }
+  }
+
+  /**
+   * Remove the selected point
+   */
+  removeSelected() {
+    if (this.selected < 0) return;
+    this.points.splice(this.selected, 1);
+    this.selected = -1;
+    this.changed();
+  }
+
+  /**
+   * Remove every point and obstacle
+   */
+  clear() {
+    this.points = [];
+    this.obstacles = [];
+    this.selected = -1;
+    this.changed();
+  }
+
+  /**
+   * The track as saved to a file or local storage
+   * @returns {Object} The saved track: { name, generator, points, obstacles }
+   */
+  savedTrack() {
+    return checkSavedTrack({
+      name: this.name,
+      points: this.points,
+      obstacles: this.obstacles,
+    });
+  }
+
+  /**
+   * Edit a saved track
+   * @param {Object} track - The saved track
+   * @throws {Error} If the track is invalid, see checkSavedTrack()
+   */
+  load(track) {
+    const checked = checkSavedTrack(track);
+    this.name = checked.name;
+    this.points = checked.points;
+    this.obstacles = checked.obstacles;
+    this.selected = -1;
+    this.changed();
+  }
+
+  /**
+   * The track the points currently make, for the preview
+   * @returns {Object|null} The track from buildTrack(), or null with fewer than three points
+   */
+  track() {
+    if (!this.isComplete()) return null;
+    if (!this.preview) {
+      this.preview = buildTrack(this.savedTrack(), 0, this.width, this.height);
+    }
+    return this.preview;
+  }
+}
@@ -0,0 +1,224 @@
+import { Vec2 } from "./vector.js";
+import { CROSSING_GAP, onRoad } from "./track.js";
+import { loopCrossings } from "./trackGenerator.js";
+import { checkSavedTrack } from "./trackEditor.js";
+
+/**
+ * Track files
+ * A track file holds a built track, so it can be shared and driven again
+ * exactly as it was. Version 1 of the format is a JSON object:
+ * - format: TRACK_FORMAT, and version: TRACK_FORMAT_VERSION
+ * - metadata: { name, generator, difficulty, width, height, created }
+ * - seed: run seed the track was built in, or null
+ * - template: the track template it was built from, such as a preset or the
+ *   points of a drawn track, or null if it is not known
+ * - centreline: [x, y] middle of every checkpoint, in driving order
+ * - inside and outside: [x, y] points of the two road edges, one per checkpoint
+ * - checkpoints: [ax, ay, bx, by] lines from inside point i to outside point i
+ * - start: { x, y, heading } where the cars start and the direction of the road there
+ * - obstacles: [x, y] where each obstacle is placed
+ * importTrack() turns a file into a template for the "fixed" generator,
+ * which buildTrack() builds into the same walls and checkpoints. Files saved
+ * by the track editor before the format existed count as version 0.
+ */
+
+export const TRACK_FORMAT = "autonomous-car-track";
+export const TRACK_FORMAT_VERSION = 1;
+
+const EDGE_TOLERANCE = 0.01; // Largest distance between a checkpoint end and its edge point
+
+/**
+ * Round a coordinate for the file
+ * @param {number} value - The coordinate
+ * @returns {number} The coordinate to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Write a track as a track file
+ * @param {World} world - World holding the track, as built by World.buildTrack()
+ * @param {number|null} [seed=null] - Run seed the track was built in
+ * @returns {Object} The track file, ready for JSON.stringify()
+ */
+export function exportTrack(world, seed = null) {
+  const template = world.trackTemplate;
+  const point = (p) => [round(p.x), round(p.y)];
+  const inside = world.inside.map(point);
+  const outside = world.outside.map(point);
+  const heading = Vec2.sub(
+    world.checkpoints[1 % world.checkpoints.length].midpoint(),
+    world.checkpoints[0].midpoint(),
+  ).heading();
+
+  return {
+    format: TRACK_FORMAT,
+    version: TRACK_FORMAT_VERSION,
+    metadata: {
+      name: world.trackName,
+      generator: template.generator,
+      difficulty: world.difficulty,
+      width: world.width,
+      height: world.height,
+      created: new Date().toISOString(),
+    },
+    seed: seed,
+    // A track imported from a file keeps the template that file was built from
+    template:
+      template.generator === "fixed" ? (template.template ?? null) : template,
+    centreline: inside.map(([x, y], i) => [
+      round((x + outside[i][0]) / 2),
+      round((y + outside[i][1]) / 2),
+    ]),
+    inside: inside,
+    outside: outside,
+    checkpoints: inside.map((p, i) => [...p, ...outside[i]]),
+    start: {
+      x: round(world.start.x),
+      y: round(world.start.y),
+      heading: round(heading),
+    },
+    obstacles: world.obstacles.map((obstacle) => point(obstacle.pos)),
+  };
+}
+
+/**
+ * Check that a value is a list of numbers of a fixed length, such as [x, y] points
+ * @param {*} list - The value
+ * @param {string} field - Name of the field, for the error message
+ * @param {number} size - Numbers per entry
+ * @throws {Error} If an entry is not a list of finite numbers of that size
+ */
+function checkTuples(list, field, size) {
+  if (!Array.isArray(list)) {
+    throw new Error(`${field} must be a list`);
+  }
+  list.forEach((entry, i) => {
+    if (
+      !Array.isArray(entry) ||
+      entry.length !== size ||
+      !entry.every((value) => Number.isFinite(value))
+    ) {
+      throw new Error(`${field}[${i}] must be ${size} numbers`);
+    }
+  });
+}
+
+/**
+ * Check that the road edges cross neither themselves nor each other, except
+ * where the road crosses itself on purpose, as in a figure-8. Segments that
+ * only touch at an end point are fine: the inner edge of a tight turn
+ * collapses to a corner that several segments share.
+ * @param {Vec2[]} inside - Inner edge of the road
+ * @param {Vec2[]} outside - Outer edge of the road
+ * @throws {Error} If the edges intersect anywhere else
+ */
+function checkEdges(inside, outside) {
+  const n = inside.length;
+  const centre = inside.map(
+    (p, i) => new Vec2((p.x + outside[i].x) / 2, (p.y + outside[i].y) / 2),
+  );
+  const apart = (a, b) => Math.min(Math.abs(a - b), n - Math.abs(a - b));
+  const roadCrossings = loopCrossings(centre);
+  const nearCrossing = (i, j) =>
+    roadCrossings.some(
+      ([a, b]) =>
+        (apart(i, a) < CROSSING_GAP && apart(j, b) < CROSSING_GAP) ||
+        (apart(i, b) < CROSSING_GAP && apart(j, a) < CROSSING_GAP),
+    );
+
+  const ends = (edge, i) => [edge[i], edge[(i + 1) % n]];
+  for (const [a, b] of [
+    [inside, inside],
+    [outside, outside],
+    [inside, outside],
+  ]) {
+    for (const [i, j] of loopCrossings(a, b)) {
+      const touching = ends(a, i).some((p) =>
+        ends(b, j).some((q) => p.dist(q) <= EDGE_TOLERANCE),
+      );
+      if (!touching && !nearCrossing(i, j)) {
+        throw new Error(`the road edges intersect near checkpoint ${i}`);
+      }
+    }
+  }
+}
+
+/**
+ * Read a track file, checking that it describes a drivable track
+ * @param {Object} file - The parsed JSON of a track file
+ * @returns {Object} Template for buildTrack(): { name, generator: "fixed",
+ *   inside, outside, start, obstacles }, plus the file's template and seed,
+ *   or a drawn track for version 0, see checkSavedTrack()
+ * @throws {Error} If the file is not a track file, is of a newer version or
+ *   fails a check: matching edges and checkpoints, edges that do not
+ *   intersect and a start on the road
+ */
+export function importTrack(file) {
+  if (file && file.format === undefined && Array.isArray(file.points)) {
+    // Version 0: the points of a drawn track, built like any drawn track
+    return checkSavedTrack(file);
+  }
+  if (!file || file.format !== TRACK_FORMAT) {
+    throw new Error("not a track file");
+  }
+  if (!(file.version >= 1 && file.version <= TRACK_FORMAT_VERSION)) {
+    throw new Error(
+      `unsupported track file version ${file.version} (this version reads 0-${TRACK_FORMAT_VERSION})`,
+    );
+  }
+
+  checkTuples(file.inside, "inside", 2);
+  checkTuples(file.outside, "outside", 2);
+  checkTuples(file.checkpoints, "checkpoints", 4);
+  checkTuples(file.centreline, "centreline", 2);
+  checkTuples(file.obstacles, "obstacles", 2);
+  const n = file.inside.length;
+  if (n < 3 || file.outside.length !== n) {
+    throw new Error(
+      "inside and outside must have the same number of points, at least 3",
+    );
+  }
+  if (file.checkpoints.length !== n || file.centreline.length !== n) {
+    throw new Error(
+      `expected ${n} checkpoints and centreline points, one per edge point, ` +
+        `found ${file.checkpoints.length} and ${file.centreline.length}`,
+    );
+  }
+  file.checkpoints.forEach(([ax, ay, bx, by], i) => {
+    const [ix, iy] = file.inside[i];
+    const [ox, oy] = file.outside[i];
+    if (
+      Math.hypot(ax - ix, ay - iy) > EDGE_TOLERANCE ||
+      Math.hypot(bx - ox, by - oy) > EDGE_TOLERANCE
+    ) {
+      throw new Error(
+        `checkpoint ${i} does not join inside and outside point ${i}`,
+      );
+    }
+  });
+
+  const inside = file.inside.map(([x, y]) => new Vec2(x, y));
+  const outside = file.outside.map(([x, y]) => new Vec2(x, y));
+  checkEdges(inside, outside);
+
+  const start = file.start ?? {};
+  if (!Number.isFinite(start.x) || !Number.isFinite(start.y)) {
+    throw new Error("start must have x and y");
+  }
+  if (!onRoad(new Vec2(start.x, start.y), inside, outside)) {
+    throw new Error("the start is not on the road");
+  }
+
+  return {
+    name: file.metadata?.name ?? "Imported track",
+    generator: "fixed",
+    inside: file.inside,
+    outside: file.outside,
+    start: { x: start.x, y: start.y },
+    obstacles: file.obstacles.map(([x, y]) => ({ x, y })),
+    template: file.template ?? null,
+    seed: file.seed ?? null,
+  };
+}
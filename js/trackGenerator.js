@@ -0,0 +1,528 @@
+import { Vec2 } from "./vector.js";
+import { mapRange } from "./mathUtils.js";
+import { random, noise } from "./random.js";
+
+/**
+ * Track generators
+ * Each generator lays out a closed road and returns its two edges as
+ * matching `inside` and `outside` point lists: point i of both lists are the
+ * ends of checkpoint i, in driving order. buildTrack() in track.js turns the
+ * edges into checkpoints, walls and obstacles, and rateTrack() rates them.
+ * Apart from the noise loop, generators describe the road by its centre
+ * line and half widths, and checkpoints are spaced CHECKPOINT_SPACING apart.
+ */
+
+const CHECKPOINT_SPACING = 25; // Distance in pixels between checkpoints along the centre line
+const MARGIN = 10; // Smallest gap in pixels between a road edge and the border of the area
+const UNTANGLE_REACH = 12; // Edge segments searched ahead for a loop on the inside of a tight turn
+const TIGHT_RADIUS = 100; // Turns of the centre line with a smaller radius in pixels count as tight
+const EASY_WIDTH = 140; // Road width in pixels that adds nothing to the difficulty
+const HARD_WIDTH = 40; // Road width in pixels that adds the most to the difficulty
+
+/**
+ * Points on a closed Catmull-Rom spline through control points
+ * @param {Vec2[]} points - Control points of the closed curve
+ * @param {number} [samples=20] - Points per control point segment
+ * @returns {Vec2[]} Points on the curve
+ */
+function closedSpline(points, samples = 20) {
+  const curve = [];
+  const n = points.length;
+  for (let i = 0; i < n; i++) {
+    const p0 = points[(i - 1 + n) % n];
+    const p1 = points[i];
+    const p2 = points[(i + 1) % n];
+    const p3 = points[(i + 2) % n];
+    for (let s = 0; s < samples; s++) {
+      const t = s / samples;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const at = (a, b, c, d) =>
+        0.5 *
+        (2 * b +
+          (c - a) * t +
+          (2 * a - 5 * b + 4 * c - d) * t2 +
+          (3 * b - a - 3 * c + d) * t3);
+      curve.push(
+        new Vec2(at(p0.x, p1.x, p2.x, p3.x), at(p0.y, p1.y, p2.y, p3.y)),
+      );
+    }
+  }
+  return curve;
+}
+
+/**
+ * Resample a closed curve and the half widths along it to points evenly
+ * spaced along its length
+ * @param {Vec2[]} points - Points of the closed curve
+ * @param {number[]} halfWidths - Half the road width at each point
+ * @param {number} spacing - Wanted distance between the new points
+ * @returns {{centre: Vec2[], halfWidths: number[]}} The evenly spaced points, starting at the first point of the curve, and their half widths
+ */
+function resampleWithWidths(points, halfWidths, spacing) {
+  const n = points.length;
+  const lengths = [0]; // Length of the curve up to each point
+  for (let i = 0; i < n; i++) {
+    lengths.push(lengths[i] + Vec2.dist(points[i], points[(i + 1) % n]));
+  }
+  const total = lengths[n];
+  const count = Math.max(3, Math.round(total / spacing));
+
+  const centre = [];
+  const widths = [];
+  let segment = 0;
+  for (let k = 0; k < count; k++) {
+    const s = (k / count) * total;
+    while (lengths[segment + 1] < s) segment++;
+    const a = points[segment];
+    const b = points[(segment + 1) % n];
+    const span = lengths[segment + 1] - lengths[segment];
+    const t = span > 0 ? (s - lengths[segment]) / span : 0;
+    centre.push(new Vec2(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t));
+    widths.push(
+      halfWidths[segment] +
+        (halfWidths[(segment + 1) % n] - halfWidths[segment]) * t,
+    );
+  }
+  return { centre, halfWidths: widths };
+}
+
+/**
+ * Resample a closed curve to points evenly spaced along its length
+ * @param {Vec2[]} points - Points of the closed curve
+ * @param {number} spacing - Wanted distance between the new points
+ * @returns {Vec2[]} The evenly spaced points, starting at the first point of the curve
+ */
+function resampleLoop(points, spacing) {
+  return resampleWithWidths(points, new Array(points.length).fill(0), spacing)
+    .centre;
+}
+
+/**
+ * Intersection point of two line segments
+ * @param {Vec2} a - Start of the first segment
+ * @param {Vec2} b - End of the first segment
+ * @param {Vec2} c - Start of the second segment
+ * @param {Vec2} d - End of the second segment
+ * @returns {Vec2|null} The intersection, or null if the segments do not cross
+ */
+function segmentIntersection(a, b, c, d) {
+  const den = (b.x - a.x) * (d.y - c.y) - (b.y - a.y) * (d.x - c.x);
+  if (den === 0) return null;
+  const t = ((c.x - a.x) * (d.y - c.y) - (c.y - a.y) * (d.x - c.x)) / den;
+  const u = ((c.x - a.x) * (b.y - a.y) - (c.y - a.y) * (b.x - a.x)) / den;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+  return new Vec2(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t);
+}
+
+/**
+ * Places where two closed polylines cross, or where one crosses itself
+ * @param {Vec2[]} a - Points of the first closed polyline
+ * @param {Vec2[]} [b=a] - Points of the second; when it is the first, neighbouring segments are not compared
+ * @returns {number[][]} [i, j] pairs: the segment from point i of a crosses the segment from point j of b
+ */
+export function loopCrossings(a, b = a) {
+  const crossings = [];
+  for (let i = 0; i < a.length; i++) {
+    const first = b === a ? i + 2 : 0;
+    const last = b === a ? Math.min(b.length, i + a.length - 1) : b.length;
+    for (let j = first; j < last; j++) {
+      if (
+        segmentIntersection(
+          a[i],
+          a[(i + 1) % a.length],
+          b[j],
+          b[(j + 1) % b.length],
+        )
+      ) {
+        crossings.push([i, j]);
+      }
+    }
+  }
+  return crossings;
+}
+
+/**
+ * Remove the small loops an edge forms on the inner side of a turn tighter
+ * than the road's half width: the points of a loop collapse onto the point
+ * where the edge crosses itself, which becomes a sharp corner
+ * @param {Vec2[]} edge - Points of the closed edge, changed in place
+ */
+function untangleEdge(edge) {
+  const n = edge.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j <= i + UNTANGLE_REACH && j < i + n - 1; j++) {
+      const corner = segmentIntersection(
+        edge[i % n],
+        edge[(i + 1) % n],
+        edge[j % n],
+        edge[(j + 1) % n],
+      );
+      if (corner) {
+        for (let k = i + 1; k <= j; k++) {
+          edge[k % n] = corner.copy();
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Offset a closed centre line to both sides to get the road edges
+ * @param {Vec2[]} centre - Points of the closed centre line, in driving order
+ * @param {number[]} halfWidths - Half the road width at each point
+ * @returns {{inside: Vec2[], outside: Vec2[]}} The road edges; inside is on the left when driving
+ */
+function offsetLoop(centre, halfWidths) {
+  const n = centre.length;
+  const inside = [];
+  const outside = [];
+  for (let i = 0; i < n; i++) {
+    const prev = centre[(i - 1 + n) % n];
+    const next = centre[(i + 1) % n];
+    const tangent = Vec2.sub(next, prev).normalize();
+    const normal = new Vec2(tangent.y, -tangent.x).mult(halfWidths[i]);
+    inside.push(Vec2.sub(centre[i], normal));
+    outside.push(Vec2.add(centre[i], normal));
+  }
+  untangleEdge(inside);
+  untangleEdge(outside);
+  return { inside, outside };
+}
+
+/**
+ * Noise loop: a circle deformed by Perlin noise, the original track layout
+ * @param {Object} params - { noiseMax, pathWidth }: noise detail and half the road width
+ * @param {number} width - Width of the area the track is centred in
+ * @param {number} height - Height of the area the track is centred in
+ * @returns {{inside: Vec2[], outside: Vec2[]}} The road edges
+ */
+function noiseLoop(params, width, height) {
+  const inside = [];
+  const outside = [];
+  const { noiseMax, pathWidth } = params;
+
+  // Generate track points using Perlin noise
+  const total = 80;
+  let startX = random(10);
+  let startY = random(10);
+
+  for (let i = 0; i < total; i++) {
+    let a = mapRange(i, 0, total, 0, Math.PI * 2);
+    let xoff = mapRange(Math.cos(a), -1, 1, 0, noiseMax) + startX;
+    let yoff = mapRange(Math.sin(a), -1, 1, 0, noiseMax) + startY;
+    let xr = mapRange(noise(xoff, yoff), 0, 1, 100, width * 0.5);
+    let yr = mapRange(noise(xoff, yoff), 0, 1, 100, height * 0.5);
+    let x1 = width / 2 + (xr - pathWidth) * Math.cos(a);
+    let y1 = height / 2 + (yr - pathWidth) * Math.sin(a);
+    let x2 = width / 2 + (xr + pathWidth) * Math.cos(a);
+    let y2 = height / 2 + (yr + pathWidth) * Math.sin(a);
+
+    inside.push(new Vec2(x1, y1));
+    outside.push(new Vec2(x2, y2));
+  }
+  return { inside, outside };
+}
+
+/**
+ * Figure-8: two lobes joined by a crossing in the middle of the area
+ * (a lemniscate of Gerono)
+ * @param {Object} params - { pathWidth }: half the road width
+ * @param {number} width - Width of the area the track is centred in
+ * @param {number} height - Height of the area the track is centred in
+ * @returns {{inside: Vec2[], outside: Vec2[]}} The road edges
+ */
+function figureEight(params, width, height) {
+  const { pathWidth } = params;
+  const rx = (width / 2 - pathWidth - MARGIN) * random(0.8, 1);
+  const ry = (height / 2 - pathWidth - MARGIN) * random(0.8, 1);
+
+  const curve = [];
+  const total = 400;
+  for (let i = 0; i < total; i++) {
+    const t = (i / total) * Math.PI * 2;
+    curve.push(
+      new Vec2(width / 2 + rx * Math.cos(t), height / 2 + ry * Math.sin(2 * t)),
+    );
+  }
+  const centre = resampleLoop(curve, CHECKPOINT_SPACING);
+  return offsetLoop(centre, new Array(centre.length).fill(pathWidth));
+}
+
+/**
+ * Points along a path driven from a start pose as straights and arcs
+ * @param {Vec2} start - Start position
+ * @param {number} heading - Start heading in radians
+ * @param {Object[]} pieces - { length } for a straight, or { radius, angle } for
+ *   an arc; a positive angle turns clockwise on screen
+ * @returns {Vec2[]} Points every few pixels along the path, without its end point
+ */
+function drivePath(start, heading, pieces) {
+  const step = 5;
+  const points = [];
+  const pos = start.copy();
+  for (const piece of pieces) {
+    if (piece.radius === undefined) {
+      const count = Math.ceil(piece.length / step);
+      for (let i = 0; i < count; i++) {
+        points.push(pos.copy());
+        pos.add(Vec2.fromAngle(heading, piece.length / count));
+      }
+    } else {
+      const side = Math.sign(piece.angle);
+      const centre = Vec2.add(
+        pos,
+        Vec2.fromAngle(heading + (side * Math.PI) / 2, piece.radius),
+      );
+      const count = Math.ceil((Math.abs(piece.angle) * piece.radius) / step);
+      for (let i = 0; i < count; i++) {
+        points.push(pos.copy());
+        heading += piece.angle / count;
+        pos.set(
+          centre.x - Math.cos(heading + (side * Math.PI) / 2) * piece.radius,
+          centre.y - Math.sin(heading + (side * Math.PI) / 2) * piece.radius,
+        );
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * Hairpin circuit: a straight along the bottom and a row of switchbacks
+ * along the top, each turning back on itself
+ * @param {Object} params - { pathWidth, hairpins }: half the road width and number of downward switchbacks
+ * @param {number} width - Width of the area the track is centred in
+ * @param {number} height - Height of the area the track is centred in
+ * @returns {{inside: Vec2[], outside: Vec2[]}} The road edges
+ */
+function hairpinCircuit(params, width, height) {
+  const { pathWidth, hairpins } = params;
+  const margin = pathWidth + MARGIN; // Closest the centre line comes to the border
+  const radius = (width - 2 * margin) / (4 * hairpins + 2); // Turn radius; neighbouring legs are two radii apart
+  const right = width - margin;
+  const top = margin;
+  const bottom = height - margin;
+  const quarter = Math.PI / 2;
+
+  // Start halfway along the bottom straight, driving right, and go round anticlockwise
+  const pieces = [
+    { length: right - radius - width / 2 },
+    { radius: radius, angle: -quarter },
+    { length: bottom - top - 2 * radius },
+    { radius: radius, angle: -quarter },
+    { radius: radius, angle: -quarter },
+  ];
+  for (let k = 0; k < hairpins; k++) {
+    const depth = (bottom - top) * random(0.4, 0.55);
+    pieces.push(
+      { length: depth },
+      { radius: radius, angle: Math.PI },
+      { length: depth },
+    );
+    if (k < hairpins - 1) {
+      pieces.push({ radius: radius, angle: -Math.PI });
+    }
+  }
+  pieces.push(
+    { radius: radius, angle: -quarter },
+    { radius: radius, angle: -quarter },
+    { length: bottom - top - 2 * radius },
+    { radius: radius, angle: -quarter },
+    { length: width / 2 - margin - radius },
+  );
+
+  const path = drivePath(new Vec2(width / 2, bottom), 0, pieces);
+  const centre = resampleLoop(path, CHECKPOINT_SPACING);
+  return offsetLoop(centre, new Array(centre.length).fill(pathWidth));
+}
+
+/**
+ * Spiral: two interleaved spiral arms, one winding in and one winding out,
+ * joined by an S-bend in the middle and a hairpin on the outside
+ * @param {Object} params - { pathWidth, turns }: half the road width and turns of each arm
+ * @param {number} width - Width of the area the track is centred in
+ * @param {number} height - Height of the area the track is centred in
+ * @returns {{inside: Vec2[], outside: Vec2[]}} The road edges
+ */
+function spiral(params, width, height) {
+  const { pathWidth, turns } = params;
+  const sweep = turns * Math.PI * 2;
+  const r0 = pathWidth * 1.5; // Distance of the arm ends from the centre
+  const rMax = Math.min(width, height) / 2 - pathWidth - MARGIN;
+  const growth = (rMax - r0) / (sweep + Math.PI); // Radius gained per radian
+  const rotation = random(Math.PI * 2);
+
+  const arm = (t, sign) => {
+    const r = r0 + growth * t;
+    return new Vec2(
+      width / 2 + sign * r * Math.cos(t + rotation),
+      height / 2 + sign * r * Math.sin(t + rotation),
+    );
+  };
+
+  // The inward arm is the outward arm turned half a turn, so the two
+  // never meet; it is half a turn longer to end beside the outward arm
+  const controls = [];
+  const step = 0.3;
+  for (let t = sweep + Math.PI; t > 0; t -= step) {
+    controls.push(arm(t, -1));
+  }
+  for (let t = 0; t < sweep; t += step) {
+    controls.push(arm(t, 1));
+  }
+  controls.push(arm(sweep, 1));
+
+  // Hairpin between the end of the outward arm and the start of the inward arm
+  const tipRadius = r0 + growth * (sweep + Math.PI / 2);
+  const tipAngle = sweep + rotation + (growth * Math.PI) / 2 / tipRadius;
+  controls.push(
+    new Vec2(
+      width / 2 + tipRadius * Math.cos(tipAngle),
+      height / 2 + tipRadius * Math.sin(tipAngle),
+    ),
+  );
+
+  const centre = resampleLoop(closedSpline(controls), CHECKPOINT_SPACING);
+  return offsetLoop(centre, new Array(centre.length).fill(pathWidth));
+}
+
+/**
+ * Variable width: a noise-deformed loop whose road narrows and widens in
+ * smooth sections
+ * @param {Object} params - { pathWidth, widthVariation, sections }: average half width,
+ *   relative change of the width (0-1) and number of narrow sections
+ * @param {number} width - Width of the area the track is centred in
+ * @param {number} height - Height of the area the track is centred in
+ * @returns {{inside: Vec2[], outside: Vec2[]}} The road edges
+ */
+function variableWidth(params, width, height) {
+  const { pathWidth, widthVariation, sections } = params;
+  const widest = pathWidth * (1 + widthVariation);
+  const startX = random(10);
+  const startY = random(10);
+
+  const curve = [];
+  const total = 200;
+  for (let i = 0; i < total; i++) {
+    const a = (i / total) * Math.PI * 2;
+    const xoff = mapRange(Math.cos(a), -1, 1, 0, 2) + startX;
+    const yoff = mapRange(Math.sin(a), -1, 1, 0, 2) + startY;
+    const n = noise(xoff, yoff);
+    const xr = mapRange(n, 0, 1, widest * 2, width / 2 - widest - MARGIN);
+    const yr = mapRange(n, 0, 1, widest * 2, height / 2 - widest - MARGIN);
+    curve.push(
+      new Vec2(width / 2 + xr * Math.cos(a), height / 2 + yr * Math.sin(a)),
+    );
+  }
+  const centre = resampleLoop(curve, CHECKPOINT_SPACING);
+
+  const phase = random(Math.PI * 2);
+  const halfWidths = centre.map(
+    (point, i) =>
+      pathWidth *
+      (1 +
+        widthVariation *
+          Math.sin((i / centre.length) * Math.PI * 2 * sections + phase)),
+  );
+  return offsetLoop(centre, halfWidths);
+}
+
+/**
+ * Drawn track: a smooth closed road through centre line points placed in
+ * the track editor, each with its own width
+ * @param {Object} params - { points }: the centre line points in driving
+ *   order, each { x, y, halfWidth }; at least three
+ * @returns {{inside: Vec2[], outside: Vec2[]}} The road edges
+ */
+function drawnTrack(params) {
+  const { points } = params;
+  const curve = closedSpline(points.map((point) => new Vec2(point.x, point.y)));
+  // Widths follow the same spline, carried in the x of a second curve
+  const widthCurve = closedSpline(
+    points.map((point) => new Vec2(point.halfWidth, 0)),
+  );
+  const { centre, halfWidths } = resampleWithWidths(
+    curve,
+    widthCurve.map((width) => width.x),
+    CHECKPOINT_SPACING,
+  );
+  return offsetLoop(centre, halfWidths);
+}
+
+/**
+ * Fixed: road edges stored in a track file, used as they are
+ * @param {Object} params - { inside, outside }: the road edges as [x, y] pairs
+ * @returns {{inside: Vec2[], outside: Vec2[]}} The road edges
+ */
+function fixedTrack(params) {
+  return {
+    inside: params.inside.map(([x, y]) => new Vec2(x, y)),
+    outside: params.outside.map(([x, y]) => new Vec2(x, y)),
+  };
+}
+
+/**
+ * Rate how hard a track is to drive, from 1 (a wide, gentle loop) to 10.
+ * Four measures of the centre line are each scaled to [0, 1] and weighted:
+ * winding (turning beyond the one turn every loop makes), the share of the
+ * lap spent in tight turns, the narrowest point of the road and the number
+ * of places where the road crosses itself.
+ * @param {Vec2[]} inside - Inner edge of the road, one point per checkpoint
+ * @param {Vec2[]} outside - Outer edge of the road, one point per checkpoint
+ * @returns {number} The difficulty, rounded to one decimal
+ */
+export function rateTrack(inside, outside) {
+  const n = inside.length;
+  const centre = inside.map(
+    (point, i) =>
+      new Vec2((point.x + outside[i].x) / 2, (point.y + outside[i].y) / 2),
+  );
+  const halfWidths = inside.map((point, i) => point.dist(outside[i]) / 2);
+
+  let length = 0;
+  for (let i = 0; i < n; i++) {
+    length += centre[i].dist(centre[(i + 1) % n]);
+  }
+
+  // Headings are compared a road width apart, so bumps the road is wide
+  // enough to drive straight through do not count as turns
+  let turning = 0;
+  let tightLength = 0;
+  for (let i = 0; i < n; i++) {
+    const reach = Math.max(1, Math.round((2 * halfWidths[i] * n) / length));
+    const before = Vec2.sub(centre[i], centre[(i - reach + n) % n]);
+    const after = Vec2.sub(centre[(i + reach) % n], centre[i]);
+    const arc = (before.mag() + after.mag()) / 2;
+    let angle = after.heading() - before.heading();
+    angle = Math.abs(Math.atan2(Math.sin(angle), Math.cos(angle)));
+    turning += angle / reach;
+    if (arc < angle * TIGHT_RADIUS) {
+      tightLength += length / n; // The turn radius is arc / angle
+    }
+  }
+
+  const crossings = loopCrossings(centre).length;
+
+  const clamp = (x) => Math.max(0, Math.min(1, x));
+  const narrowest = Math.min(...halfWidths) * 2;
+  const score =
+    0.3 * clamp((turning / (Math.PI * 2) - 1) / 4) +
+    0.3 * clamp((tightLength / length) * 3) +
+    0.25 * clamp((EASY_WIDTH - narrowest) / (EASY_WIDTH - HARD_WIDTH)) +
+    0.15 * clamp(crossings / 2);
+  return Math.round((1 + 9 * score) * 10) / 10;
+}
+
+/**
+ * Track generators a track template can use
+ */
+export const TRACK_GENERATORS = {
+  noise: { label: "Noise loop", fn: noiseLoop },
+  "figure-8": { label: "Figure-8 with a crossing", fn: figureEight },
+  hairpins: { label: "Hairpin circuit", fn: hairpinCircuit },
+  spiral: { label: "Spiral", fn: spiral },
+  "variable-width": { label: "Variable width", fn: variableWidth },
+  drawn: { label: "Drawn in the track editor", fn: drawnTrack },
+  fixed: { label: "Imported from a track file", fn: fixedTrack },
+};
@@ -0,0 +1,192 @@
+import { Evolution } from "./evolution.js";
+import { CURRICULUM_MODE } from "./config.js";
+
+/**
+ * Trainer class for running generations headlessly
+ * Runs the generation loop of Evolution at full speed, one whole generation
+ * per runGeneration() call, and summarises every generation for the console
+ */
+export class Trainer extends Evolution {
+  /**
+   * Constructor for the Trainer class
+   * @param {Object} [options] - Training settings
+   * @param {number} [options.populationSize=TOTAL] - Number of cars per generation
+   * @param {number} [options.mutationRate=MUTATION_RATE] - Probability of mutation for each weight
+   * @param {number} [options.mutationStrength=MUTATION_STRENGTH] - Scale of a weight mutation
+   * @param {string} [options.mutation=MUTATION_SCHEME] - Key of MUTATION_SCHEMES
+   * @param {string} [options.schedule=MUTATION_SCHEDULE] - Key of MUTATION_SCHEDULES for adaptive mutation
+   * @param {string} [options.selection=SELECTION_STRATEGY] - Key of SELECTION_STRATEGIES used to pick parents
+   * @param {number} [options.crossoverRate=CROSSOVER_RATE] - Probability that a child is bred from two parents
+   * @param {string} [options.crossover=CROSSOVER_OPERATOR] - Key of CROSSOVER_OPERATORS used to recombine parents
+   * @param {string} [options.brainType=BRAIN_TYPE] - Key of BRAIN_TYPES
+   * @param {Architecture} [options.architecture=BRAIN_ARCHITECTURE] - Hidden layers and output activation of dense brains
+   * @param {string} [options.physics=PHYSICS_MODEL] - Key of PHYSICS_MODELS the cars drive with
+   * @param {number|null} [options.trackPreset=null] - Fixed TRACK_PRESETS index, or null to cycle presets
+   * @param {Object|null} [options.customTrack=null] - Saved or imported track to train on instead of the presets
+   * @param {string} [options.curriculum=CURRICULUM_MODE] - Key of CURRICULUM_MODES; with a curriculum the level picks the tracks and obstacles
+   * @param {number} [options.curriculumLevel=0] - Level of CURRICULUM_LEVELS the curriculum starts at
+   * @param {number} [options.tracks=EVALUATION_TRACKS] - Tracks every brain drives per generation
+   * @param {number} [options.heldOut=HELD_OUT_TRACKS] - Of those, tracks that stay the same for the whole run
+   * @param {string} [options.aggregate=FITNESS_AGGREGATE] - Key of FITNESS_AGGREGATES that makes one fitness of the track scores
+   * @param {number} [options.percentile=FITNESS_PERCENTILE] - Percentile used by the percentile aggregate
+   * @param {number} [options.validationEvery=VALIDATION_EVERY] - Generations between drives of the best brain on the validation track, 0 for none
+   * @param {number} [options.seed=0] - Run seed the held-out and validation tracks are laid out from
+   * @param {Object} [options.fitnessWeights=FITNESS_WEIGHTS] - Weight of each fitness term, by key of FITNESS_TERMS
+   * @param {string} [options.objectives=OBJECTIVE_MODE] - Key of OBJECTIVE_MODES: select on the weighted sum or on the Pareto front
+   * @param {string[]} [options.paretoObjectives=PARETO_OBJECTIVES] - Keys of FITNESS_TERMS the pareto mode maximises
+   * @param {string} [options.speciation=SPECIATION_MODE] - Key of SPECIATION_MODES: which brains are split into species
+   * @param {number} [options.diversityThreshold=DIVERSITY_THRESHOLD] - Diversity below which random brains are injected, 0 for never
+   * @param {number} [options.diversityInjection=DIVERSITY_INJECTION] - Share of the next generation injected then
+   * @param {number} [options.obstacleCount=20] - Number of obstacles on the track
+   * @param {boolean} [options.dynamicObstacles=false] - Whether obstacles move
+   * @param {number} [options.maxSteps=10000] - Safety limit on simulation steps per generation
+   */
+  constructor(options = {}) {
+    super(
+      {
+        populationSize: options.populationSize,
+        mutationRate: options.mutationRate,
+        mutationStrength: options.mutationStrength,
+        mutation: options.mutation,
+        schedule: options.schedule,
+        selection: options.selection,
+        crossoverRate: options.crossoverRate,
+        crossover: options.crossover,
+        brainType: options.brainType,
+        architecture: options.architecture,
+        physics: options.physics,
+        fitnessWeights: options.fitnessWeights,
+        objectives: options.objectives,
+        paretoObjectives: options.paretoObjectives,
+        speciationMode: options.speciation,
+        diversityThreshold: options.diversityThreshold,
+        diversityInjection: options.diversityInjection,
+        evaluation: {
+          tracks: options.tracks,
+          heldOut: options.heldOut,
+          aggregate: options.aggregate,
+          percentile: options.percentile,
+          validationEvery: options.validationEvery,
+        },
+      },
+      options.seed ?? 0,
+    );
+    this.trackPreset = options.trackPreset ?? null;
+    this.maxSteps = options.maxSteps ?? 10000;
+
+    this.world.obstacleCount = options.obstacleCount ?? 20;
+    this.world.dynamicObstacles = options.dynamicObstacles ?? false;
+    this.world.customTrack = options.customTrack ?? null;
+    this.world.curriculum.set(
+      options.curriculum ?? CURRICULUM_MODE,
+      options.curriculumLevel ?? 0,
+    );
+
+    this.lastStats = null;
+  }
+
+  /**
+   * Build the first track of a generation, honouring a fixed preset if one was requested
+   */
+  buildTrack() {
+    if (this.trackPreset !== null) {
+      this.world.trackPresetIndex = this.trackPreset;
+    }
+    super.buildTrack();
+  }
+
+  /**
+   * Build the first track and create a random initial population
+   */
+  start() {
+    this.buildTrack();
+    this.agents = [];
+    for (let i = 0; i < this.settings.populationSize; i++) {
+      this.agents.push(this.randomAgent());
+    }
+  }
+
+  /**
+   * Run the current generation on every track of the evaluation, then breed
+   * the next generation
+   * @param {Function} saveStateCallback - Receives (bestBrain, generationCount), same as in nextGeneration()
+   * @returns {Promise<Object>} Statistics of the finished generation
+   */
+  async runGeneration(saveStateCallback) {
+    let steps = this.runRound();
+    while (this.nextRound()) {
+      steps += this.runRound();
+    }
+
+    let stats;
+    const curriculumChange = this.finishGeneration(() => {
+      stats = this.collectStats(steps);
+    });
+    this.lastStats = stats; // Readable from saveStateCallback
+    stats.curriculumChange = curriculumChange;
+    stats.validation = null;
+    while (this.validationDrive) {
+      stats.validation = this.stepValidation();
+    }
+
+    const result = await this.breed(saveStateCallback);
+    stats.mutationScale = this.schedule.scale; // Scale used to breed the next generation
+    stats.species = this.speciation ? this.speciation.speciesCount : null;
+    stats.diversity = result.diversity;
+    stats.injected = result.injected;
+    stats.bestBrain = this.agents[0] ? this.agents[0].brain.describe() : null; // Elite of the finished generation
+    stats.fitnessBreakdown = result.fitnessBreakdown;
+    stats.pareto = this.paretoFront;
+
+    return stats;
+  }
+
+  /**
+   * Drive the cars on the current track until every car is dead, the
+   * fitness threshold is reached or the round reaches maxSteps
+   * @returns {number} Number of simulation steps the round ran for
+   */
+  runRound() {
+    let steps = 0;
+    while (this.agents.length > 0) {
+      this.stepCars();
+      steps++;
+    }
+    return steps;
+  }
+
+  /**
+   * Summarise the evaluated generation before fitness is normalised
+   * @param {number} steps - Number of simulation steps the generation ran for
+   * @returns {Object} Generation statistics
+   */
+  collectStats(steps) {
+    let bestCheckpoints = 0;
+    let totalCheckpoints = 0;
+    let bestLaps = 0;
+
+    for (const agent of this.savedagents) {
+      totalCheckpoints += agent.fitness;
+      bestCheckpoints = Math.max(bestCheckpoints, agent.fitness);
+      bestLaps = Math.max(bestLaps, agent.lapsCompleted);
+    }
+
+    return {
+      generation: this.generationCount,
+      steps: steps,
+      bestCheckpoints: bestCheckpoints,
+      avgCheckpoints:
+        this.savedagents.length > 0
+          ? totalCheckpoints / this.savedagents.length
+          : 0,
+      bestLaps: bestLaps,
+      trackPreset: this.world.activePresetIndex,
+      trackName: this.world.trackName,
+      difficulty: this.world.difficulty,
+      curriculum: this.world.activeLevel
+        ? this.world.curriculum.describe()
+        : null,
+      tracks: this.evaluation.tracks, // Track name and difficulty are those of the last track
+    };
+  }
+}
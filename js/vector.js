@@ -0,0 +1,186 @@
+/**
+ * Vec2 class - a minimal 2D vector for the headless simulation core
+ * Mirrors the subset of the p5.Vector API used by the simulation so that
+ * physics, sensors and track generation run without a p5 instance
+ */
+export class Vec2 {
+  /**
+   * Constructor for the Vec2 class
+   * @param {number} [x=0] - X component
+   * @param {number} [y=0] - Y component
+   */
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * Create a unit vector (or a vector of the given length) pointing at an angle
+   * @param {number} angle - The angle in radians
+   * @param {number} [length=1] - The length of the vector
+   * @returns {Vec2} The new vector
+   */
+  static fromAngle(angle, length = 1) {
+    return new Vec2(length * Math.cos(angle), length * Math.sin(angle));
+  }
+
+  /**
+   * Add two vectors without modifying either of them
+   * @param {Vec2} a - First vector
+   * @param {Vec2} b - Second vector
+   * @returns {Vec2} The sum a + b
+   */
+  static add(a, b) {
+    return new Vec2(a.x + b.x, a.y + b.y);
+  }
+
+  /**
+   * Subtract two vectors without modifying either of them
+   * @param {Vec2} a - First vector
+   * @param {Vec2} b - Second vector
+   * @returns {Vec2} The difference a - b
+   */
+  static sub(a, b) {
+    return new Vec2(a.x - b.x, a.y - b.y);
+  }
+
+  /**
+   * Scale a vector without modifying it
+   * @param {Vec2} v - The vector to scale
+   * @param {number} n - The scale factor
+   * @returns {Vec2} The scaled vector
+   */
+  static mult(v, n) {
+    return new Vec2(v.x * n, v.y * n);
+  }
+
+  /**
+   * Euclidean distance between two points
+   * @param {Vec2} a - First point
+   * @param {Vec2} b - Second point
+   * @returns {number} The distance
+   */
+  static dist(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  /**
+   * Create a copy of the vector
+   * @returns {Vec2} A new vector with the same components
+   */
+  copy() {
+    return new Vec2(this.x, this.y);
+  }
+
+  /**
+   * Set the components of the vector
+   * @param {number} x - X component
+   * @param {number} y - Y component
+   * @returns {Vec2} This vector
+   */
+  set(x, y) {
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+
+  /**
+   * Add another vector to this one
+   * @param {Vec2} v - The vector to add
+   * @returns {Vec2} This vector
+   */
+  add(v) {
+    this.x += v.x;
+    this.y += v.y;
+    return this;
+  }
+
+  /**
+   * Subtract another vector from this one
+   * @param {Vec2} v - The vector to subtract
+   * @returns {Vec2} This vector
+   */
+  sub(v) {
+    this.x -= v.x;
+    this.y -= v.y;
+    return this;
+  }
+
+  /**
+   * Multiply this vector by a scalar
+   * @param {number} n - The scale factor
+   * @returns {Vec2} This vector
+   */
+  mult(n) {
+    this.x *= n;
+    this.y *= n;
+    return this;
+  }
+
+  /**
+   * Length of the vector
+   * @returns {number} The magnitude
+   */
+  mag() {
+    return Math.sqrt(this.magSq());
+  }
+
+  /**
+   * Squared length of the vector
+   * @returns {number} The squared magnitude
+   */
+  magSq() {
+    return this.x * this.x + this.y * this.y;
+  }
+
+  /**
+   * Scale the vector to a length of 1
+   * @returns {Vec2} This vector
+   */
+  normalize() {
+    const len = this.mag();
+    if (len !== 0) {
+      this.mult(1 / len);
+    }
+    return this;
+  }
+
+  /**
+   * Scale the vector to the given length
+   * @param {number} n - The new magnitude
+   * @returns {Vec2} This vector
+   */
+  setMag(n) {
+    return this.normalize().mult(n);
+  }
+
+  /**
+   * Limit the length of the vector
+   * @param {number} max - The maximum magnitude
+   * @returns {Vec2} This vector
+   */
+  limit(max) {
+    const mSq = this.magSq();
+    if (mSq > max * max) {
+      this.mult(max / Math.sqrt(mSq));
+    }
+    return this;
+  }
+
+  /**
+   * Angle of the vector
+   * @returns {number} The heading in radians
+   */
+  heading() {
+    return Math.atan2(this.y, this.x);
+  }
+
+  /**
+   * Distance from this point to another
+   * @param {Vec2} v - The other point
+   * @returns {number} The distance
+   */
+  dist(v) {
+    return Vec2.dist(this, v);
+  }
+}
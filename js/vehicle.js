@@ -0,0 +1,98 @@
+import { Vec2 } from "./vector.js";
+import { mapRange } from "./mathUtils.js";
+import { WHEELBASE, MAX_STEER, ACCELERATION, BRAKING, GRIP } from "./config.js";
+
+/**
+ * Vehicle physics models
+ * A model turns the two brain outputs into controls (steer) and advances the
+ * car by one simulation step with them (move). Both work on a Particle: pos,
+ * vel and heading are shared by all models, the rest of the state is the
+ * model's own. The model is chosen per run and set on the World.
+ * Speeds are in pixels per step and accelerations in pixels per step per
+ * step. Every step advances TIME_STEP simulated seconds, however fast the
+ * host runs the steps.
+ */
+
+/**
+ * Point mass: the brain picks a direction relative to the heading and a
+ * target speed, and a steering force limited by maxforce pulls the velocity
+ * towards them
+ * @param {Particle} agent - The car
+ * @param {Float32Array|number[]} output - Brain outputs: steering angle and speed, both in [0, 1]
+ */
+function steerPointMass(agent, output) {
+  let angle = mapRange(output[0], 0, 1, -Math.PI, Math.PI);
+  let speed = mapRange(output[1], 0, 1, 0, agent.maxspeed);
+  angle += agent.heading;
+  const steering = Vec2.fromAngle(angle);
+  steering.setMag(speed);
+  steering.sub(agent.vel);
+  steering.limit(agent.maxforce);
+  agent.applyForce(steering);
+}
+
+/**
+ * Move a point mass car with the forces applied since the last step
+ * @param {Particle} agent - The car
+ */
+function movePointMass(agent) {
+  agent.pos.add(agent.vel);
+  agent.vel.add(agent.acc);
+  agent.vel.limit(agent.maxspeed);
+  agent.acc.set(0, 0);
+  agent.heading = agent.vel.heading();
+}
+
+/**
+ * Kinematic bicycle: the brain picks the front wheel angle within
+ * ±MAX_STEER and a pedal position, full brake at 0 and full throttle at 1
+ * @param {Particle} agent - The car
+ * @param {Float32Array|number[]} output - Brain outputs: steer and throttle/brake, both in [0, 1]
+ */
+function steerBicycle(agent, output) {
+  agent.steering = mapRange(output[0], 0, 1, -MAX_STEER, MAX_STEER);
+  agent.pedal = mapRange(output[1], 0, 1, -1, 1);
+}
+
+/**
+ * Move a kinematic bicycle car: speed up or brake, then turn about the rear
+ * axle. When the turn would need more lateral acceleration than GRIP the car
+ * understeers and follows the tightest turn the tyres can hold.
+ * @param {Particle} agent - The car
+ */
+function moveBicycle(agent) {
+  if (agent.pedal >= 0) {
+    agent.speed = Math.min(
+      agent.maxspeed,
+      agent.speed + agent.pedal * ACCELERATION,
+    );
+  } else {
+    agent.speed = Math.max(0, agent.speed + agent.pedal * BRAKING);
+  }
+
+  let yawRate = (agent.speed * Math.tan(agent.steering)) / WHEELBASE;
+  if (agent.speed > 0) {
+    const maxYawRate = GRIP / agent.speed; // Lateral acceleration is speed * yawRate
+    yawRate = Math.max(-maxYawRate, Math.min(maxYawRate, yawRate));
+  }
+
+  agent.heading += yawRate;
+  agent.vel = Vec2.fromAngle(agent.heading, agent.speed);
+  agent.pos.add(agent.vel);
+}
+
+/**
+ * Physics models a run can use
+ */
+export const PHYSICS_MODELS = {
+  point: {
+    label: "Point mass (steering force)",
+    steer: steerPointMass,
+    move: movePointMass,
+  },
+  bicycle: {
+    label: "Kinematic bicycle (steer and throttle)",
+    steer: steerBicycle,
+    move: moveBicycle,
+  },
+};
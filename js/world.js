@@ -0,0 +1,222 @@
+import { buildTrack } from "./track.js";
+import { BatchEvaluator } from "./batchInference.js";
+import { SpatialGrid } from "./spatialIndex.js";
+import { BRAIN_SHAPE } from "./particle.js";
+import { Curriculum, generationResults } from "./curriculum.js";
+import {
+  TRACK_PRESETS,
+  PHYSICS_MODEL,
+  simulationAreaWidth,
+  trackheight,
+} from "./config.js";
+
+/**
+ * World class holding the headless simulation state
+ * Owns the track (walls, checkpoints, obstacles) and advances cars one
+ * simulation step at a time without touching p5 or the canvas, so the same
+ * world can be driven by the p5 sketch or by a Node process
+ */
+export class World {
+  /**
+   * Constructor for the World class
+   * @param {number} [width=simulationAreaWidth] - Width of the world in pixels
+   * @param {number} [height=trackheight] - Height of the world in pixels
+   */
+  constructor(width = simulationAreaWidth, height = trackheight) {
+    this.width = width;
+    this.height = height;
+
+    // Obstacle settings
+    this.obstacleCount = 20;
+    this.dynamicObstacles = false;
+
+    // Physics model the cars drive with (a key of PHYSICS_MODELS in vehicle.js)
+    this.physics = PHYSICS_MODEL;
+
+    // Track preset cycling
+    this.trackPresetIndex = 0; // Preset the next track will be built from, or its place in the level's presets with a curriculum
+    this.activePresetIndex = 0; // Preset the current track was built from
+    this.trackName = ""; // Name of the preset or saved track the current track was built from
+    this.customTrack = null; // Saved or imported track to drive instead of the presets
+    this.trackTemplate = null; // Preset or custom track the current track was built from
+    this.difficulty = 0; // Rating of the current track, see rateTrack() in trackGenerator.js
+
+    // Curriculum learning: picks the presets and obstacles of new tracks unless it is off
+    this.curriculum = new Curriculum();
+    this.activeLevel = null; // Curriculum level the current track was built for, or null
+
+    // Track data, filled in by buildTrack()
+    this.checkpoints = [];
+    this.inside = [];
+    this.outside = [];
+    this.walls = [];
+    this.obstacles = [];
+    this.cp_points = [];
+    this.start = null;
+    this.end = null;
+
+    // Spatial index for ray casting, rebuilt with the track
+    this.grid = null;
+    this.useGrid = true; // False scans every wall and obstacle per ray (same results, slower)
+
+    // Evaluates the brains of all cars in one pass, see updateAgents()
+    this.evaluator = new BatchEvaluator();
+  }
+
+  /**
+   * Build a new track from the current preset and advance to the next preset,
+   * or rebuild the custom track if one is set
+   * With a curriculum the presets and obstacles are those of its current
+   * level, in place of all presets and the obstacle settings.
+   */
+  buildTrack() {
+    const level = this.customTrack ? null : this.curriculum.currentLevel();
+    const presetIndex = level
+      ? level.presets[this.trackPresetIndex % level.presets.length]
+      : this.trackPresetIndex;
+    this.useTrack(presetIndex, level);
+
+    // Advance to the next track preset for the next generation
+    if (!this.customTrack) {
+      this.trackPresetIndex =
+        (this.trackPresetIndex + 1) %
+        (level ? level.presets.length : TRACK_PRESETS.length);
+    }
+  }
+
+  /**
+   * Build one of the fixed tracks of a multi-track evaluation, without
+   * advancing the preset cycle. Which layout it gets depends on the random
+   * numbers drawn, so build it under its own seed (see withSeed() in random.js).
+   * @param {number} index - Which fixed track: the preset is the index-th of
+   *   those new tracks are built from (all presets, the curriculum level's or the custom track)
+   */
+  buildFixedTrack(index) {
+    const level = this.customTrack ? null : this.curriculum.currentLevel();
+    const presetIndex = level
+      ? level.presets[index % level.presets.length]
+      : index % TRACK_PRESETS.length;
+    this.useTrack(presetIndex, level);
+  }
+
+  /**
+   * Build the track of a preset, or the custom track if one is set
+   * @param {number} presetIndex - Index of the preset in TRACK_PRESETS
+   * @param {Object|null} level - Curriculum level the track is built for, which sets its obstacles
+   */
+  useTrack(presetIndex, level) {
+    const preset = this.customTrack ?? TRACK_PRESETS[presetIndex];
+    this.activePresetIndex = presetIndex;
+    this.activeLevel = level;
+    this.trackName = preset.name;
+    this.trackTemplate = preset;
+    Object.assign(
+      this,
+      buildTrack(
+        preset,
+        level ? level.obstacles : this.obstacleCount,
+        this.width,
+        this.height,
+      ),
+    );
+    this.grid = new SpatialGrid(
+      this.walls,
+      this.obstacles,
+      this.width,
+      this.height,
+    );
+  }
+
+  /**
+   * Let the curriculum judge a finished generation on the current track
+   * A new level starts from its first preset.
+   * @param {Particle[]} agents - The evaluated cars, before fitness is normalised
+   * @param {number} [lapLength=this.checkpoints.length] - Checkpoints in a lap of the tracks the cars were scored on
+   * @returns {string|null} "promoted", "demoted", or null if the level stays or no curriculum applies
+   */
+  recordGeneration(agents, lapLength = this.checkpoints.length) {
+    if (!this.activeLevel) return null;
+    const change = this.curriculum.record(generationResults(agents, lapLength));
+    if (change) {
+      this.trackPresetIndex = 0;
+    }
+    return change;
+  }
+
+  /**
+   * Move obstacles along their checkpoint lines when dynamic movement is on
+   * (or the curriculum level has moving obstacles)
+   */
+  updateObstacles() {
+    const dynamic = this.activeLevel
+      ? this.activeLevel.dynamic
+      : this.dynamicObstacles;
+    if (!dynamic) return;
+    for (let i = 0; i < this.obstacles.length; i++) {
+      this.obstacles[i].move(this.cp_points[i]);
+    }
+    this.grid.setObstacles(this.obstacles);
+  }
+
+  /**
+   * Spatial index the cars should cast their rays and test collisions through
+   * @returns {SpatialGrid|null} The grid, or null to scan every wall and obstacle
+   */
+  activeGrid() {
+    return this.useGrid ? this.grid : null;
+  }
+
+  /**
+   * Advance a single car by one simulation step: sense, decide, check progress and move
+   * @param {Particle} agent - The car to update
+   */
+  updateAgent(agent) {
+    agent.look(this.walls, this.obstacles, this.activeGrid(), this.physics);
+    agent.check(this.checkpoints);
+    agent.bounds(this.width, this.height);
+    agent.update(this.physics);
+    agent.collide(this.walls, this.obstacles, this.activeGrid());
+  }
+
+  /**
+   * Advance many cars by one simulation step with a single batched brain
+   * evaluation. Gives the same result as calling updateAgent() on each car.
+   * @param {Particle[]} agents - The cars to update
+   */
+  updateAgents(agents) {
+    this.driveAgents(agents, this.senseAgents(agents));
+  }
+
+  /**
+   * Read the sensors of many cars, the first half of updateAgents()
+   * @param {Particle[]} agents - The cars
+   * @returns {number[][]} The brain inputs of each car
+   */
+  senseAgents(agents) {
+    const grid = this.activeGrid();
+    return agents.map((agent) => agent.sense(this.walls, this.obstacles, grid));
+  }
+
+  /**
+   * Evaluate the brains of many cars in one pass and move the cars, the
+   * second half of updateAgents()
+   * @param {Particle[]} agents - The cars
+   * @param {number[][]} inputs - The brain inputs from senseAgents()
+   */
+  driveAgents(agents, inputs) {
+    const grid = this.activeGrid();
+    const outputs = this.evaluator.predict(
+      agents.map((agent) => agent.brain),
+      inputs,
+      BRAIN_SHAPE.output,
+    );
+    for (let i = 0; i < agents.length; i++) {
+      const agent = agents[i];
+      agent.steer(outputs[i], this.physics);
+      agent.check(this.checkpoints);
+      agent.bounds(this.width, this.height);
+      agent.update(this.physics);
+      agent.collide(this.walls, this.obstacles, grid);
+    }
+  }
+}
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  wallHitsCar,
+  obstacleHitsCar,
+  sweptCarHits,
+  sweptCarBounds,
+} from "../js/collision.js";
+import { CAR_LENGTH, CAR_WIDTH } from "../js/config.js";
+
+/**
+ * Build a wall segment
+ * @param {number} ax - X coordinate of one end
+ * @param {number} ay - Y coordinate of one end
+ * @param {number} bx - X coordinate of the other end
+ * @param {number} by - Y coordinate of the other end
+ * @returns {Object} The wall ({ a, b })
+ */
+function wall(ax, ay, bx, by) {
+  return { a: { x: ax, y: ay }, b: { x: bx, y: by } };
+}
+
+const origin = { x: 0, y: 0, heading: 0 };
+
+test("a wall hits the car body along its length but not beside it", () => {
+  const front = CAR_LENGTH / 2;
+  const side = CAR_WIDTH / 2;
+  assert.ok(wallHitsCar(origin, wall(front - 1, -50, front - 1, 50)));
+  assert.ok(!wallHitsCar(origin, wall(front + 1, -50, front + 1, 50)));
+  assert.ok(wallHitsCar(origin, wall(-50, side - 1, 50, side - 1)));
+  assert.ok(!wallHitsCar(origin, wall(-50, side + 1, 50, side + 1)));
+});
+
+test("the body turns with the heading", () => {
+  // Beyond the half width but within the half length of the car
+  const w = wall(-50, CAR_WIDTH, 50, CAR_WIDTH);
+  assert.ok(!wallHitsCar(origin, w));
+  assert.ok(wallHitsCar({ x: 0, y: 0, heading: Math.PI / 2 }, w));
+});
+
+test("a wall inside the body hits it", () => {
+  assert.ok(wallHitsCar(origin, wall(-1, 0, 1, 0)));
+});
+
+test("an obstacle hits the body once its circle reaches it", () => {
+  const front = CAR_LENGTH / 2;
+  assert.ok(obstacleHitsCar(origin, { pos: { x: front + 4, y: 0 }, r: 5 }));
+  assert.ok(!obstacleHitsCar(origin, { pos: { x: front + 6, y: 0 }, r: 5 }));
+  assert.ok(obstacleHitsCar(origin, { pos: { x: 0, y: 0 }, r: 1 }));
+});
+
+test("a fast car cannot jump a thin wall", () => {
+  const w = wall(50, -50, 50, 50);
+  const from = { x: 0, y: 0, heading: 0 };
+  const to = { x: 100, y: 0, heading: 0 };
+  assert.ok(!wallHitsCar(from, w) && !wallHitsCar(to, w));
+  assert.ok(sweptCarHits(from, to, [w], []));
+  assert.ok(!sweptCarHits(from, { x: 30, y: 0, heading: 0 }, [w], []));
+});
+
+test("a swept move tests obstacles on the way", () => {
+  const obstacle = { pos: { x: 50, y: 0 }, r: 2 };
+  const to = { x: 100, y: 0, heading: 0 };
+  assert.ok(sweptCarHits(origin, to, [], [obstacle]));
+  assert.ok(
+    !sweptCarHits(origin, { x: 0, y: 100, heading: 0 }, [], [obstacle]),
+  );
+});
+
+test("the swept bounds contain both poses in any heading", () => {
+  const [minX, minY, maxX, maxY] = sweptCarBounds(origin, {
+    x: 30,
+    y: -10,
+    heading: 1,
+  });
+  const reach = Math.hypot(CAR_LENGTH, CAR_WIDTH) / 2;
+  assert.deepEqual(
+    [minX, minY, maxX, maxY],
+    [-reach, -10 - reach, 30 + reach, reach],
+  );
+});
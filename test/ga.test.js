@@ -0,0 +1,250 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  selectParents,
+  SELECTION_STRATEGIES,
+  crossover,
+  CROSSOVER_OPERATORS,
+  mutateBrain,
+  MUTATION_SCHEMES,
+} from "../js/ga.js";
+import { setSeed } from "../js/random.js";
+
+/**
+ * Stand-in for a dense brain: weight arrays held in plain memory, so the
+ * operators run without TensorFlow.js
+ */
+class FakeBrain {
+  /**
+   * Constructor for the FakeBrain class
+   * @param {{values: Float32Array, shape: number[]}[]} weights - Weight arrays as returned by getWeightArrays()
+   */
+  constructor(weights) {
+    this.weights = weights;
+    this.sigma = null;
+  }
+
+  /**
+   * Copy the brain
+   * @returns {FakeBrain} The copy
+   */
+  copy() {
+    const brain = new FakeBrain(this.getWeightArrays());
+    brain.sigma = this.sigma;
+    return brain;
+  }
+
+  /**
+   * Read the weights
+   * @returns {{values: Float32Array, shape: number[]}[]} Copies of the weight arrays
+   */
+  getWeightArrays() {
+    return this.weights.map((w) => ({
+      values: w.values.slice(),
+      shape: w.shape,
+    }));
+  }
+
+  /**
+   * Replace the weights
+   * @param {{values: Float32Array, shape: number[]}[]} arrays - The new weight arrays
+   */
+  setWeightArrays(arrays) {
+    this.weights = arrays;
+  }
+
+  /**
+   * Record the Gaussian mutation asked for
+   * @param {number} rate - Probability of mutation for each weight
+   * @param {number} strength - Standard deviation of the noise
+   */
+  mutate(rate, strength) {
+    this.mutated = { rate: rate, strength: strength };
+  }
+}
+
+/**
+ * Build the weights of a 2-3-1 dense network filled with one value
+ * @param {number} value - Value of every weight
+ * @returns {{values: Float32Array, shape: number[]}[]} Kernel and bias of both layers
+ */
+function denseWeights(value) {
+  return [[2, 3], [3], [3, 1], [1]].map((shape) => ({
+    values: new Float32Array(shape.reduce((a, b) => a * b)).fill(value),
+    shape: shape,
+  }));
+}
+
+/**
+ * Build evaluated agents with normalized fitness, fittest first
+ * @param {number[]} fitness - Fitness of each agent, summing to 1
+ * @returns {Object[]} The agents
+ */
+function agents(fitness) {
+  return fitness.map((f, i) => ({ id: i, fitness: f }));
+}
+
+test("every selection strategy returns count parents from the agents", () => {
+  const pool = agents([0.4, 0.3, 0.2, 0.1]);
+  for (const strategy of Object.keys(SELECTION_STRATEGIES)) {
+    setSeed(1);
+    const parents = selectParents(pool, 50, strategy);
+    assert.equal(parents.length, 50, strategy);
+    assert.ok(
+      parents.every((p) => pool.includes(p)),
+      strategy,
+    );
+  }
+});
+
+test("selection is reproducible per seed", () => {
+  const pool = agents([0.4, 0.3, 0.2, 0.1]);
+  for (const strategy of Object.keys(SELECTION_STRATEGIES)) {
+    setSeed(3);
+    const first = selectParents(pool, 20, strategy);
+    setSeed(3);
+    assert.deepEqual(selectParents(pool, 20, strategy), first, strategy);
+  }
+});
+
+test("fitter agents are picked more often", () => {
+  const pool = agents([0.7, 0.2, 0.1]);
+  for (const strategy of ["roulette", "tournament", "rank", "sus"]) {
+    setSeed(5);
+    const parents = selectParents(pool, 300, strategy);
+    const best = parents.filter((p) => p === pool[0]).length;
+    const worst = parents.filter((p) => p === pool[2]).length;
+    assert.ok(best > worst, strategy);
+  }
+});
+
+test("truncation only breeds from the top of the pool", () => {
+  const pool = agents([0.4, 0.3, 0.2, 0.1]);
+  setSeed(2);
+  const parents = selectParents(pool, 100, "truncation", {
+    truncationRatio: 0.5,
+  });
+  assert.ok(parents.every((p) => p === pool[0] || p === pool[1]));
+});
+
+test("unknown strategies, operators and schemes throw", () => {
+  const brain = new FakeBrain(denseWeights(0));
+  assert.throws(() => selectParents(agents([1]), 1, "lottery"));
+  assert.throws(() => crossover(brain, brain, "blend"));
+  assert.throws(() => mutateBrain(brain, { mutation: "cosmic-ray" }));
+});
+
+test("every crossover operator keeps the shapes and mixes only parent weights", () => {
+  const a = denseWeights(1);
+  const b = denseWeights(2);
+  for (const [key, operator] of Object.entries(CROSSOVER_OPERATORS)) {
+    setSeed(4);
+    const child = operator.cross(a, b);
+    assert.deepEqual(
+      child.map((w) => w.shape),
+      a.map((w) => w.shape),
+      key,
+    );
+    const values = child.flatMap((w) => Array.from(w.values));
+    assert.ok(
+      values.every((v) => v === 1 || v === 2),
+      key,
+    );
+  }
+  assert.deepEqual(a, denseWeights(1)); // The parents are not changed
+});
+
+test("per-neuron crossover keeps each neuron's weights and bias together", () => {
+  setSeed(6);
+  const child = CROSSOVER_OPERATORS.neuron.cross(
+    denseWeights(1),
+    denseWeights(2),
+  );
+  const [kernel, bias] = child;
+  for (let unit = 0; unit < 3; unit++) {
+    const parent = bias.values[unit];
+    assert.equal(kernel.values[unit], parent);
+    assert.equal(kernel.values[3 + unit], parent);
+  }
+});
+
+test("crossover breeds a new brain with the parents' geometric mean sigma", () => {
+  const a = new FakeBrain(denseWeights(1));
+  const b = new FakeBrain(denseWeights(2));
+  a.sigma = 0.1;
+  b.sigma = 0.4;
+  setSeed(8);
+  const child = crossover(a, b, "uniform");
+  assert.notEqual(child, a);
+  assert.ok(Math.abs(child.sigma - 0.2) < 1e-12);
+  assert.deepEqual(a.weights, denseWeights(1));
+});
+
+test("crossover of brains of different shapes clones the fitter parent", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const a = new FakeBrain(denseWeights(1));
+  const b = new FakeBrain(denseWeights(2).slice(0, 2));
+  assert.deepEqual(crossover(a, b, "uniform").weights, denseWeights(1));
+});
+
+test("mutation changes about rate of the weights, reproducibly per seed", () => {
+  for (const mutation of ["uniform", "reset"]) {
+    const brain = new FakeBrain(denseWeights(0));
+    setSeed(10);
+    mutateBrain(brain, {
+      mutation: mutation,
+      mutationRate: 0.5,
+      mutationStrength: 1,
+    });
+    const values = brain.weights.flatMap((w) => Array.from(w.values));
+    const changed = values.filter((v) => v !== 0).length;
+    assert.ok(changed > 0 && changed < values.length, mutation);
+
+    const again = new FakeBrain(denseWeights(0));
+    setSeed(10);
+    mutateBrain(again, {
+      mutation: mutation,
+      mutationRate: 0.5,
+      mutationStrength: 1,
+    });
+    assert.deepEqual(again.weights, brain.weights, mutation);
+  }
+});
+
+test("uniform mutation stays within the strength", () => {
+  const brain = new FakeBrain(denseWeights(0));
+  setSeed(11);
+  mutateBrain(brain, {
+    mutation: "uniform",
+    mutationRate: 1,
+    mutationStrength: 0.25,
+  });
+  const values = brain.weights.flatMap((w) => Array.from(w.values));
+  assert.ok(values.every((v) => v >= -0.25 && v < 0.25));
+});
+
+test("gaussian and self-adaptive mutation hand the brain its noise level", () => {
+  const brain = new FakeBrain(denseWeights(0));
+  mutateBrain(brain, {
+    mutation: "gaussian",
+    mutationRate: 0.1,
+    mutationStrength: 0.5,
+  });
+  assert.deepEqual(brain.mutated, { rate: 0.1, strength: 0.5 });
+
+  setSeed(12);
+  mutateBrain(brain, {
+    mutation: "self-adaptive",
+    mutationRate: 0.1,
+    mutationStrength: 0.5,
+  });
+  assert.ok(brain.sigma > 0 && brain.sigma !== 0.5);
+  assert.deepEqual(brain.mutated, { rate: 0.1, strength: brain.sigma });
+});
+
+test("every mutation scheme has a label", () => {
+  for (const scheme of Object.values(MUTATION_SCHEMES)) {
+    assert.equal(typeof scheme.label, "string");
+    assert.equal(typeof scheme.mutate, "function");
+  }
+});
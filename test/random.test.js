@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  setSeed,
+  withSeed,
+  seededScope,
+  random,
+  randomGaussian,
+  noise,
+  nextSeed,
+} from "../js/random.js";
+
+/**
+ * Draw a few values from every helper of random.js
+ * @returns {number[]} The values
+ */
+function draw() {
+  return [random(), random(10), random(-5, 5), randomGaussian(), noise(0.5)];
+}
+
+test("the same seed gives the same sequence", () => {
+  setSeed(42);
+  const first = draw();
+  setSeed(42);
+  assert.deepEqual(draw(), first);
+  setSeed(43);
+  assert.notDeepEqual(draw(), first);
+});
+
+test("random() follows p5's signatures", () => {
+  setSeed(1);
+  for (let i = 0; i < 100; i++) {
+    const unit = random();
+    const upTo = random(10);
+    const between = random(-5, 5);
+    assert.ok(unit >= 0 && unit < 1);
+    assert.ok(upTo >= 0 && upTo < 10);
+    assert.ok(between >= -5 && between < 5);
+  }
+});
+
+test("nextSeed() draws a non-negative integer from the run", () => {
+  setSeed(7);
+  const seed = nextSeed();
+  assert.ok(Number.isInteger(seed) && seed >= 0);
+  setSeed(7);
+  assert.equal(nextSeed(), seed);
+});
+
+test("withSeed() draws the same values and leaves the run's sequence alone", () => {
+  setSeed(9);
+  const expected = draw();
+
+  setSeed(9);
+  const inside = withSeed(100, draw);
+  assert.deepEqual(withSeed(100, draw), inside);
+  assert.deepEqual(draw(), expected);
+});
+
+test("seededScope() resumes its own sequence between runs", () => {
+  setSeed(100);
+  const whole = [...draw(), ...draw()];
+
+  setSeed(9);
+  const expected = draw();
+
+  setSeed(9);
+  const scope = seededScope(100);
+  const parts = scope(draw);
+  random(); // The run draws in between
+  parts.push(...scope(draw));
+  assert.deepEqual(parts, whole);
+
+  setSeed(9);
+  scope(draw);
+  assert.deepEqual(draw(), expected);
+});
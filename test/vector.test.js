@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Vec2 } from "../js/vector.js";
+
+test("static helpers return new vectors", () => {
+  const a = new Vec2(1, 2);
+  const b = new Vec2(4, 6);
+  assert.deepEqual(Vec2.add(a, b), new Vec2(5, 8));
+  assert.deepEqual(Vec2.sub(b, a), new Vec2(3, 4));
+  assert.deepEqual(Vec2.mult(a, 3), new Vec2(3, 6));
+  assert.equal(Vec2.dist(a, b), 5);
+  assert.deepEqual(a, new Vec2(1, 2));
+});
+
+test("instance methods change the vector in place and chain", () => {
+  const v = new Vec2(1, 1);
+  assert.equal(v.add(new Vec2(2, 3)).sub(new Vec2(1, 0)).mult(2), v);
+  assert.deepEqual(v, new Vec2(4, 8));
+  assert.deepEqual(v.set(3, 4), new Vec2(3, 4));
+});
+
+test("copy is independent of the original", () => {
+  const v = new Vec2(1, 2);
+  const c = v.copy();
+  c.add(new Vec2(1, 1));
+  assert.deepEqual(v, new Vec2(1, 2));
+});
+
+test("magnitude, normalize, setMag and limit", () => {
+  const v = new Vec2(3, 4);
+  assert.equal(v.mag(), 5);
+  assert.equal(v.magSq(), 25);
+  assert.equal(v.copy().normalize().mag(), 1);
+  assert.ok(Math.abs(v.copy().setMag(10).mag() - 10) < 1e-12);
+  assert.deepEqual(v.copy().limit(10), v);
+  assert.ok(Math.abs(v.copy().limit(1).mag() - 1) < 1e-12);
+  assert.deepEqual(new Vec2().normalize(), new Vec2()); // The zero vector stays zero
+});
+
+test("fromAngle and heading are inverse", () => {
+  const v = Vec2.fromAngle(Math.PI / 3, 2);
+  assert.ok(Math.abs(v.heading() - Math.PI / 3) < 1e-12);
+  assert.ok(Math.abs(v.mag() - 2) < 1e-12);
+});
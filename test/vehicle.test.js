@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PHYSICS_MODELS } from "../js/vehicle.js";
+import { Vec2 } from "../js/vector.js";
+import { MAX_STEER, ACCELERATION, BRAKING, GRIP } from "../js/config.js";
+
+/**
+ * Build the state of a car that the physics models work on, without a Particle
+ * @param {Object} [state] - State to override
+ * @returns {Object} The car
+ */
+function car(state = {}) {
+  return {
+    pos: new Vec2(0, 0),
+    vel: new Vec2(0, 0),
+    acc: new Vec2(0, 0),
+    heading: 0,
+    maxspeed: 5,
+    maxforce: 0.2,
+    speed: 0,
+    steering: 0,
+    pedal: 0,
+    applyForce(force) {
+      this.acc.add(force);
+    },
+    ...state,
+  };
+}
+
+test("every model has a label, steer and move", () => {
+  for (const model of Object.values(PHYSICS_MODELS)) {
+    assert.equal(typeof model.label, "string");
+    assert.equal(typeof model.steer, "function");
+    assert.equal(typeof model.move, "function");
+  }
+});
+
+test("a point mass accelerates by at most maxforce towards the target", () => {
+  const { steer, move } = PHYSICS_MODELS.point;
+  const agent = car();
+  steer(agent, [0.5, 1]); // Straight ahead at full speed
+  assert.ok(Math.abs(agent.acc.mag() - agent.maxforce) < 1e-9);
+  move(agent);
+  assert.ok(Math.abs(agent.vel.mag() - agent.maxforce) < 1e-9);
+  assert.deepEqual(agent.acc, new Vec2(0, 0));
+  assert.equal(agent.heading, agent.vel.heading());
+});
+
+test("a point mass never exceeds maxspeed", () => {
+  const { steer, move } = PHYSICS_MODELS.point;
+  const agent = car();
+  for (let i = 0; i < 200; i++) {
+    steer(agent, [0.5, 1]);
+    move(agent);
+  }
+  assert.ok(agent.vel.mag() <= agent.maxspeed + 1e-9);
+});
+
+test("the bicycle maps outputs to steering angle and pedal", () => {
+  const agent = car();
+  PHYSICS_MODELS.bicycle.steer(agent, [0, 1]);
+  assert.equal(agent.steering, -MAX_STEER);
+  assert.equal(agent.pedal, 1);
+  PHYSICS_MODELS.bicycle.steer(agent, [1, 0]);
+  assert.equal(agent.steering, MAX_STEER);
+  assert.equal(agent.pedal, -1);
+});
+
+test("the bicycle speeds up, brakes and stops at zero", () => {
+  const { move } = PHYSICS_MODELS.bicycle;
+  const agent = car({ pedal: 1 });
+  move(agent);
+  assert.ok(Math.abs(agent.speed - ACCELERATION) < 1e-12);
+  assert.ok(Math.abs(agent.pos.x - ACCELERATION) < 1e-12);
+
+  agent.speed = 1;
+  agent.pedal = -1;
+  move(agent);
+  assert.ok(Math.abs(agent.speed - (1 - BRAKING)) < 1e-12);
+  for (let i = 0; i < 10; i++) move(agent);
+  assert.equal(agent.speed, 0);
+});
+
+test("the bicycle understeers beyond the grip of its tyres", () => {
+  const agent = car({ speed: 5, steering: MAX_STEER });
+  PHYSICS_MODELS.bicycle.move(agent);
+  assert.ok(Math.abs(agent.heading - GRIP / 5) < 1e-12);
+});
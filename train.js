@@ -0,0 +1,629 @@
+#!/usr/bin/env node
+/**
+ * Command-line trainer for the Autonomous Car Simulation
+ *
+ * Runs generations headlessly at full speed and writes the best brain in the
+ * same tfjs model.json + weights.bin format as the "Save Best Model" button,
+ * so the result can be loaded back in the browser.
+ *
+ * Usage:
+ *   node train.js --generations 100 --population 100 --mutation-rate 0.2 \
+ *     --selection tournament --crossover-rate 0.7 --seed 42 --track 0 --out checkpoints
+ *   node train.js --benchmark --benchmark-cars 100,1000 --seed 42
+ *
+ * Requires Node 20.19+ and @tensorflow/tfjs (or @tensorflow/tfjs-node for a
+ * faster native backend) installed next to this file.
+ */
+import { parseArgs } from "node:util";
+import { readFileSync } from "node:fs";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { Trainer } from "./js/trainer.js";
+import { benchmarkRayCasting } from "./js/benchmark.js";
+import { exportTrack, importTrack } from "./js/trackFormat.js";
+import { setSeed, newRunSeed } from "./js/random.js";
+import {
+  SELECTION_STRATEGIES,
+  CROSSOVER_OPERATORS,
+  MUTATION_SCHEMES,
+  MUTATION_SCHEDULES,
+  OBJECTIVE_MODES,
+  SPECIATION_MODES,
+} from "./js/ga.js";
+import { BRAIN_TYPES } from "./js/particle.js";
+import { CURRICULUM_MODES } from "./js/curriculum.js";
+import { FITNESS_AGGREGATES } from "./js/evaluation.js";
+import {
+  FITNESS_TERMS,
+  parseFitnessWeights,
+  formatFitnessWeights,
+  parseObjectives,
+} from "./js/fitness.js";
+import { PHYSICS_MODELS } from "./js/vehicle.js";
+import { ACTIVATIONS, parseHiddenLayers, formatHiddenLayers } from "./js/nn.js";
+import {
+  TOTAL,
+  MUTATION_RATE,
+  MUTATION_STRENGTH,
+  MUTATION_SCHEME,
+  MUTATION_SCHEDULE,
+  SELECTION_STRATEGY,
+  CROSSOVER_RATE,
+  CROSSOVER_OPERATOR,
+  BRAIN_TYPE,
+  BRAIN_ARCHITECTURE,
+  PHYSICS_MODEL,
+  TRACK_PRESETS,
+  CURRICULUM_MODE,
+  CURRICULUM_LEVELS,
+  EVALUATION_TRACKS,
+  HELD_OUT_TRACKS,
+  FITNESS_AGGREGATE,
+  FITNESS_PERCENTILE,
+  VALIDATION_EVERY,
+  FITNESS_WEIGHTS,
+  OBJECTIVE_MODE,
+  PARETO_OBJECTIVES,
+  SPECIATION_MODE,
+  DIVERSITY_THRESHOLD,
+  DIVERSITY_INJECTION,
+} from "./js/config.js";
+
+const USAGE = `Usage: node train.js [options]
+
+Options:
+  --generations <n>       Number of generations to run (default 50)
+  --population <n>        Cars per generation (default ${TOTAL})
+  --brain <type>          Brain type: ${Object.keys(BRAIN_TYPES).join(", ")} (default ${BRAIN_TYPE})
+  --hidden <spec>         Dense hidden layers as units:activation, comma-separated (default "${formatHiddenLayers(BRAIN_ARCHITECTURE.hidden)}")
+  --output-activation <a> Dense output activation: ${Object.keys(ACTIVATIONS).join(", ")} (default ${BRAIN_ARCHITECTURE.outputActivation})
+  --mutation-rate <r>     Probability of mutation per weight (default ${MUTATION_RATE})
+  --mutation-strength <s> Scale of a weight mutation (default ${MUTATION_STRENGTH})
+  --mutation <name>       Mutation scheme: ${Object.keys(MUTATION_SCHEMES).join(", ")} (default ${MUTATION_SCHEME})
+  --schedule <name>       Adaptive mutation when fitness stalls: ${Object.keys(MUTATION_SCHEDULES).join(", ")} (default ${MUTATION_SCHEDULE})
+  --selection <name>      Parent selection: ${Object.keys(SELECTION_STRATEGIES).join(", ")} (default ${SELECTION_STRATEGY})
+  --crossover-rate <r>    Probability a child is bred from two parents (default ${CROSSOVER_RATE})
+  --crossover <name>      Crossover operator: ${Object.keys(CROSSOVER_OPERATORS).join(", ")} (default ${CROSSOVER_OPERATOR})
+  --physics <model>       Vehicle physics: ${Object.keys(PHYSICS_MODELS).join(", ")} (default ${PHYSICS_MODEL})
+  --seed <n>              Integer seed for the run (default: random)
+  --track <i>             Fixed track preset: ${TRACK_PRESETS.map((preset, i) => `${i} ${preset.name}`).join(", ")} (default: cycle presets)
+  --track-file <path>     Train on a track file, or a track saved by the track editor, instead of the presets
+  --export-track <path>   Write the first track of the run as a track file
+  --curriculum <mode>     Curriculum learning: ${Object.keys(CURRICULUM_MODES).join(", ")} (default ${CURRICULUM_MODE})
+  --curriculum-level <i>  Level to start or hold: ${CURRICULUM_LEVELS.map((level, i) => `${i} ${level.name}`).join(", ")} (default 0)
+  --fitness <spec>        Fitness term weights as term=weight, comma-separated; terms: ${Object.keys(FITNESS_TERMS).join(", ")} (default "${formatFitnessWeights(FITNESS_WEIGHTS)}")
+  --objectives <mode>     Select on: ${Object.keys(OBJECTIVE_MODES).join(", ")} (default ${OBJECTIVE_MODE}); pareto writes its last front to --out
+  --pareto <terms>        Fitness terms the pareto mode maximises, comma-separated (default "${PARETO_OBJECTIVES.join(",")}")
+  --speciation <mode>     Speciated brains: ${Object.keys(SPECIATION_MODES).join(", ")} (default ${SPECIATION_MODE})
+  --diversity-threshold <d> Inject random brains when the mean pairwise brain distance drops below d, 0 for never (default ${DIVERSITY_THRESHOLD})
+  --diversity-injection <r> Share of the next generation injected then (default ${DIVERSITY_INJECTION})
+  --tracks <n>            Tracks every brain drives per generation (default ${EVALUATION_TRACKS})
+  --held-out <n>          Of those, tracks that stay the same for the whole run (default ${HELD_OUT_TRACKS})
+  --aggregate <name>      Fitness over the tracks: ${Object.keys(FITNESS_AGGREGATES).join(", ")} (default ${FITNESS_AGGREGATE})
+  --percentile <p>        Percentile of the track scores for --aggregate percentile (default ${FITNESS_PERCENTILE})
+  --validate-every <n>    Drive the best brain on the validation track every n generations, 0 for never (default ${VALIDATION_EVERY})
+  --obstacles <n>         Number of obstacles (default 20, a curriculum level sets its own)
+  --dynamic               Move obstacles along the track
+  --out <dir>             Directory for saved models (default "checkpoints")
+  --checkpoint-every <n>  Also save the generation's best brain every n generations (default 10)
+  --benchmark             Time ray casting with and without the spatial grid instead of training
+  --benchmark-cars <list> Car counts to benchmark, comma-separated (default "100,500,1000,2000")
+  --benchmark-steps <n>   Simulation steps per benchmark run (default 50)
+  -h, --help              Show this help`;
+
+/**
+ * Load TensorFlow.js, preferring the native Node backend when installed
+ * @returns {Promise<Object>} The tf namespace
+ */
+async function loadTensorFlow() {
+  try {
+    const tfNode = await import("@tensorflow/tfjs-node");
+    return tfNode.default ?? tfNode;
+  } catch (error) {
+    const tfjs = await import("@tensorflow/tfjs");
+    const tf = tfjs.default ?? tfjs;
+    await tf.setBackend("cpu");
+    return tf;
+  }
+}
+
+/**
+ * Parse and validate the command-line options
+ * @returns {Object} The trainer settings
+ */
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      generations: { type: "string", default: "50" },
+      population: { type: "string", default: String(TOTAL) },
+      brain: { type: "string", default: BRAIN_TYPE },
+      hidden: {
+        type: "string",
+        default: formatHiddenLayers(BRAIN_ARCHITECTURE.hidden),
+      },
+      "output-activation": {
+        type: "string",
+        default: BRAIN_ARCHITECTURE.outputActivation,
+      },
+      "mutation-rate": { type: "string", default: String(MUTATION_RATE) },
+      "mutation-strength": {
+        type: "string",
+        default: String(MUTATION_STRENGTH),
+      },
+      mutation: { type: "string", default: MUTATION_SCHEME },
+      schedule: { type: "string", default: MUTATION_SCHEDULE },
+      selection: { type: "string", default: SELECTION_STRATEGY },
+      "crossover-rate": { type: "string", default: String(CROSSOVER_RATE) },
+      crossover: { type: "string", default: CROSSOVER_OPERATOR },
+      physics: { type: "string", default: PHYSICS_MODEL },
+      seed: { type: "string" },
+      track: { type: "string" },
+      "track-file": { type: "string" },
+      "export-track": { type: "string" },
+      curriculum: { type: "string", default: CURRICULUM_MODE },
+      "curriculum-level": { type: "string", default: "0" },
+      fitness: {
+        type: "string",
+        default: formatFitnessWeights(FITNESS_WEIGHTS),
+      },
+      objectives: { type: "string", default: OBJECTIVE_MODE },
+      pareto: { type: "string", default: PARETO_OBJECTIVES.join(",") },
+      speciation: { type: "string", default: SPECIATION_MODE },
+      "diversity-threshold": {
+        type: "string",
+        default: String(DIVERSITY_THRESHOLD),
+      },
+      "diversity-injection": {
+        type: "string",
+        default: String(DIVERSITY_INJECTION),
+      },
+      tracks: { type: "string", default: String(EVALUATION_TRACKS) },
+      "held-out": { type: "string", default: String(HELD_OUT_TRACKS) },
+      aggregate: { type: "string", default: FITNESS_AGGREGATE },
+      percentile: { type: "string", default: String(FITNESS_PERCENTILE) },
+      "validate-every": { type: "string", default: String(VALIDATION_EVERY) },
+      obstacles: { type: "string", default: "20" },
+      dynamic: { type: "boolean", default: false },
+      out: { type: "string", default: "checkpoints" },
+      "checkpoint-every": { type: "string", default: "10" },
+      benchmark: { type: "boolean", default: false },
+      "benchmark-cars": { type: "string", default: "100,500,1000,2000" },
+      "benchmark-steps": { type: "string", default: "50" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  let customTrack = null;
+  if (values["track-file"] !== undefined) {
+    try {
+      customTrack = importTrack(
+        JSON.parse(readFileSync(values["track-file"], "utf8")),
+      );
+    } catch (error) {
+      console.error(`Could not load --track-file: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  let hidden = null;
+  try {
+    hidden = parseHiddenLayers(values.hidden);
+  } catch (error) {
+    console.error(error.message);
+  }
+
+  let fitnessWeights = null;
+  try {
+    fitnessWeights = parseFitnessWeights(values.fitness);
+  } catch (error) {
+    console.error(error.message);
+  }
+
+  let paretoObjectives = null;
+  try {
+    paretoObjectives = parseObjectives(values.pareto);
+  } catch (error) {
+    console.error(error.message);
+  }
+
+  const options = {
+    generations: parseInt(values.generations, 10),
+    populationSize: parseInt(values.population, 10),
+    brainType: values.brain,
+    architecture: {
+      hidden: hidden,
+      outputActivation: values["output-activation"],
+    },
+    mutationRate: parseFloat(values["mutation-rate"]),
+    mutationStrength: parseFloat(values["mutation-strength"]),
+    mutation: values.mutation,
+    schedule: values.schedule,
+    selection: values.selection,
+    crossoverRate: parseFloat(values["crossover-rate"]),
+    crossover: values.crossover,
+    physics: values.physics,
+    seed: values.seed !== undefined ? parseInt(values.seed, 10) : newRunSeed(),
+    trackPreset: values.track !== undefined ? parseInt(values.track, 10) : null,
+    customTrack: customTrack,
+    exportTrack: values["export-track"] ?? null,
+    curriculum: values.curriculum,
+    curriculumLevel: parseInt(values["curriculum-level"], 10),
+    fitnessWeights: fitnessWeights,
+    objectives: values.objectives,
+    paretoObjectives: paretoObjectives,
+    speciation: values.speciation,
+    diversityThreshold: parseFloat(values["diversity-threshold"]),
+    diversityInjection: parseFloat(values["diversity-injection"]),
+    tracks: parseInt(values.tracks, 10),
+    heldOut: parseInt(values["held-out"], 10),
+    aggregate: values.aggregate,
+    percentile: parseFloat(values.percentile),
+    validationEvery: parseInt(values["validate-every"], 10),
+    obstacleCount: parseInt(values.obstacles, 10),
+    dynamicObstacles: values.dynamic,
+    out: values.out,
+    checkpointEvery: parseInt(values["checkpoint-every"], 10),
+    benchmark: values.benchmark,
+    carCounts: values["benchmark-cars"]
+      .split(",")
+      .map((count) => parseInt(count, 10)),
+    steps: parseInt(values["benchmark-steps"], 10),
+  };
+
+  const invalid = [];
+  if (!(options.generations > 0)) invalid.push("--generations");
+  if (!(options.populationSize > 1)) invalid.push("--population");
+  if (!Object.hasOwn(BRAIN_TYPES, options.brainType)) invalid.push("--brain");
+  if (hidden === null) invalid.push("--hidden");
+  if (!Object.hasOwn(ACTIVATIONS, options.architecture.outputActivation))
+    invalid.push("--output-activation");
+  if (!(options.mutationRate >= 0 && options.mutationRate <= 1))
+    invalid.push("--mutation-rate");
+  if (!(options.mutationStrength > 0)) invalid.push("--mutation-strength");
+  if (!Object.hasOwn(MUTATION_SCHEMES, options.mutation))
+    invalid.push("--mutation");
+  if (!Object.hasOwn(MUTATION_SCHEDULES, options.schedule))
+    invalid.push("--schedule");
+  if (!Object.hasOwn(SELECTION_STRATEGIES, options.selection))
+    invalid.push("--selection");
+  if (!(options.crossoverRate >= 0 && options.crossoverRate <= 1))
+    invalid.push("--crossover-rate");
+  if (!Object.hasOwn(CROSSOVER_OPERATORS, options.crossover))
+    invalid.push("--crossover");
+  if (!Object.hasOwn(PHYSICS_MODELS, options.physics))
+    invalid.push("--physics");
+  if (Number.isNaN(options.seed)) invalid.push("--seed");
+  if (
+    options.trackPreset !== null &&
+    !(options.trackPreset >= 0 && options.trackPreset < TRACK_PRESETS.length)
+  )
+    invalid.push("--track");
+  if (!Object.hasOwn(CURRICULUM_MODES, options.curriculum))
+    invalid.push("--curriculum");
+  if (!(
+    options.curriculumLevel >= 0 &&
+    options.curriculumLevel < CURRICULUM_LEVELS.length
+  ))
+    invalid.push("--curriculum-level");
+  if (fitnessWeights === null) invalid.push("--fitness");
+  if (!Object.hasOwn(OBJECTIVE_MODES, options.objectives))
+    invalid.push("--objectives");
+  if (paretoObjectives === null) invalid.push("--pareto");
+  if (!Object.hasOwn(SPECIATION_MODES, options.speciation))
+    invalid.push("--speciation");
+  if (!(options.diversityThreshold >= 0)) invalid.push("--diversity-threshold");
+  if (!(options.diversityInjection >= 0 && options.diversityInjection <= 1))
+    invalid.push("--diversity-injection");
+  if (!(options.tracks >= 1)) invalid.push("--tracks");
+  if (!(options.heldOut >= 0)) invalid.push("--held-out");
+  if (!Object.hasOwn(FITNESS_AGGREGATES, options.aggregate))
+    invalid.push("--aggregate");
+  if (!(options.percentile >= 0 && options.percentile <= 100))
+    invalid.push("--percentile");
+  if (!(options.validationEvery >= 0)) invalid.push("--validate-every");
+  if (!(options.obstacleCount >= 0)) invalid.push("--obstacles");
+  if (!(options.checkpointEvery > 0)) invalid.push("--checkpoint-every");
+  if (!options.carCounts.every((count) => count > 0))
+    invalid.push("--benchmark-cars");
+  if (!(options.steps > 0)) invalid.push("--benchmark-steps");
+
+  if (invalid.length > 0) {
+    console.error(`Invalid value for ${invalid.join(", ")}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (
+    options.curriculum !== "off" &&
+    (options.trackPreset !== null || options.customTrack)
+  ) {
+    console.error(
+      "--curriculum picks the tracks itself and cannot be combined with --track or --track-file",
+    );
+    process.exit(1);
+  }
+  if (options.tracks > 1 && options.trackPreset !== null) {
+    console.error(
+      "--tracks drives several tracks per generation and cannot be combined with --track",
+    );
+    process.exit(1);
+  }
+
+  return options;
+}
+
+/**
+ * Create an IO handler that writes a model as <name>.json + <name>.weights.bin,
+ * matching the files produced by NeuralNetwork.save() in the browser
+ * @param {Object} tf - The tf namespace
+ * @param {string} dir - Output directory
+ * @param {string} name - Base file name
+ * @returns {tf.io.IOHandler} The save handler
+ */
+function fileSaveHandler(tf, dir, name) {
+  return tf.io.withSaveHandler(async (artifacts) => {
+    const weightsFile = `${name}.weights.bin`;
+    const modelJSON = {
+      modelTopology: artifacts.modelTopology,
+      format: artifacts.format,
+      generatedBy: artifacts.generatedBy,
+      convertedBy: artifacts.convertedBy,
+      userDefinedMetadata: artifacts.userDefinedMetadata,
+      weightsManifest: [
+        { paths: [`./${weightsFile}`], weights: artifacts.weightSpecs },
+      ],
+    };
+    const weightData = Buffer.concat(
+      [].concat(artifacts.weightData).map((buffer) => Buffer.from(buffer)),
+    );
+
+    await writeFile(join(dir, `${name}.json`), JSON.stringify(modelJSON));
+    await writeFile(join(dir, weightsFile), weightData);
+
+    return {
+      modelArtifactsInfo: {
+        dateSaved: new Date(),
+        modelTopologyType: "JSON",
+        weightDataBytes: weightData.length,
+      },
+    };
+  });
+}
+
+/**
+ * Write every brain on the Pareto front of the last generation as
+ * pareto-<i>.json, numbered in the order of the front (best first objective first)
+ * @param {Trainer} trainer - The trainer, after its last generation
+ * @param {Object} options - The parsed options
+ */
+async function saveParetoFront(trainer, options) {
+  const front = trainer.paretoFront;
+  for (const [i, member] of front.members.entries()) {
+    await member.brain.save(fileSaveHandler(tf, options.out, `pareto-${i}`), {
+      generation: trainer.generationCount - 1,
+      laps: member.laps,
+      objectives: Object.fromEntries(
+        front.objectives.map((key, j) => [key, member.values[j]]),
+      ),
+      seed: options.seed,
+      brainType: options.brainType,
+      mutation: options.mutation,
+      selection: options.selection,
+      crossover: options.crossover,
+      crossoverRate: options.crossoverRate,
+      physics: options.physics,
+    });
+  }
+  console.log(
+    `Pareto front of the last generation written to ${join(options.out, "pareto-*.json")} (${front.members.length} brains)`,
+  );
+}
+
+/**
+ * Describe the track option for the run header
+ * @param {Object} options - The parsed options
+ * @param {number|string} fallback - What to show without --track or --track-file
+ * @returns {string} The saved track's name, the preset index or the fallback
+ */
+function trackLabel(options, fallback) {
+  return options.customTrack
+    ? `"${options.customTrack.name}"`
+    : String(options.trackPreset ?? fallback);
+}
+
+/**
+ * Time ray casting with and without the spatial grid and print a table
+ * @param {Object} options - The parsed options
+ */
+function runBenchmark(options) {
+  console.log(
+    `Ray casting benchmark: ${options.steps} steps per run, brain ${options.brainType}, ` +
+      `physics ${options.physics}, ` +
+      `seed ${options.seed}, track ${trackLabel(options, 0)}, ${options.obstacleCount} obstacles` +
+      `${options.dynamicObstacles ? " (dynamic)" : ""}, backend ${tf.getBackend()}`,
+  );
+  console.log(
+    "Times are ms per step: ray casting (sensors and the first car's 3D view) / whole step",
+  );
+  console.log(
+    "  cars |          scan |          grid | ray speedup | identical",
+  );
+  const format = (run) =>
+    `${run.senseMs.toFixed(1)} / ${run.stepMs.toFixed(1)}`.padStart(13);
+  benchmarkRayCasting(options, (result) => {
+    console.log(
+      `${String(result.cars).padStart(6)} | ${format(result.scan)} | ${format(result.grid)} | ` +
+        `${result.speedup.toFixed(2).padStart(10)}x | ${result.identical ? "yes" : "NO"}`,
+    );
+  });
+}
+
+/**
+ * Run the training loop, or the benchmark with --benchmark
+ */
+async function main() {
+  const options = parseOptions();
+  globalThis.tf = await loadTensorFlow();
+
+  if (options.benchmark) {
+    runBenchmark(options);
+    return;
+  }
+
+  setSeed(options.seed);
+  await mkdir(options.out, { recursive: true });
+
+  const trainer = new Trainer(options);
+  console.log(
+    `Training ${options.generations} generations: population ${options.populationSize}, ` +
+      `brain ${options.brainType}` +
+      (options.brainType === "dense"
+        ? ` (hidden "${formatHiddenLayers(options.architecture.hidden)}", ` +
+          `output ${options.architecture.outputActivation})`
+        : "") +
+      ", " +
+      `mutation ${options.mutation} (rate ${options.mutationRate}, strength ${options.mutationStrength}, ` +
+      `schedule ${options.schedule}), selection ${options.selection}, ` +
+      `crossover ${options.crossover} at ${options.crossoverRate}, physics ${options.physics}, ` +
+      `seed ${options.seed}, ` +
+      `track ${trackLabel(options, "cycling")}, ` +
+      (options.curriculum !== "off"
+        ? `curriculum ${options.curriculum} from level ${options.curriculumLevel}, `
+        : "") +
+      (options.tracks > 1
+        ? `evaluation ${trainer.evaluation.describe()}, `
+        : "") +
+      `fitness "${formatFitnessWeights(options.fitnessWeights)}", ` +
+      (options.objectives === "pareto"
+        ? `objectives pareto "${options.paretoObjectives.join(",")}", `
+        : "") +
+      (options.speciation !== SPECIATION_MODE
+        ? `speciation ${options.speciation}, `
+        : "") +
+      (options.diversityThreshold > 0
+        ? `diversity injection ${options.diversityInjection} below ${options.diversityThreshold}, `
+        : "") +
+      `backend ${tf.getBackend()}`,
+  );
+
+  trainer.start();
+  if (options.exportTrack) {
+    await writeFile(
+      options.exportTrack,
+      JSON.stringify(exportTrack(trainer.world, options.seed), null, 2),
+    );
+    console.log(`Wrote the first track to ${options.exportTrack}`);
+  }
+
+  let allTimeBest = -1;
+  const saveState = async (brain, generation) => {
+    if (!brain) return;
+    const stats = trainer.lastStats;
+    const metadata = {
+      generation: stats.generation,
+      laps: stats.bestLaps,
+      trackPreset: stats.trackPreset,
+      seed: options.seed,
+      brainType: options.brainType,
+      mutation: options.mutation,
+      selection: options.selection,
+      crossover: options.crossover,
+      crossoverRate: options.crossoverRate,
+      physics: options.physics,
+    };
+    if (stats.bestCheckpoints > allTimeBest) {
+      allTimeBest = stats.bestCheckpoints;
+      await brain.save(
+        fileSaveHandler(tf, options.out, "best-model"),
+        metadata,
+      );
+    }
+    if (generation % options.checkpointEvery === 0) {
+      await brain.save(
+        fileSaveHandler(tf, options.out, `generation-${generation}`),
+        metadata,
+      );
+    }
+  };
+
+  for (let i = 0; i < options.generations; i++) {
+    const startTime = Date.now();
+    const stats = await trainer.runGeneration(saveState);
+    const seconds = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(
+      `Gen ${stats.generation} | ` +
+        (stats.tracks > 1 ? `${stats.tracks} tracks, last ` : "") +
+        `${stats.trackName} (difficulty ${stats.difficulty}) | ` +
+        `best ${Number(stats.bestCheckpoints.toFixed(2))} checkpoints | ` +
+        `avg ${stats.avgCheckpoints.toFixed(2)} | laps ${stats.bestLaps} | ` +
+        `${stats.steps} steps | mutation x${stats.mutationScale.toFixed(2)} | ${seconds}s`,
+    );
+    if (stats.species !== null) {
+      console.log(`       ${stats.species} species | best ${stats.bestBrain}`);
+    }
+    if (stats.diversity !== null) {
+      console.log(
+        `       diversity ${stats.diversity.toFixed(3)}` +
+          (stats.injected > 0
+            ? ` | ${stats.injected} random brains injected`
+            : ""),
+      );
+    }
+    if (stats.curriculum !== null) {
+      console.log(
+        `       level ${stats.curriculum}` +
+          (stats.curriculumChange
+            ? ` | ${stats.curriculumChange} to ${trainer.world.curriculum.describe()}`
+            : ""),
+      );
+    }
+    if (
+      stats.fitnessBreakdown &&
+      formatFitnessWeights(options.fitnessWeights) !== "progress=1"
+    ) {
+      console.log(
+        "       fitness " +
+          Object.entries(stats.fitnessBreakdown)
+            .filter(([key]) => options.fitnessWeights[key] !== 0)
+            .map(([key, value]) => `${key} ${Number(value.toFixed(2))}`)
+            .join(" | "),
+      );
+    }
+    if (stats.pareto) {
+      const { objectives, members, others, fronts } = stats.pareto;
+      console.log(
+        `       pareto front ${members.length} of ${members.length + others.length} cars, ${fronts} fronts | ` +
+          objectives
+            .map((key, i) => {
+              const values = members.map((member) => member.values[i]);
+              const low = Number(Math.min(...values).toFixed(2));
+              const high = Number(Math.max(...values).toFixed(2));
+              return `${key} ${low === high ? low : `${low}..${high}`}`;
+            })
+            .join(" | "),
+      );
+    }
+    if (stats.validation) {
+      console.log(
+        `       validation ${stats.validation.trackName} | ` +
+          `${stats.validation.checkpoints} checkpoints | laps ${stats.validation.laps}`,
+      );
+    }
+  }
+
+  if (trainer.paretoFront) {
+    await saveParetoFront(trainer, options);
+  }
+  trainer.dispose();
+  console.log(
+    `Best model written to ${join(options.out, "best-model.json")} (${allTimeBest} checkpoints)`,
+  );
+}
+
+main().catch((error) => {
+  console.error("Training failed:", error);
+  process.exit(1);
+});